@@ -0,0 +1,472 @@
+// browser/vpn-client.js - VPN клиент для браузера (GET /client.js)
+//
+// Запросы идут через http_proxy сервера, ответ - настоящий Response с потоковым телом:
+//
+//   const client = new VPNClient();                  // ws(s)://<текущий хост>/vpn
+//   await client.authenticate('token');              // или { username, password }
+//   const response = await client.fetch('https://example.com/', { method: 'POST', body });
+//
+// vpnFetch(url, init) - то же через клиент VPNClient.configure({ token }). После обрыва
+// соединение и аутентификация восстанавливаются при следующем запросе. Cookies и кэш
+// браузера к запросам через VPN не применяются, заголовки уходят как есть; редиректы
+// с redirect: 'manual' возвращаются обычным ответом 3xx. Service Worker (/vpn-sw.js)
+// направляет в VPN запросы страниц по префиксам URL - см. registerServiceWorker.
+(function (global) {
+  'use strict';
+
+  const REQUEST_TIMEOUT = 15000;
+
+  // Тело запроса уходит кусками http_body_chunk; отправка ждет, пока буфер WebSocket
+  // не опустеет ниже SEND_BUFFER
+  const BODY_CHUNK_SIZE = 64 * 1024;
+  const SEND_BUFFER = 1024 * 1024;
+
+  // Ответы с этими статусами не могут иметь тела
+  const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+  function vpnError(message, code, retryAfter) {
+    const error = new Error(message);
+    error.code = code || 'ERROR';
+    if (retryAfter) error.retryAfter = retryAfter;
+    return error;
+  }
+
+  function abortError(signal) {
+    return signal.reason || new DOMException('The operation was aborted', 'AbortError');
+  }
+
+  function randomId() {
+    const bytes = global.crypto.getRandomValues(new Uint8Array(8));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  function defaultServerUrl() {
+    const location = global.location;
+    return (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/vpn';
+  }
+
+  // Кусками, чтобы не упереться в лимит аргументов apply на больших телах
+  function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return global.btoa(binary);
+  }
+
+  function fromBase64(data) {
+    const binary = global.atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  function credentialsFrom(value) {
+    if (typeof value === 'string') return { token: value };
+    if (value && value.token) return { token: value.token };
+    if (value && value.username) return { username: value.username, password: value.password };
+    return null;
+  }
+
+  // Один запрос http_proxy: promise с Response до http_response_start, затем поток тела
+  class HttpExchange {
+    constructor(client, requestId, method, signal) {
+      this.client = client;
+      this.requestId = requestId;
+      this.method = method;
+      this.signal = signal;
+      this.controller = null;
+      this.done = false;
+      this.promise = new Promise((resolve, reject) => {
+        this.resolve = resolve;
+        this.reject = reject;
+      });
+
+      this.onAbort = () => this.fail(abortError(signal), true);
+      if (signal) signal.addEventListener('abort', this.onAbort);
+    }
+
+    handleMessage(message) {
+      switch (message.type) {
+        case 'http_response_start':
+          this.respond(message);
+          break;
+        case 'http_body_chunk':
+          if (this.controller) this.controller.enqueue(fromBase64(message.data));
+          break;
+        case 'http_response_end':
+          this.finish();
+          if (this.controller) this.controller.close();
+          break;
+        case 'error':
+          this.fail(vpnError(message.message, message.code, message.retryAfter), false);
+          break;
+      }
+    }
+
+    respond(message) {
+      const headers = new Headers();
+      Object.keys(message.headers || {}).forEach(name => {
+        [].concat(message.headers[name]).forEach(value => {
+          try {
+            headers.append(name, value);
+          } catch (error) {
+            // Недопустимое для Headers значение пропускается
+          }
+        });
+      });
+
+      const hasBody = this.method !== 'HEAD' && !NULL_BODY_STATUSES.includes(message.status);
+      const body = hasBody
+        ? new ReadableStream({
+          start: (controller) => { this.controller = controller; },
+          cancel: () => this.fail(vpnError('Response body cancelled', 'ECANCELED'), true)
+        })
+        : null;
+
+      let response;
+      try {
+        response = new Response(body, { status: message.status, statusText: message.statusMessage || '', headers });
+      } catch (error) {
+        this.fail(vpnError(`Unsupported response status ${message.status}`, 'EPROTO'), true);
+        return;
+      }
+      Object.defineProperty(response, 'url', { value: message.url || '' });
+      Object.defineProperty(response, 'redirected', { value: message.redirects > 0 });
+      this.resolve(response);
+    }
+
+    finish() {
+      this.done = true;
+      this.client.httpRequests.delete(this.requestId);
+      if (this.signal) this.signal.removeEventListener('abort', this.onAbort);
+    }
+
+    // cancelRemote - сообщить серверу (http_cancel), если ошибка не от него
+    fail(error, cancelRemote) {
+      if (this.done) return;
+      this.finish();
+
+      if (cancelRemote && this.client.connected) {
+        this.client.send({ type: 'http_cancel', requestId: this.requestId });
+      }
+      this.reject(error);
+      if (this.controller) {
+        try {
+          this.controller.error(error);
+        } catch (streamError) {
+          // Поток уже закрыт или отменен читателем
+        }
+      }
+    }
+  }
+
+  class BrowserVPNClient {
+    // options: { token | username + password, timeout (мс, для запросов кроме fetch) }
+    constructor(serverUrl, options = {}) {
+      this.serverUrl = serverUrl || defaultServerUrl();
+      this.options = options;
+      this.ws = null;
+      this.connected = false;
+      this.authenticated = false;
+      this.closing = false;
+      this.clientId = null;
+      this.serverInfo = null;
+      this.user = null;
+      this.credentials = credentialsFrom(options);
+      this.connecting = null;
+      this.ready = null;
+      this.pending = new Map();
+      this.httpRequests = new Map();
+      this.listeners = {};
+    }
+
+    // События: 'close' (code, reason), 'message' (сообщение без ожидающего запроса)
+    on(event, listener) {
+      (this.listeners[event] = this.listeners[event] || []).push(listener);
+      return this;
+    }
+
+    emit(event, ...args) {
+      (this.listeners[event] || []).forEach(listener => listener(...args));
+    }
+
+    // Завершается после welcome от сервера
+    connect() {
+      this.closing = false;
+      if (this.connecting) return this.connecting;
+
+      this.connecting = new Promise((resolve, reject) => {
+        const ws = new WebSocket(this.serverUrl);
+        this.ws = ws;
+
+        // Первым пишет клиент: сервер с маскировкой отвечает welcome только на hello.
+        // Маскировка в браузере не поддерживается
+        ws.onopen = () => ws.send(JSON.stringify({ type: 'hello' }));
+
+        ws.onmessage = (event) => {
+          // Бинарные кадры не согласуются - сервер шлет только JSON
+          if (typeof event.data !== 'string') return;
+
+          let message;
+          try {
+            message = JSON.parse(event.data);
+          } catch (error) {
+            return;
+          }
+
+          if (message.type === 'welcome' && !this.connected) {
+            this.connected = true;
+            this.clientId = message.clientId;
+            this.serverInfo = message;
+            resolve(message);
+          } else {
+            this.handleMessage(message);
+          }
+        };
+
+        ws.onerror = () => {
+          if (!this.connected) reject(vpnError(`Cannot connect to ${this.serverUrl}`, 'ECONNREFUSED'));
+        };
+
+        ws.onclose = (event) => {
+          if (ws !== this.ws) return;
+
+          const wasConnected = this.connected;
+          this.connected = false;
+          this.authenticated = false;
+          this.connecting = null;
+          this.ready = null;
+          this.failAll(vpnError('Connection to VPN server closed', 'ECONNRESET'));
+
+          if (wasConnected) {
+            this.emit('close', event.code, event.reason);
+          } else {
+            reject(vpnError(`Connection closed before welcome (${event.code})`, 'ECONNRESET'));
+          }
+        };
+      });
+
+      return this.connecting;
+    }
+
+    // credentials: токен, { token } или { username, password }; запоминаются для
+    // повторной аутентификации после обрыва
+    async authenticate(credentials) {
+      if (credentials) this.credentials = credentialsFrom(credentials);
+      if (!this.credentials) throw vpnError('No credentials to authenticate with', 'EAUTH');
+      if (!this.connected) await this.connect();
+
+      const result = await this.request({ type: 'auth', ...this.credentials });
+      this.authenticated = true;
+      this.user = result.user;
+      return result;
+    }
+
+    // Подключение и аутентификация по сохраненным учетным данным, если их еще нет
+    ensureReady() {
+      if (this.closing) return Promise.reject(vpnError('VPN client is closed', 'ENOTCONN'));
+      if (this.connected && this.authenticated) return Promise.resolve();
+
+      if (!this.ready) {
+        this.ready = this.authenticate();
+        this.ready.catch(() => { this.ready = null; });
+      }
+      return this.ready;
+    }
+
+    handleMessage(message) {
+      const exchange = message.requestId && this.httpRequests.get(message.requestId);
+      if (exchange) {
+        exchange.handleMessage(message);
+        return;
+      }
+
+      const pending = message.requestId && this.pending.get(message.requestId);
+      if (!pending) {
+        this.emit('message', message);
+        return;
+      }
+
+      this.pending.delete(message.requestId);
+      clearTimeout(pending.timer);
+      if (message.type === 'error') {
+        pending.reject(vpnError(message.message, message.code, message.retryAfter));
+      } else if (message.type === 'auth_failed') {
+        pending.reject(vpnError(message.reason, message.code || 'EAUTH', message.retryAfter));
+      } else {
+        pending.resolve(message);
+      }
+    }
+
+    request(message, timeout = this.options.timeout || REQUEST_TIMEOUT) {
+      return new Promise((resolve, reject) => {
+        const requestId = randomId();
+        const timer = setTimeout(() => {
+          this.pending.delete(requestId);
+          reject(vpnError(`No response to ${message.type} within ${timeout} ms`, 'ETIMEDOUT'));
+        }, timeout);
+
+        this.pending.set(requestId, { resolve, reject, timer });
+        try {
+          this.send({ ...message, requestId });
+        } catch (error) {
+          clearTimeout(timer);
+          this.pending.delete(requestId);
+          reject(error);
+        }
+      });
+    }
+
+    send(message) {
+      if (!this.connected) throw vpnError('Not connected to VPN server', 'ENOTCONN');
+      this.ws.send(JSON.stringify(message));
+    }
+
+    // Как window.fetch; в init дополнительно timeout (мс до заголовков ответа) и
+    // maxResponseSize (байт). Тело запроса - все, что принимает fetch, включая ReadableStream
+    async fetch(input, init = {}) {
+      const streamBody = typeof ReadableStream !== 'undefined' && init.body instanceof ReadableStream;
+      const request = new Request(input, streamBody ? { ...init, body: undefined } : init);
+      const signal = request.signal;
+
+      // Headers без ограничений браузера: Cookie и другие запрещенные для fetch заголовки
+      // передаются, если заданы явно
+      const headers = {};
+      request.headers.forEach((value, name) => { headers[name] = value; });
+      new Headers(init.headers).forEach((value, name) => { headers[name] = value; });
+
+      let body = null;
+      if (!streamBody && !['GET', 'HEAD'].includes(request.method)) {
+        body = new Uint8Array(await request.arrayBuffer());
+      }
+      const hasBody = streamBody || (body !== null && body.length > 0);
+
+      await this.ensureReady();
+      if (signal && signal.aborted) throw abortError(signal);
+
+      const requestId = randomId();
+      const exchange = new HttpExchange(this, requestId, request.method, signal);
+      this.httpRequests.set(requestId, exchange);
+      this.send({
+        type: 'http_proxy',
+        stream: true,
+        requestId,
+        method: request.method,
+        url: request.url,
+        headers,
+        hasBody,
+        redirect: init.redirect || 'follow',
+        timeout: init.timeout,
+        maxResponseSize: init.maxResponseSize
+      });
+
+      if (hasBody) {
+        this.sendBody(exchange, streamBody ? init.body : body).catch(error => exchange.fail(error, true));
+      }
+      return exchange.promise;
+    }
+
+    async sendBody(exchange, body) {
+      if (body instanceof Uint8Array) {
+        await this.sendBodyChunk(exchange, body);
+      } else {
+        const reader = body.getReader();
+        const encoder = new TextEncoder();
+        while (!exchange.done) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          if (typeof value === 'string') {
+            await this.sendBodyChunk(exchange, encoder.encode(value));
+          } else {
+            await this.sendBodyChunk(exchange, ArrayBuffer.isView(value)
+              ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+              : new Uint8Array(value));
+          }
+        }
+        if (exchange.done) reader.cancel().catch(() => {});
+      }
+
+      if (!exchange.done) this.send({ type: 'http_body_end', requestId: exchange.requestId });
+    }
+
+    async sendBodyChunk(exchange, bytes) {
+      for (let offset = 0; offset < bytes.length && !exchange.done; offset += BODY_CHUNK_SIZE) {
+        while (this.connected && this.ws.bufferedAmount > SEND_BUFFER) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        this.send({
+          type: 'http_body_chunk',
+          requestId: exchange.requestId,
+          data: toBase64(bytes.subarray(offset, offset + BODY_CHUNK_SIZE))
+        });
+      }
+    }
+
+    async ping() {
+      if (!this.connected) await this.connect();
+      return this.request({ type: 'ping', timestamp: Date.now() });
+    }
+
+    async stats() {
+      await this.ensureReady();
+      return this.request({ type: 'stats' });
+    }
+
+    failAll(error) {
+      this.pending.forEach(pending => {
+        clearTimeout(pending.timer);
+        pending.reject(error);
+      });
+      this.pending.clear();
+      this.httpRequests.forEach(exchange => exchange.fail(error, false));
+    }
+
+    // Без переподключения, пока не вызван connect()
+    close() {
+      this.closing = true;
+      if (this.ws && this.ws.readyState <= WebSocket.OPEN) this.ws.close(1000);
+    }
+
+    // Клиент по умолчанию для vpnFetch; options - как у конструктора плюс serverUrl
+    static configure(options = {}) {
+      if (defaultClient) defaultClient.close();
+      defaultClient = new BrowserVPNClient(options.serverUrl, options);
+      return defaultClient;
+    }
+
+    // Регистрирует /vpn-sw.js и передает ему настройку: { serverUrl, token или
+    // username + password, routes: ['https://api.example.com/', ...] } - запросы страниц
+    // к URL с этими префиксами идут через VPN. config = null отключает перенаправление
+    static async registerServiceWorker(config, options = {}) {
+      const container = global.navigator.serviceWorker;
+      await container.register(options.scriptUrl || '/vpn-sw.js', { scope: options.scope || '/' });
+      const registration = await container.ready;
+
+      await new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (event) => {
+          if (event.data.ok) {
+            resolve();
+          } else {
+            reject(vpnError(event.data.error, 'EINVAL'));
+          }
+        };
+        registration.active.postMessage({ type: 'vpn-config', config }, [channel.port2]);
+      });
+      return registration;
+    }
+  }
+
+  let defaultClient = null;
+
+  function vpnFetch(input, init) {
+    if (!defaultClient) {
+      return Promise.reject(vpnError('VPN is not configured: call VPNClient.configure() first', 'ENOTCONN'));
+    }
+    return defaultClient.fetch(input, init);
+  }
+
+  global.VPNClient = BrowserVPNClient;
+  global.vpnFetch = vpnFetch;
+})(self);
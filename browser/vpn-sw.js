@@ -0,0 +1,93 @@
+// browser/vpn-sw.js - Service Worker (GET /vpn-sw.js): запросы страниц к URL с
+// заданными префиксами идут через VPN, остальные браузер выполняет сам
+//
+// Настройка со страницы: VPNClient.registerServiceWorker({ token, routes: [...] }).
+// Браузер останавливает неактивный worker, поэтому настройка хранится в Cache Storage
+// и читается заново при запуске. Ошибка VPN для страницы - ответ 502 с кодом в X-VPN-Error.
+importScripts('client.js');
+
+const CONFIG_CACHE = 'vpn-sw';
+const CONFIG_KEY = 'vpn-sw-config';
+
+let config = null;
+let client = null;
+let configLoaded = false;
+
+function applyConfig(next) {
+  if (client) client.close();
+  config = next;
+  client = next ? new self.VPNClient(next.serverUrl, next) : null;
+}
+
+async function loadConfig() {
+  try {
+    const cache = await caches.open(CONFIG_CACHE);
+    const response = await cache.match(CONFIG_KEY);
+    applyConfig(response ? await response.json() : null);
+  } catch (error) {
+    // Без Cache Storage запросы идут мимо VPN до новой настройки
+  } finally {
+    configLoaded = true;
+  }
+}
+
+async function saveConfig(next) {
+  if (next && !(Array.isArray(next.routes) && next.routes.every(route => typeof route === 'string'))) {
+    throw new Error('routes must be a list of URL prefixes');
+  }
+
+  const cache = await caches.open(CONFIG_CACHE);
+  if (next) {
+    await cache.put(CONFIG_KEY, new Response(JSON.stringify(next)));
+  } else {
+    await cache.delete(CONFIG_KEY);
+  }
+  applyConfig(next);
+}
+
+const configReady = loadConfig();
+
+function isRouted(url) {
+  return Boolean(config && config.routes.some(prefix => url.startsWith(prefix)));
+}
+
+async function forward(request) {
+  try {
+    return await client.fetch(request);
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    return new Response(`VPN request failed: ${error.message}`, {
+      status: 502,
+      statusText: 'Bad Gateway',
+      headers: { 'Content-Type': 'text/plain; charset=utf-8', 'X-VPN-Error': error.code || 'ERROR' }
+    });
+  }
+}
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'vpn-config') return;
+
+  const port = event.ports[0];
+  event.waitUntil(configReady
+    .then(() => saveConfig(event.data.config || null))
+    .then(() => port && port.postMessage({ ok: true }))
+    .catch(error => port && port.postMessage({ ok: false, error: error.message })));
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+
+  // Сразу после запуска настройка еще читается - решение откладывается до нее
+  if (!configLoaded) {
+    event.respondWith(configReady.then(() => isRouted(request.url) ? forward(request) : fetch(request)));
+    return;
+  }
+
+  if (isRouted(request.url)) event.respondWith(forward(request));
+});
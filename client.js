@@ -1,190 +1,1466 @@
-// client.js - VPN клиент для Render сервера
-const net = require('net');
+// client.js - WebSocket VPN клиент для Render сервера (протокол /vpn)
+const WebSocket = require('ws');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { Duplex } = require('stream');
 const readline = require('readline');
+const dns = require('dns');
+const VPNEncryption = require('./lib/encryption');
+const framing = require('./lib/framing');
+const sessionCrypto = require('./lib/session-crypto');
+const SOCKS5Server = require('./lib/socks5');
+const HTTPProxyServer = require('./lib/http-proxy');
+const DNSProxyServer = require('./lib/dns-proxy');
+const { TunDevice, configureInterface, addRoute, pinRoute, removeRouteSync } = require('./lib/tun');
+const { CLOSE_NORMAL, ReplayBuffer } = require('./lib/resume');
+const { RttStats, Heartbeat } = require('./lib/heartbeat');
+const { verifyManifest } = require('./lib/manifest');
+const { OBFUSCATION_VERSION, ObfuscatedSocket, deriveKey } = require('./lib/obfuscation');
+const { PollingClient } = require('./lib/polling');
 
-class VPNClient {
-  constructor(host = 'vpn-server-o.onrender.com', port = 10000) {
-    this.host = host;
-    this.port = port;
-    this.socket = null;
+const DEFAULT_SERVER = 'vpn-server-o.onrender.com';
+const REQUEST_TIMEOUT = 15000;
+
+// Переподключение: задержка удваивается от RECONNECT_DELAY до RECONNECT_MAX_DELAY
+const RECONNECT_DELAY = 500;
+const RECONNECT_MAX_DELAY = 30000;
+
+// Ping кадры серверу; без ответа дольше timeout соединение считается оборванным
+const HEARTBEAT_INTERVAL = 15000;
+const HEARTBEAT_TIMEOUT = 45000;
+
+// Проверка задержки узлов из списка серверов: минимум из PROBE_PINGS ping
+const PROBE_PINGS = 3;
+const PROBE_TIMEOUT = 5000;
+
+// Маскировка с флагом --obfuscate: дополнение до байт и задержка до мс
+const DEFAULT_PADDING = 256;
+const DEFAULT_JITTER = 20;
+
+// Identity ключи серверов без VPN_SERVER_KEY, принятые при первом подключении
+const KNOWN_SERVERS_FILE = path.join(os.homedir(), '.vpn-known-servers.json');
+
+// Приводит "host", "host:port" или полный URL к адресу WebSocket эндпоинта
+function normalizeServerUrl(server) {
+  if (/^wss?:\/\//.test(server)) return server;
+  if (/^https?:\/\//.test(server)) return server.replace(/^http/, 'ws').replace(/\/?$/, '/vpn');
+
+  const isLocal = /^(localhost|127\.)/.test(server);
+  return `${isLocal ? 'ws' : 'wss'}://${server}/vpn`;
+}
+
+// retryAfter (мс) приходит с RATE_LIMITED
+function protocolError(message, code, retryAfter) {
+  const error = new Error(message);
+  error.code = code || 'ERROR';
+  if (retryAfter) error.retryAfter = retryAfter;
+  return error;
+}
+
+// Duplex поток поверх туннеля: запись -> tunnel_data, чтение <- tunnel_data.
+// Если сервер выдал окно (window в tunnel_open), запись ждет кредитов от сервера,
+// а прочитанные байты возвращаются серверу кредитами - память с обеих сторон ограничена.
+// Неподтвержденные данные хранятся в unacked для досылки после возобновления сессии
+class TunnelStream extends Duplex {
+  constructor(client, tunnelId, target, streamId, window) {
+    super();
+    this.client = client;
+    this.tunnelId = tunnelId;
+    this.target = target;
+    this.streamId = streamId;
+    this.remoteClosed = false;
+
+    this.flowControl = Boolean(window);
+    this.sendWindow = this.flowControl ? window : Infinity;
+    this.pendingCredit = 0;
+    this.blockedWrite = null;
+    this.received = 0;
+    this.unacked = this.flowControl ? new ReplayBuffer() : null;
+    this.creditGranted = 0;
+    this.creditReceived = 0;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.blockedWrite = { chunk, callback };
+    this.flushWrite();
+  }
+
+  // Отправляет столько, сколько позволяет окно; остаток ждет addCredit
+  flushWrite() {
+    const pending = this.blockedWrite;
+    if (!pending) return;
+
+    try {
+      while (pending.chunk.length > 0 && this.sendWindow > 0) {
+        const piece = pending.chunk.slice(0, Math.min(this.sendWindow, pending.chunk.length));
+        pending.chunk = pending.chunk.slice(piece.length);
+        this.sendWindow -= piece.length;
+        if (this.unacked) this.unacked.push(piece);
+
+        // Последний кусок завершает запись только после отправки в сокет (bufferedAmount)
+        const done = pending.chunk.length === 0 ? pending.callback : undefined;
+        if (this.unacked && !this.client.isReady()) {
+          // Связи нет: кусок будет дослан из unacked после возобновления
+          if (done) done();
+        } else {
+          this.client.sendTunnelData(this, piece, done);
+        }
+      }
+      if (pending.chunk.length === 0) {
+        this.blockedWrite = null;
+      }
+    } catch (error) {
+      this.blockedWrite = null;
+      pending.callback(error);
+    }
+  }
+
+  addCredit(credit) {
+    if (!this.flowControl) return;
+    this.sendWindow += credit;
+    this.creditReceived += credit;
+    this.unacked.ack(credit);
+    this.flushWrite();
+  }
+
+  // Сессия возобновлена: сервер получил received байт и выдал всего credited кредита
+  // (кредиты могли потеряться при обрыве). false - часть данных уже удалена из буфера
+  replay(received, credited) {
+    const missing = this.unacked && this.unacked.since(received);
+    if (!missing) return false;
+
+    if (missing.length > 0) this.client.sendTunnelData(this, missing);
+    if (credited > this.creditReceived) this.addCredit(credited - this.creditReceived);
+    this.flushWrite();
+    this.sendCredit();
+    return true;
+  }
+
+  // Данные от сервера; кредит возвращается, когда потребитель успевает читать
+  receive(data) {
+    this.received += data.length;
+    this.pendingCredit += data.length;
+    if (this.push(data)) {
+      this.sendCredit();
+    }
+  }
+
+  sendCredit() {
+    if (!this.flowControl || this.pendingCredit < framing.DEFAULT_WINDOW / 4) return;
+    if (!this.client.isReady()) return;
+
+    const credit = this.pendingCredit;
+    this.pendingCredit = 0;
+    this.creditGranted += credit;
+    this.client.sendWindowUpdate(this, credit);
+  }
+
+  _read() {
+    // Потребитель готов читать дальше - можно вернуть серверу накопленный кредит
+    this.sendCredit();
+  }
+
+  _destroy(error, callback) {
+    if (!this.remoteClosed) {
+      this.client.closeTunnel(this.tunnelId);
+    }
+    this.client.tunnels.delete(this.tunnelId);
+    this.client.streams.delete(this.streamId);
+    callback(error);
+  }
+
+  // Сервер закрыл туннель (TCP соединение завершилось или ошибка)
+  handleRemoteClose(error) {
+    this.remoteClosed = true;
+    this.client.tunnels.delete(this.tunnelId);
+    this.client.streams.delete(this.streamId);
+
+    if (error) {
+      this.destroy(protocolError(error.message, error.code));
+    } else {
+      this.push(null);
+      this.end();
+    }
+  }
+}
+
+// Потоковый HTTP запрос через http_proxy: запись -> тело запроса, чтение <- тело ответа.
+// Событие 'response' (status, headers, statusMessage, url) приходит до первых данных;
+// destroy() до конца ответа отменяет запрос на сервере (http_cancel)
+class HttpProxyStream extends Duplex {
+  constructor(client, requestId, hasBody) {
+    super();
+    this.client = client;
+    this.requestId = requestId;
+    this.hasBody = hasBody;
+    this.finished = false;
+    this.remoteClosed = false;
+  }
+
+  _write(chunk, encoding, callback) {
+    if (!this.hasBody) {
+      callback();
+      return;
+    }
+
+    // Следующий кусок тела читается только после отправки этого в сокет
+    try {
+      this.client.send({
+        type: 'http_body_chunk',
+        requestId: this.requestId,
+        data: chunk.toString('base64')
+      }, callback);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _final(callback) {
+    if (this.hasBody && this.client.connected) {
+      this.client.send({ type: 'http_body_end', requestId: this.requestId });
+    }
+    callback();
+  }
+
+  _read() {
+    // Данные приходят по мере поступления http_body_chunk
+  }
+
+  _destroy(error, callback) {
+    this.client.httpStreams.delete(this.requestId);
+    if (!this.finished && !this.remoteClosed && this.client.isReady()) {
+      this.client.send({ type: 'http_cancel', requestId: this.requestId });
+    }
+    callback(error);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'http_response_start':
+        this.emit('response', message.status, message.headers, message.statusMessage, message.url);
+        break;
+      case 'http_body_chunk':
+        this.push(Buffer.from(message.data, 'base64'));
+        break;
+      case 'http_response_end':
+        this.finished = true;
+        this.client.httpStreams.delete(this.requestId);
+        this.push(null);
+        break;
+      case 'error':
+        this.remoteClosed = true;
+        this.destroy(protocolError(message.message, message.code, message.retryAfter));
+        break;
+    }
+  }
+}
+
+// UDP ассоциация через сервер, интерфейс как у dgram.Socket:
+// send(data, port, host) и событие 'message' (data, { address, port })
+class UdpTunnel extends EventEmitter {
+  constructor(client, tunnelId, streamId) {
+    super();
+    this.client = client;
+    this.tunnelId = tunnelId;
+    this.streamId = streamId;
+    this.closed = false;
+    this.remoteClosed = false;
+  }
+
+  send(data, port, host) {
+    if (this.closed) {
+      throw protocolError('UDP tunnel is closed', 'ENOTCONN');
+    }
+    const payload = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    this.client.sendTunnelData(this, framing.encodeDatagram(host, port, payload));
+  }
+
+  receive(payload) {
+    const datagram = framing.decodeDatagram(payload);
+    if (datagram) {
+      this.emit('message', datagram.data, { address: datagram.host, port: datagram.port });
+    }
+  }
+
+  close() {
+    this.destroy();
+  }
+
+  handleRemoteClose(error) {
+    this.remoteClosed = true;
+    this.destroy(error ? protocolError(error.message, error.code) : undefined);
+  }
+
+  // Ошибка передается в 'error' только при наличии обработчика, 'close' приходит всегда
+  destroy(error) {
+    if (this.closed) return;
+    this.closed = true;
+    this.client.tunnels.delete(this.tunnelId);
+    this.client.streams.delete(this.streamId);
+    if (!this.remoteClosed) this.client.closeTunnel(this.tunnelId);
+
+    if (error && this.listenerCount('error') > 0) this.emit('error', error);
+    this.emit('close');
+  }
+}
+
+// Режим IP пакетов (tun_attach): сервер выдал адрес из своего пула, пакеты
+// передаются как есть. send(packet) и событие 'packet' (Buffer с IPv4 пакетом)
+class TunTunnel extends EventEmitter {
+  constructor(client, info) {
+    super();
+    this.client = client;
+    this.tunnelId = info.tunnelId;
+    this.streamId = info.streamId;
+    this.address = info.address;
+    this.prefix = info.prefix;
+    this.gateway = info.gateway;
+    this.mtu = info.mtu;
+    this.closed = false;
+    this.remoteClosed = false;
+  }
+
+  // Пакеты, пока нет соединения (переподключение), отбрасываются
+  send(packet) {
+    if (this.closed) {
+      throw protocolError('TUN tunnel is closed', 'ENOTCONN');
+    }
+    if (!this.client.isReady()) return false;
+    this.client.sendTunnelData(this, packet);
+    return true;
+  }
+
+  receive(packet) {
+    this.emit('packet', packet);
+  }
+
+  close() {
+    this.destroy();
+  }
+
+  handleRemoteClose(error) {
+    this.remoteClosed = true;
+    this.destroy(error ? protocolError(error.message, error.code) : undefined);
+  }
+
+  // Ошибка передается в 'error' только при наличии обработчика, 'close' приходит всегда
+  destroy(error) {
+    if (this.closed) return;
+    this.closed = true;
+    this.client.tunnels.delete(this.tunnelId);
+    this.client.streams.delete(this.streamId);
+    if (!this.remoteClosed) this.client.closeTunnel(this.tunnelId);
+
+    if (error && this.listenerCount('error') > 0) this.emit('error', error);
+    this.emit('close');
+  }
+}
+
+class VPNClient extends EventEmitter {
+  constructor(serverUrl = DEFAULT_SERVER, options = {}) {
+    super();
+    this.serverUrl = normalizeServerUrl(serverUrl);
+    this.options = options;
+    this.ws = null;
     this.connected = false;
+    this.authenticated = false;
+    this.clientId = null;
+    this.serverInfo = null;
+    this.framing = null;
+    this.closing = false;
+    this.tunnels = new Map();
+    this.streams = new Map();
+    this.httpStreams = new Map();
+    this.pending = new Map();
+
+    // Возобновление сессии после обрыва (options.reconnect = false - без переподключения)
+    this.resumeToken = null;
+    this.resumeGrace = 0;
+    this.resuming = false;
+    this.wakeReconnect = null;
+    this.closeCode = null;
+
+    // RTT по ping/pong кадрам (options.heartbeat = false - без проверки живости)
+    this.rtt = new RttStats();
+
+    // Общий ключ VPN_SECRET нужен только для серверов без обмена ключами
+    const secret = options.secret || process.env.VPN_SECRET;
+    this.encryption = secret ? new VPNEncryption(secret) : null;
+    this.cipher = this.encryption;
+
+    // Ожидаемый identity ключ сервера (из лога сервера при запуске или из подписанного
+    // списка серверов). Без него ключ запоминается при первом подключении в knownServersFile
+    // и дальше должен совпадать; options.trustOnFirstUse = false - только с заданным ключом
+    this.serverKey = options.serverKey || process.env.VPN_SERVER_KEY || null;
+    this.knownServersFile = options.knownServersFile || process.env.VPN_KNOWN_SERVERS || KNOWN_SERVERS_FILE;
   }
 
-  async connect() {
+  // Подключение завершается после получения welcome от сервера.
+  // options.transport = 'polling' - HTTP long-polling вместо WebSocket (lib/polling.js)
+  connect() {
     return new Promise((resolve, reject) => {
-      console.clear();
-      console.log('╔════════════════════════════════════════╗');
-      console.log('║       🚀 VPN CLIENT FOR RENDER        ║');
-      console.log('╚════════════════════════════════════════╝\n');
-      
-      console.log(`🔗 Подключение к ${this.host}:${this.port}...`);
-      console.log('⏳ Пожалуйста, подождите...\n');
-      
-      this.socket = net.createConnection({
-        host: this.host,
-        port: this.port,
-        timeout: 15000
-      }, () => {
-        console.log('✅ Успешно подключено к VPN серверу!');
-        console.log('📍 Регион: Oregon (US West)');
-        console.log('\n════════════════════════════════════════');
-        this.connected = true;
-        resolve();
-      });
-      
-      // Обработка данных от сервера
-      this.socket.on('data', (data) => {
-        process.stdout.write(data.toString());
+      const transport = this.options.transport === 'polling'
+        ? new PollingClient(this.serverUrl, this.options.pollingOptions)
+        : new WebSocket(this.serverUrl, this.options.wsOptions);
+      // Маскировка (options.obfuscation = { padding, jitter, secret }) с первого байта: ключ
+      // из пути сервера и общего секрета (transport.obfuscationSecret сервера)
+      const obfuscation = this.options.obfuscation;
+      const ws = new ObfuscatedSocket(transport, obfuscation
+        ? deriveKey(new URL(this.serverUrl).pathname, obfuscation.secret)
+        : null);
+      this.ws = ws;
+      this.cipher = this.encryption;
+
+      // Первым пишет клиент: сервер с маскировкой отвечает welcome только на hello
+      ws.on('open', () => {
+        const hello = { type: 'hello' };
+        if (obfuscation) {
+          ws.enable(obfuscation);
+          hello.obfuscation = { version: OBFUSCATION_VERSION, padding: obfuscation.padding, jitter: obfuscation.jitter };
+        }
+        ws.send(JSON.stringify(hello));
       });
-      
-      this.socket.on('error', (err) => {
-        if (!this.connected) {
-          console.error(`\n❌ Ошибка подключения: ${err.message}`);
-          
-          if (err.code === 'ECONNREFUSED') {
-            console.log('\n🔧 Возможные причины:');
-            console.log('1. Сервер не запущен или перезагружается');
-            console.log('2. Неправильный порт');
-            console.log('3. Render завершил инстанс (бесплатный план)');
-            console.log('\n💡 Решения:');
-            console.log('• Откройте в браузере: https://' + this.host);
-            console.log('• Подождите 30-60 секунд для запуска сервера');
-            console.log('• Проверьте логи на Render Dashboard');
-          } else if (err.code === 'ETIMEDOUT') {
-            console.log('\n⏰ Таймаут подключения');
-            console.log('• Проверьте интернет соединение');
-            console.log('• Возможно, сервер выключен');
+
+      const onWelcome = async (message) => {
+        this.connected = true;
+        if (this.options.heartbeat !== false) {
+          new Heartbeat(ws, {
+            interval: this.options.heartbeatInterval || HEARTBEAT_INTERVAL,
+            timeout: this.options.heartbeatTimeout || HEARTBEAT_TIMEOUT
+          }, this.rtt);
+        }
+        this.clientId = message.clientId;
+        this.serverInfo = message;
+
+        // Бинарные кадры, если сервер их поддерживает (options.framing = false - только JSON)
+        const serverFraming = message.framing || [];
+        const negotiate = { type: 'negotiate' };
+        if (this.options.framing !== false && serverFraming.includes(framing.FRAMING_VERSION)) {
+          negotiate.framing = framing.FRAMING_VERSION;
+        }
+
+        if (negotiate.framing) {
+          let result;
+          try {
+            result = await this.request(negotiate);
+          } catch (error) {
+            result = {};
+          }
+          this.framing = result.framing || null;
+        }
+
+        if (message.keyExchange && this.options.keyExchange !== false) {
+          try {
+            this.cipher = await this.exchangeKeys(message.keyExchange);
+          } catch (error) {
+            reject(error);
+            ws.close();
+            return;
           }
-          
-          reject(err);
+        }
+
+        resolve(message);
+      };
+
+      ws.on('message', (data, isBinary) => {
+        if (isBinary) {
+          this.handleFrame(data);
+          return;
+        }
+
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (error) {
+          this.emit('error', protocolError(`Invalid message from server: ${error.message}`, 'EPROTO'));
+          return;
+        }
+
+        if (message.type === 'welcome' && !this.connected) {
+          // Открытый welcome в ответ на маскированный hello - маскировки на сервере нет
+          if (obfuscation && !message.obfuscation) {
+            reject(protocolError('Server does not support traffic obfuscation', 'EOBFUSCATION'));
+            ws.close();
+            return;
+          }
+          onWelcome(message);
+        } else {
+          this.handleMessage(message);
         }
       });
-      
-      this.socket.on('close', () => {
-        if (this.connected) {
-          console.log('\n🔌 Соединение закрыто сервером');
-          process.exit(0);
+
+      ws.on('error', (error) => {
+        if (!this.connected) {
+          reject(error);
+        } else {
+          this.emit('error', error);
         }
       });
-      
-      this.socket.on('timeout', () => {
-        console.error('\n⏰ Таймаут соединения');
-        console.log('Попробуйте:');
-        console.log('1. Проверить что сервер запущен: https://' + this.host);
-        console.log('2. Подождать 1-2 минуты (бесплатный инстанс просыпается)');
-        this.socket.destroy();
-        reject(new Error('Connection timeout'));
+
+      ws.on('close', (code, reason) => {
+        if (ws !== this.ws) return;
+
+        const wasConnected = this.connected;
+        this.connected = false;
+        this.closeCode = code;
+
+        // Туннели ждут переподключения, ожидающие запросы завершаются с ошибкой
+        if (this.resuming || (wasConnected && this.canResume())) {
+          this.failPending(protocolError('Connection to VPN server closed', 'ECONNRESET'));
+          if (!wasConnected) {
+            reject(protocolError(`Connection closed before welcome (${code})`, 'ECONNRESET'));
+          } else if (!this.resuming) {
+            this.reconnect();
+          }
+          return;
+        }
+
+        this.authenticated = false;
+        this.cleanup(protocolError('Connection to VPN server closed', 'ECONNRESET'));
+
+        if (wasConnected) {
+          this.emit('close', code, reason.toString());
+        } else {
+          reject(protocolError(`Connection closed before welcome (${code})`, 'ECONNRESET'));
+        }
       });
     });
   }
 
-  startInteractive() {
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
-    
-    // Простой промпт
-    process.stdout.write('\nVPN> ');
-    
-    rl.on('line', (line) => {
-      if (this.connected) {
-        this.socket.write(line + '\n');
-        
-        if (line.trim().toUpperCase() === 'EXIT') {
-          setTimeout(() => {
-            console.log('\n👋 Завершение работы...');
-            this.socket.end();
-            rl.close();
-            process.exit(0);
-          }, 500);
+  handleMessage(message) {
+    const httpStream = message.requestId && this.httpStreams.get(message.requestId);
+    if (httpStream) {
+      httpStream.handleMessage(message);
+      return;
+    }
+
+    const pending = message.requestId && this.pending.get(message.requestId);
+
+    switch (message.type) {
+      case 'tunnel_open': {
+        const stream = new TunnelStream(this, message.tunnelId, message.target, message.streamId, message.window);
+        this.tunnels.set(message.tunnelId, stream);
+        if (message.streamId) this.streams.set(message.streamId, stream);
+        if (pending) this.settle(message.requestId, null, stream);
+        this.emit('tunnel_open', stream);
+        break;
+      }
+
+      case 'udp_tunnel_open': {
+        const tunnel = new UdpTunnel(this, message.tunnelId, message.streamId);
+        this.tunnels.set(message.tunnelId, tunnel);
+        if (message.streamId) this.streams.set(message.streamId, tunnel);
+        if (pending) this.settle(message.requestId, null, tunnel);
+        break;
+      }
+
+      case 'tun_attached': {
+        const tunnel = new TunTunnel(this, message);
+        this.tunnels.set(message.tunnelId, tunnel);
+        if (message.streamId) this.streams.set(message.streamId, tunnel);
+        if (pending) this.settle(message.requestId, null, tunnel);
+        break;
+      }
+
+      case 'tunnel_data': {
+        const stream = this.tunnels.get(message.tunnelId);
+        if (!stream) return;
+
+        const decrypted = this.cipher && this.cipher.decrypt(Buffer.from(message.data, 'base64'));
+        if (decrypted) {
+          stream.receive(decrypted);
+        } else {
+          stream.destroy(protocolError('Failed to decrypt tunnel data', 'EDECRYPT'));
+        }
+        break;
+      }
+
+      case 'tunnel_close': {
+        const stream = this.tunnels.get(message.tunnelId);
+        if (stream) {
+          stream.handleRemoteClose(message.error);
+        } else if (pending) {
+          // Туннель так и не открылся
+          const error = message.error || { message: 'Tunnel closed', code: 'ECONNRESET' };
+          this.settle(message.requestId, protocolError(error.message, error.code));
+        }
+        break;
+      }
+
+      case 'tunnel_window': {
+        const stream = this.tunnels.get(message.tunnelId);
+        if (stream) stream.addCredit(message.credit);
+        break;
+      }
+
+      case 'resume_failed':
+        if (pending) this.settle(message.requestId, protocolError(message.reason, 'ERESUME'));
+        break;
+
+      case 'auth_failed':
+        if (pending) this.settle(message.requestId, protocolError(message.reason, message.code || 'EAUTH', message.retryAfter));
+        break;
+
+      case 'error':
+        if (pending) {
+          this.settle(message.requestId, protocolError(message.message, message.code, message.retryAfter));
+        } else {
+          this.emit('server_error', message);
+        }
+        break;
+
+      default:
+        if (pending) {
+          this.settle(message.requestId, null, message);
         } else {
-          // Показываем промпт снова через небольшой таймаут
-          setTimeout(() => process.stdout.write('VPN> '), 100);
+          this.emit('message', message);
+        }
+    }
+  }
+
+  // X25519 с сервером; подпись проверяется ожидаемым identity ключом сервера - ключ
+  // из welcome сам по себе ничего не доказывает
+  async exchangeKeys(keyExchange) {
+    const knownKey = this.serverKey ? null : readKnownServers(this.knownServersFile)[this.serverUrl];
+    const expectedKey = this.serverKey || knownKey;
+
+    if (expectedKey && keyExchange.identityKey !== expectedKey) {
+      throw protocolError(this.serverKey
+        ? 'Server identity key does not match VPN_SERVER_KEY'
+        : `Server identity key differs from the one remembered in ${this.knownServersFile}`, 'EKEYMISMATCH');
+    }
+    if (!expectedKey && this.options.trustOnFirstUse === false) {
+      throw protocolError('Server identity key is unknown: set VPN_SERVER_KEY', 'EKEYMISMATCH');
+    }
+
+    const keys = sessionCrypto.generateEphemeralKeys();
+    const clientPublicKey = sessionCrypto.exportPublicKey(keys.publicKey);
+    const result = await this.request({ type: 'key_exchange', publicKey: clientPublicKey });
+
+    const valid = sessionCrypto.verifyTranscript(
+      keyExchange.identityKey, result.signature, this.clientId, clientPublicKey, result.publicKey
+    );
+    if (!valid) {
+      throw protocolError('Invalid key exchange signature', 'EKEYMISMATCH');
+    }
+
+    if (!expectedKey) {
+      rememberServerKey(this.knownServersFile, this.serverUrl, keyExchange.identityKey);
+      process.emitWarning(
+        `Trusting identity key of ${this.serverUrl} on first use (${keyExchange.identityKey}): ` +
+        `the connection is not protected from interception until the key is checked. ` +
+        `Compare it with identityKey in the server log and set VPN_SERVER_KEY`,
+        { code: 'VPN_UNVERIFIED_SERVER_KEY' }
+      );
+    }
+
+    return new sessionCrypto.SessionCipher(keys.privateKey, result.publicKey, clientPublicKey, result.publicKey, false);
+  }
+
+  // Бинарный кадр с данными туннеля
+  handleFrame(data) {
+    const frame = framing.decodeFrame(data);
+    if (!frame) {
+      this.emit('error', protocolError('Invalid frame from server', 'EPROTO'));
+      return;
+    }
+
+    const stream = this.streams.get(frame.streamId);
+    if (!stream) return;
+
+    if (frame.type === framing.FRAME_TYPES.WINDOW_UPDATE) {
+      stream.addCredit(framing.decodeWindowUpdate(frame));
+      return;
+    }
+
+    if (frame.type !== framing.FRAME_TYPES.DATA) return;
+
+    const decrypted = this.cipher && this.cipher.decrypt(frame.payload);
+    if (decrypted) {
+      stream.receive(decrypted);
+    } else {
+      stream.destroy(protocolError('Failed to decrypt tunnel data', 'EDECRYPT'));
+    }
+  }
+
+  // Отправка запроса с requestId и ожиданием ответа с тем же requestId
+  request(message, timeout = REQUEST_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(protocolError('Not connected to VPN server', 'ENOTCONN'));
+        return;
+      }
+
+      const requestId = crypto.randomBytes(8).toString('hex');
+      const timer = setTimeout(() => {
+        this.settle(requestId, protocolError(`Request ${message.type} timed out`, 'ETIMEDOUT'));
+      }, timeout);
+
+      this.pending.set(requestId, { resolve, reject, timer });
+      this.send({ ...message, requestId });
+    });
+  }
+
+  settle(requestId, error, result) {
+    const pending = this.pending.get(requestId);
+    if (!pending) return;
+
+    this.pending.delete(requestId);
+    clearTimeout(pending.timer);
+
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  // credentials - токен/API ключ строкой или { username, password }
+  async authenticate(credentials) {
+    const fields = typeof credentials === 'string' ? { token: credentials } : credentials;
+    const result = await this.request({ type: 'auth', ...fields });
+    this.authenticated = true;
+    this.resumeToken = result.resumeToken || null;
+    this.resumeGrace = (result.resumeGrace || 0) * 1000;
+    return result;
+  }
+
+  // Данные туннелей можно отправлять: соединение есть и сессия не возобновляется
+  isReady() {
+    return this.connected && !this.resuming;
+  }
+
+  canResume() {
+    return Boolean(this.resumeToken) && !this.closing && this.options.reconnect !== false;
+  }
+
+  // Переподключение с растущей задержкой и resume; если сервер сессию уже не помнит
+  // или истекло время ожидания (resumeGrace), клиент закрывается ('close')
+  async reconnect() {
+    this.resuming = true;
+    const deadline = Date.now() + this.resumeGrace;
+    let delay = RECONNECT_DELAY;
+
+    for (let attempt = 1; !this.closing; attempt++) {
+      this.emit('reconnecting', attempt, delay);
+      await new Promise(resolve => {
+        this.wakeReconnect = resolve;
+        setTimeout(resolve, delay);
+      });
+      delay = Math.min(delay * 2, RECONNECT_MAX_DELAY);
+      if (this.closing) break;
+
+      try {
+        await this.connect();
+        const result = await this.request({
+          type: 'resume',
+          resumeToken: this.resumeToken,
+          tunnels: Array.from(this.tunnels.values()).map(tunnel => ({
+            tunnelId: tunnel.tunnelId,
+            received: tunnel.received || 0,
+            credited: tunnel.creditGranted || 0
+          }))
+        });
+
+        this.resuming = false;
+        this.clientId = result.clientId;
+        this.resumeToken = result.resumeToken;
+        this.resumeTunnels(result.tunnels);
+        this.emit('resumed', result);
+        return;
+      } catch (error) {
+        if (error.code === 'ERESUME' || Date.now() > deadline) {
+          this.resuming = false;
+          this.resumeToken = null;
+          if (this.connected) {
+            this.ws.close(CLOSE_NORMAL);
+          } else {
+            this.finishClose(error);
+          }
+          return;
         }
+        if (this.connected) this.ws.terminate();
+      }
+    }
+
+    this.resuming = false;
+    this.finishClose(protocolError('Connection to VPN server closed', 'ECONNRESET'));
+  }
+
+  // Досылка данных туннелей, которые сервер помнит; остальные закрываются
+  resumeTunnels(serverTunnels) {
+    const states = new Map(serverTunnels.map(entry => [entry.tunnelId, entry]));
+
+    this.tunnels.forEach(tunnel => {
+      const state = states.get(tunnel.tunnelId);
+      if (!state) {
+        tunnel.handleRemoteClose({ code: 'ERESUME', message: 'Tunnel closed while reconnecting' });
+      } else if (tunnel.replay && !tunnel.replay(state.received, state.credited)) {
+        tunnel.destroy(protocolError('Tunnel data lost while reconnecting', 'ERESUME'));
       }
     });
-    
-    rl.on('close', () => {
-      console.log('\n👋 До свидания!');
-      if (this.socket) this.socket.end();
-      process.exit(0);
+  }
+
+  async createTunnel(targetHost, targetPort) {
+    if (!this.cipher) {
+      throw protocolError('No session keys and VPN_SECRET is not set: tunnel data cannot be encrypted', 'ENOKEY');
+    }
+
+    return this.request({ type: 'create_tunnel', targetHost, targetPort, window: framing.DEFAULT_WINDOW });
+  }
+
+  // UDP ассоциация: датаграммы на любые адреса, разрешенные политикой сервера
+  async createUdpTunnel() {
+    if (!this.cipher) {
+      throw protocolError('No session keys and VPN_SECRET is not set: tunnel data cannot be encrypted', 'ENOKEY');
+    }
+
+    return this.request({ type: 'create_udp_tunnel' });
+  }
+
+  // Адрес в пуле сервера и пакеты IPv4 (TunTunnel); сервер должен включить tun.enabled,
+  // у пользователя должно быть право tun
+  async attachTun() {
+    if (!this.cipher) {
+      throw protocolError('No session keys and VPN_SECRET is not set: tunnel data cannot be encrypted', 'ENOKEY');
+    }
+
+    return this.request({ type: 'tun_attach' });
+  }
+
+  // Потоковый HTTP запрос через сервер. hasBody = false означает запрос без тела.
+  // options: { redirect: 'manual' | 'follow' | 'error', maxRedirects, timeout (мс), maxResponseSize }
+  httpRequest(method, url, headers = {}, hasBody = false, options = {}) {
+    const requestId = crypto.randomBytes(8).toString('hex');
+    const stream = new HttpProxyStream(this, requestId, hasBody);
+    const { redirect, maxRedirects, timeout, maxResponseSize } = options;
+
+    this.httpStreams.set(requestId, stream);
+    try {
+      this.send({
+        type: 'http_proxy',
+        stream: true,
+        requestId,
+        method,
+        url,
+        headers,
+        hasBody,
+        redirect,
+        maxRedirects,
+        timeout,
+        maxResponseSize
+      });
+    } catch (error) {
+      process.nextTick(() => stream.destroy(error));
+    }
+
+    return stream;
+  }
+
+  // Сырой DNS запрос (wire format) через сервер -> Buffer с ответом
+  async dnsQuery(query) {
+    const result = await this.request({ type: 'dns_query', query: query.toString('base64') });
+    return Buffer.from(result.response, 'base64');
+  }
+
+  // { name, rrtype, answers, ttl, cached }
+  resolve(name, rrtype = 'A') {
+    return this.request({ type: 'dns_query', name, rrtype });
+  }
+
+  ping() {
+    return this.request({ type: 'ping', timestamp: Date.now() });
+  }
+
+  stats() {
+    return this.request({ type: 'stats' });
+  }
+
+  sendTunnelData(stream, data, callback) {
+    const encrypted = this.cipher.encrypt(data);
+
+    if (this.framing && stream.streamId) {
+      this.sendRaw(framing.encodeFrame(
+        framing.FRAME_TYPES.DATA, stream.streamId, encrypted, framing.FLAGS.ENCRYPTED
+      ), callback);
+      return;
+    }
+
+    this.send({
+      type: 'tunnel_data',
+      tunnelId: stream.tunnelId,
+      data: encrypted.toString('base64')
+    }, callback);
+  }
+
+  sendWindowUpdate(stream, credit) {
+    if (!this.connected) return;
+
+    if (this.framing && stream.streamId) {
+      this.sendRaw(framing.encodeWindowUpdate(stream.streamId, credit));
+    } else {
+      this.send({ type: 'tunnel_window', tunnelId: stream.tunnelId, credit });
+    }
+  }
+
+  closeTunnel(tunnelId) {
+    if (this.connected) {
+      this.send({ type: 'close_tunnel', tunnelId });
+    }
+  }
+
+  send(data, callback) {
+    this.sendRaw(JSON.stringify(data), callback);
+  }
+
+  // callback вызывается, когда данные переданы в сокет
+  sendRaw(data, callback) {
+    if (!this.connected || this.ws.readyState !== WebSocket.OPEN) {
+      throw protocolError('Not connected to VPN server', 'ENOTCONN');
+    }
+    this.ws.send(data, callback);
+  }
+
+  // Запросы и HTTP потоки не переживают обрыв соединения
+  failPending(error, streamError = error) {
+    this.pending.forEach((pending, requestId) => this.settle(requestId, error));
+    this.httpStreams.forEach(stream => stream.destroy(streamError));
+    this.httpStreams.clear();
+  }
+
+  // После close() потоки закрываются без ошибки, ожидающие запросы - с ошибкой
+  cleanup(error) {
+    const streamError = this.closing ? undefined : error;
+    this.closing = false;
+
+    this.failPending(error, streamError);
+    this.tunnels.forEach(stream => stream.destroy(streamError));
+    this.tunnels.clear();
+    this.streams.clear();
+  }
+
+  // Завершение без соединения (переподключение не удалось или прервано close())
+  finishClose(error) {
+    this.authenticated = false;
+    this.cleanup(error);
+    this.emit('close', this.closeCode, error.message);
+  }
+
+  close() {
+    if (!this.ws) return;
+
+    this.closing = true;
+    if (this.resuming && this.wakeReconnect) this.wakeReconnect();
+    if (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING) {
+      this.ws.close(CLOSE_NORMAL);
+    }
+  }
+}
+
+// { URL сервера: identity ключ }; файла еще нет - пустой список
+function readKnownServers(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw protocolError(`Cannot read known servers from ${file}: ${error.message}`, 'EKNOWNSERVERS');
+  }
+}
+
+function rememberServerKey(file, serverUrl, identityKey) {
+  const known = readKnownServers(file);
+  known[serverUrl] = identityKey;
+  fs.writeFileSync(file, JSON.stringify(known, null, 2), { mode: 0o600 });
+}
+
+// Список серверов из источника: URL /servers, адрес сервера (его /servers) или файл.
+// publicKey - ключ подписи манифеста (manifestKey в логе сервера)
+async function fetchServerList(source, publicKey, timeout = REQUEST_TIMEOUT) {
+  let manifest;
+  if (fs.existsSync(source)) {
+    manifest = JSON.parse(fs.readFileSync(source, 'utf8'));
+  } else {
+    const url = new URL(/^https?:\/\//.test(source) ? source : normalizeServerUrl(source).replace(/^ws/, 'http'));
+    if (url.pathname === '/' || url.pathname === '/vpn') url.pathname = '/servers';
+    manifest = await fetchJson(url.toString(), timeout);
+  }
+  return verifyManifest(manifest, publicKey);
+}
+
+function fetchJson(url, timeout) {
+  return new Promise((resolve, reject) => {
+    const request = (url.startsWith('https:') ? https : http).get(url, { timeout }, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(protocolError(`GET ${url}: HTTP ${res.statusCode}`, 'EMANIFEST'));
+        return;
+      }
+
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', reject);
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString()));
+        } catch (error) {
+          reject(protocolError(`GET ${url}: ${error.message}`, 'EMANIFEST'));
+        }
+      });
     });
+    request.on('timeout', () => request.destroy(protocolError(`GET ${url}: timed out`, 'ETIMEDOUT')));
+    request.on('error', reject);
+  });
+}
+
+// RTT до сервера в мс по ping до аутентификации (минимум из PROBE_PINGS)
+// options - транспорт и маскировка, как у VPNClient
+async function probeLatency(serverUrl, timeout = PROBE_TIMEOUT, options = {}) {
+  const client = new VPNClient(serverUrl, {
+    reconnect: false,
+    heartbeat: false,
+    framing: false,
+    keyExchange: false,
+    wsOptions: { handshakeTimeout: timeout },
+    pollingOptions: { timeout },
+    ...options
+  });
+  client.on('error', () => {});
+
+  try {
+    await client.connect();
+    let best = Infinity;
+    for (let i = 0; i < PROBE_PINGS; i++) {
+      const start = Date.now();
+      await client.request({ type: 'ping', timestamp: start }, timeout);
+      best = Math.min(best, Date.now() - start);
+    }
+    return best;
+  } finally {
+    client.close();
   }
 }
 
+// Узлы по возрастанию задержки, при равной - по priority; недоступные в конце
+// с latency = null и error
+async function rankServers(nodes, timeout = PROBE_TIMEOUT, options = {}) {
+  const results = await Promise.all(nodes.map(async node => {
+    try {
+      return { node, latency: await probeLatency(node.url, timeout, options) };
+    } catch (error) {
+      return { node, latency: null, error };
+    }
+  }));
+
+  const order = result => result.latency === null ? Infinity : result.latency;
+  return results.sort((a, b) => (order(a) - order(b)) || (a.node.priority - b.node.priority));
+}
+
+// Разбор аргументов: позиционные параметры и флаги вида --name value
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      const hasValue = i + 1 < argv.length && !argv[i + 1].startsWith('--');
+      flags[name] = hasValue ? argv[++i] : true;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  return { positional, flags };
+}
+
 // Если запущен как скрипт
 if (require.main === module) {
-  const args = process.argv.slice(2);
-  
-  if (args.length === 0) {
+  const { positional: args, flags } = parseArgs(process.argv.slice(2));
+
+  if (args.length === 0 && Object.keys(flags).length === 0) {
     console.log(`
 ╔══════════════════════════════════════════════════════════╗
 ║                 🚀 VPN CLIENT FOR RENDER                 ║
 ╚══════════════════════════════════════════════════════════╝
 
 📋 Использование:
-  node client.js [сервер] [порт]
+  node client.js [сервер] [токен] [хост:порт]
+  node client.js [сервер] [токен] --socks [порт] [--socks-auth user:pass]
+  node client.js [сервер] [токен] --http [порт]
+  node client.js [сервер] [токен] --dns [порт]
+  node client.js [сервер] [токен] --tun [интерфейс] [--tun-route сеть,сеть]
+  node client.js [сервер] [токен] --servers [список] [--manifest-key ключ] [--region регион] ...
+  node client.js [сервер] [токен] [--transport polling] [--obfuscate] [--padding байт] [--jitter мс] ...
 
 📝 Примеры:
-  node client.js vpn-server-o.onrender.com 10000
-  node client.js your-server.onrender.com 3000
-
-🛠️  Если сервер не отвечает:
-  1. Откройте в браузере: https://ваш-сервер.onrender.com
-  2. Подождите 30-60 секунд для запуска
-  3. Проверьте логи на render.com
-
-🔧 Команды в VPN:
-  HELP    - Показать команды
-  PING    - Проверить соединение
-  TIME    - Время сервера
-  STATS   - Статистика
-  ECHO текст - Эхо
-  EXIT    - Выход
+  node client.js vpn-server-o.onrender.com client123
+  node client.js ws://localhost:3000/vpn client123 example.com:80
+  node client.js vpn-server-o.onrender.com client123 --socks 1080
+  node client.js vpn-server-o.onrender.com client123 --socks --http
+
+🔑 Ключи сессии согласуются с сервером (X25519). VPN_SERVER_KEY - ожидаемый
+   identity ключ сервера (печатается при запуске); без него ключ запоминается при
+   первом подключении в ~/.vpn-known-servers.json (VPN_KNOWN_SERVERS) и
+   проверяется при следующих. VPN_SECRET - общий ключ для серверов без обмена ключами
+
+🔧 Команды в интерактивном режиме:
+  PING              - Проверить соединение
+  STATS             - Статистика
+  EXIT              - Выход
+
+🔗 С аргументом хост:порт stdin/stdout пробрасываются через туннель
+🧦 С флагом --socks на 127.0.0.1 запускается SOCKS5 прокси (по умолчанию порт 1080,
+   CONNECT и UDP ASSOCIATE)
+🌐 С флагом --http на 127.0.0.1 запускается HTTP прокси (по умолчанию порт 8080),
+   подходит для HTTP_PROXY/HTTPS_PROXY
+🧭 С флагом --dns на 127.0.0.1 запускается DNS сервер (UDP и TCP, по умолчанию
+   порт 5353), запросы резолвятся на VPN сервере
+🕳  С флагом --tun создается TUN интерфейс (Linux, root) с адресом из пула сервера;
+   --tun-route - сети через VPN, 0.0.0.0/0 - весь трафик
+📡 С флагом --servers клиент берет подписанный список узлов (URL /servers, файл или
+   /servers указанного сервера), выбирает узел с наименьшей задержкой и при ошибке
+   подключения или аутентификации переходит к следующему. --manifest-key
+   (VPN_MANIFEST_KEY) - ключ подписи списка (manifestKey в логе сервера),
+   --region - только узлы этого региона
+🥷 --obfuscate маскирует трафик от DPI с первого байта: сообщения уходят бинарными
+   записями со случайным дополнением (--padding, до ${DEFAULT_PADDING} байт) и задержкой
+   (--jitter, до ${DEFAULT_JITTER} мс), если на сервере VPN_OBFUSCATION=true. Ключ
+   выводится из пути сервера и VPN_OBFUSCATION_SECRET (общий секрет сервера, включает
+   --obfuscate). --transport polling - обычные HTTP запросы вместо WebSocket для сетей,
+   где WebSocket заблокирован. Нестандартный путь сервера - полным URL (wss://host/путь)
 `);
-    
-    // Авто-определение сервера
-    const readline = require('readline');
+
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout
     });
-    
-    rl.question('\nВведите адрес вашего сервера (например: vpn-server-o.onrender.com): ', (host) => {
-      rl.question('Введите порт (по умолчанию 10000): ', (port) => {
+
+    rl.question(`\nВведите адрес сервера (по умолчанию ${DEFAULT_SERVER}): `, (host) => {
+      rl.question('Введите токен (по умолчанию client123): ', (token) => {
         rl.close();
-        
-        const finalHost = host.trim() || 'vpn-server-o.onrender.com';
-        const finalPort = parseInt(port) || 10000;
-        
-        startClient(finalHost, finalPort);
+        startClient(host.trim() || DEFAULT_SERVER, token.trim() || 'client123', flags);
       });
     });
   } else {
-    const host = args[0];
-    const port = parseInt(args[1]) || 10000;
-    startClient(host, port);
+    startClient(args[0] || DEFAULT_SERVER, args[1] || 'client123', { ...flags, target: args[2] });
   }
 }
 
-async function startClient(host, port) {
-  const client = new VPNClient(host, port);
-  
+async function startClient(server, token, options = {}) {
+  const { target } = options;
+  let client;
+
   try {
-    await client.connect();
-    client.startInteractive();
+    client = options.servers
+      ? await connectFromList(options.servers === true ? server : options.servers, token, options)
+      : await connectServer(server, token, null, transportOptions(options));
+  } catch (error) {
+    console.error(`❌ Не удалось подключиться: ${error.message}`);
+    if (!options.servers) {
+      console.log('💡 Откройте https://' + normalizeServerUrl(server).split('/')[2] + ' и подождите 30-60 секунд (бесплатный инстанс просыпается)');
+    }
+    process.exit(1);
+  }
+
+  client.on('reconnecting', (attempt, delay) => {
+    console.error(`🔄 Связь потеряна, переподключение через ${delay} мс (попытка ${attempt})`);
+  });
+  client.on('resumed', () => {
+    console.error('✅ Сессия восстановлена');
+  });
+  client.on('close', () => {
+    console.error('\n🔌 Соединение закрыто сервером');
+    process.exit(0);
+  });
+
+  if (target) {
+    const separator = target.lastIndexOf(':');
+    const host = target.slice(0, separator);
+    const port = parseInt(target.slice(separator + 1));
+
+    try {
+      const tunnel = await client.createTunnel(host, port);
+      console.error(`🔗 Туннель ${tunnel.tunnelId} открыт к ${tunnel.target}`);
+
+      process.stdin.pipe(tunnel).pipe(process.stdout);
+      tunnel.on('close', () => {
+        client.close();
+        process.exit(0);
+      });
+      tunnel.on('error', (error) => {
+        console.error(`❌ Ошибка туннеля: ${error.message}`);
+      });
+    } catch (error) {
+      console.error(`❌ Не удалось открыть туннель: ${error.message} (${error.code})`);
+      client.close();
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (options.socks || options.http || options.dns || options.tun) {
+    if (options.socks) await startSocks(client, options);
+    if (options.http) await startHttpProxy(client, options);
+    if (options.dns) await startDnsProxy(client, options);
+    if (options.tun) await startTun(client, options);
+    return;
+  }
+
+  startInteractive(client);
+}
+
+// transport - транспорт и маскировка из transportOptions
+async function connectServer(server, token, serverKey, transport = {}) {
+  const client = new VPNClient(server, { serverKey, ...transport });
+
+  try {
+    console.log(`🔗 Подключение к ${client.serverUrl}...`);
+    const welcome = await client.connect();
+    console.log(`✅ Подключено: ${welcome.server}, регион ${welcome.region}`);
+
+    await client.authenticate(token);
+    console.log('🔐 Аутентификация пройдена');
+  } catch (error) {
+    client.close();
+    throw error;
+  }
+
+  return client;
+}
+
+// Параметры VPNClient из флагов --transport, --obfuscate, --padding, --jitter и
+// VPN_OBFUSCATION_SECRET
+function transportOptions(options) {
+  const result = {};
+  if (options.transport && options.transport !== 'websocket') {
+    if (options.transport !== 'polling') {
+      throw protocolError(`Unknown transport ${options.transport} (websocket or polling)`, 'EINVAL');
+    }
+    result.transport = 'polling';
+  }
+
+  const secret = process.env.VPN_OBFUSCATION_SECRET || null;
+  if (options.obfuscate || options.padding || options.jitter || secret) {
+    result.obfuscation = {
+      padding: options.padding ? parseInt(options.padding) : DEFAULT_PADDING,
+      jitter: options.jitter ? parseInt(options.jitter) : DEFAULT_JITTER,
+      secret
+    };
+  }
+  return result;
+}
+
+// Возможности узла, нужные включенным режимам
+function requiredCapabilities(options) {
+  const required = [];
+  if (options.target || options.socks || options.http) required.push('tcp');
+  if (options.http) required.push('http_proxy');
+  if (options.dns) required.push('dns');
+  if (options.tun) required.push('tun');
+  return required;
+}
+
+// Узел с наименьшей задержкой из списка; при ошибке подключения или
+// аутентификации - следующий
+async function connectFromList(source, token, options) {
+  const manifestKey = typeof options['manifest-key'] === 'string'
+    ? options['manifest-key']
+    : process.env.VPN_MANIFEST_KEY;
+  const manifest = await fetchServerList(source, manifestKey);
+  if (!manifestKey) console.error('⚠️  Подпись списка серверов не проверена: укажите --manifest-key или VPN_MANIFEST_KEY');
+
+  const transport = transportOptions(options);
+  const required = requiredCapabilities(options);
+  const nodes = manifest.nodes.filter(node => {
+    if (typeof options.region === 'string' && node.region !== options.region) return false;
+    return required.every(capability => node.capabilities.includes(capability));
+  });
+  if (nodes.length === 0) {
+    throw protocolError(`No servers in the list match region and capabilities (${required.join(', ') || 'any'})`, 'ENOSERVERS');
+  }
+
+  console.log(`📡 Проверка задержки: ${nodes.length} из ${manifest.nodes.length} узлов`);
+  const ranked = await rankServers(nodes, PROBE_TIMEOUT, transport);
+  ranked.forEach(({ node, latency, error }) => {
+    console.log(`   ${node.id} (${node.region || 'регион не указан'}): ${latency === null ? `недоступен - ${error.message}` : `${latency} мс`}`);
+  });
+
+  for (let i = 0; ; i++) {
+    const { node } = ranked[i];
+    try {
+      // Ключ узла из списка без проверенной подписи не лучше ключа из welcome
+      return await connectServer(node.url, token, manifestKey ? node.identityKey : null, transport);
+    } catch (error) {
+      if (i === ranked.length - 1) throw error;
+      console.error(`⚠️  ${node.id}: ${error.message}, переход к следующему узлу`);
+    }
+  }
+}
+
+async function startSocks(client, options) {
+  const port = options.socks === true ? 1080 : parseInt(options.socks);
+  let users = null;
+
+  if (typeof options['socks-auth'] === 'string') {
+    const separator = options['socks-auth'].indexOf(':');
+    users = {
+      [options['socks-auth'].slice(0, separator)]: options['socks-auth'].slice(separator + 1)
+    };
+  }
+
+  const socks = new SOCKS5Server(client, { users });
+
+  try {
+    const address = await socks.listen(port);
+    console.log(`🧦 SOCKS5 прокси: socks5://${address.address}:${address.port}${users ? ' (логин/пароль)' : ''}`);
+  } catch (error) {
+    console.error(`❌ Не удалось запустить SOCKS5 прокси: ${error.message}`);
+    client.close();
+    process.exit(1);
+  }
+}
+
+async function startHttpProxy(client, options) {
+  const port = options.http === true ? 8080 : parseInt(options.http);
+  const proxy = new HTTPProxyServer(client);
+
+  try {
+    const address = await proxy.listen(port);
+    console.log(`🌐 HTTP прокси: http://${address.address}:${address.port}`);
+  } catch (error) {
+    console.error(`❌ Не удалось запустить HTTP прокси: ${error.message}`);
+    client.close();
+    process.exit(1);
+  }
+}
+
+async function startDnsProxy(client, options) {
+  const port = options.dns === true ? 5353 : parseInt(options.dns);
+  const proxy = new DNSProxyServer(client);
+
+  try {
+    const address = await proxy.listen(port);
+    console.log(`🧭 DNS сервер: ${address.address}:${address.port} (UDP/TCP)`);
   } catch (error) {
-    console.log('\n🎯 Не удалось подключиться к серверу.');
-    console.log('💡 Создайте свой сервер на Render:');
-    console.log('1. Зайдите на render.com');
-    console.log('2. Создайте Web Service');
-    console.log('3. Выберите регион Oregon');
-    console.log('4. Загрузите файлы сервера');
-    console.log('5. Используйте ваш адрес: ваш-проект.onrender.com\n');
-    
+    console.error(`❌ Не удалось запустить DNS сервер: ${error.message}`);
+    client.close();
     process.exit(1);
   }
 }
 
+// Сети из --tun-route; 0.0.0.0/0 делится на две половины, чтобы не заменять
+// маршрут по умолчанию, а маршрут к самому серверу закрепляется через текущий шлюз
+async function startTun(client, options) {
+  const name = options.tun === true ? 'vpn0' : options.tun;
+  const routes = typeof options['tun-route'] === 'string'
+    ? options['tun-route'].split(',').map(route => route.trim()).filter(Boolean)
+    : [];
+  const fullTunnel = routes.includes('0.0.0.0/0');
+  let tunnel;
+  let device;
+
+  try {
+    tunnel = await client.attachTun();
+    device = new TunDevice(name);
+    const interfaceName = await device.open();
+    await configureInterface(interfaceName, { address: tunnel.address, prefix: tunnel.prefix, mtu: tunnel.mtu });
+
+    if (fullTunnel) {
+      const server = await dns.promises.lookup(new URL(client.serverUrl).hostname, { family: 4 });
+      await pinRoute(server.address);
+      process.on('exit', () => removeRouteSync(`${server.address}/32`));
+    }
+    const tunRoutes = routes.flatMap(route => route === '0.0.0.0/0' ? ['0.0.0.0/1', '128.0.0.0/1'] : [route]);
+    for (const route of tunRoutes) {
+      await addRoute(interfaceName, route);
+    }
+
+    console.log(`🕳  TUN интерфейс ${interfaceName}: ${tunnel.address}/${tunnel.prefix}, шлюз ${tunnel.gateway}, MTU ${tunnel.mtu}`);
+    if (routes.length > 0) console.log(`🛣  Через VPN: ${routes.join(', ')}`);
+  } catch (error) {
+    console.error(`❌ Не удалось создать TUN интерфейс: ${error.message}`);
+    if (device) device.close();
+    client.close();
+    process.exit(1);
+  }
+
+  device.on('packet', (packet) => {
+    if (!tunnel.closed) tunnel.send(packet);
+  });
+  tunnel.on('packet', (packet) => device.write(packet));
+
+  device.on('error', (error) => {
+    console.error(`❌ Ошибка TUN интерфейса: ${error.message}`);
+  });
+  device.on('close', () => {
+    client.close();
+    process.exit(0);
+  });
+  tunnel.on('error', (error) => {
+    console.error(`❌ TUN туннель закрыт: ${error.message}`);
+  });
+  tunnel.on('close', () => device.close());
+
+  process.on('SIGINT', () => {
+    client.close();
+    process.exit(0);
+  });
+}
+
+function startInteractive(client) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: 'VPN> '
+  });
+
+  rl.prompt();
+
+  rl.on('line', async (line) => {
+    const command = line.trim().toUpperCase();
+
+    try {
+      if (command === 'PING') {
+        const pong = await client.ping();
+        console.log(`🏓 pong: ${Date.now() - pong.timestamp} мс`);
+      } else if (command === 'STATS') {
+        console.log(JSON.stringify(await client.stats(), null, 2));
+        console.log(`📶 RTT (клиент): ${JSON.stringify(client.rtt)}`);
+      } else if (command === 'EXIT') {
+        rl.close();
+        return;
+      } else if (command) {
+        console.log('Команды: PING, STATS, EXIT');
+      }
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+    }
+
+    rl.prompt();
+  });
+
+  rl.on('close', () => {
+    console.log('\n👋 До свидания!');
+    client.removeAllListeners('close');
+    client.close();
+    process.exit(0);
+  });
+}
+
 module.exports = VPNClient;
+module.exports.TunnelStream = TunnelStream;
+module.exports.normalizeServerUrl = normalizeServerUrl;
+module.exports.fetchServerList = fetchServerList;
+module.exports.probeLatency = probeLatency;
+module.exports.rankServers = rankServers;
+module.exports.SOCKS5Server = SOCKS5Server;
+module.exports.HTTPProxyServer = HTTPProxyServer;
+module.exports.HttpProxyStream = HttpProxyStream;
+module.exports.UdpTunnel = UdpTunnel;
+module.exports.TunTunnel = TunTunnel;
+module.exports.DNSProxyServer = DNSProxyServer;
@@ -0,0 +1,287 @@
+// lib/admin-api.js - REST API администратора (отдельный порт ADMIN_PORT)
+//
+// Доступ: Authorization: Bearer <VPN_ADMIN_TOKEN> или токен/API ключ пользователя
+// с правом "admin". Клиенты и туннели других экземпляров берутся из реестра сессий
+// (lib/state.js), действия с ними передаются событиями экземпляру, где они открыты.
+const express = require('express');
+const crypto = require('crypto');
+const { UsageStore } = require('./usage');
+const { logger } = require('./logger');
+
+// Код закрытия WebSocket при отключении администратором
+const CLOSE_KICKED = 4001;
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function describeTunnel(tunnel) {
+  return {
+    id: tunnel.tunnelId,
+    clientId: tunnel.clientId,
+    streamId: tunnel.streamId,
+    protocol: tunnel.protocol,
+    target: `${tunnel.targetHost}:${tunnel.targetPort}`,
+    address: tunnel.address,
+    openedAt: tunnel.openedAt,
+    lastActivity: tunnel.lastActivity ? new Date(tunnel.lastActivity) : null,
+    paused: tunnel.paused,
+    traffic: tunnel.counters
+  };
+}
+
+function describeClient(client, tunnels) {
+  return {
+    id: client.id,
+    ip: client.ip,
+    connectedAt: client.connectedAt,
+    detachedAt: client.detachedAt,
+    authenticated: client.authenticated,
+    user: client.user ? client.user.username : null,
+    provider: client.user ? client.user.provider : null,
+    permissions: client.user ? client.user.permissions : [],
+    framing: client.framing,
+    sessionKeys: Boolean(client.cipher),
+    rtt: client.rtt,
+    tunnels: client.tunnels.map(id => tunnels.get(id)).filter(Boolean).map(describeTunnel),
+    tunnelsOpened: client.tunnelsOpened,
+    httpRequests: client.httpRequests.size,
+    traffic: client.counters
+  };
+}
+
+// Действия администратора, общие для REST API и панели (lib/admin-socket.js).
+// actor - { admin, ip } того, кто выполняет действие
+function createAdminActions(context) {
+  const { clients, tunnels, authManager, audit, state, instanceId, kick, remoteSessions } = context;
+
+  const localClient = (client) => ({ ...describeClient(client, tunnels), instance: instanceId });
+  const localTunnel = (tunnel) => ({ ...describeTunnel(tunnel), instance: instanceId });
+
+  const findRemoteSession = async (id) => (await remoteSessions()).find(session => session.id === id);
+
+  // Имя администратора или null: VPN_ADMIN_TOKEN либо токен/API ключ пользователя с правом admin
+  const authenticate = async (token) => {
+    if (token && context.adminToken && safeEqual(token, context.adminToken)) return 'admin-token';
+
+    const user = token ? await authManager.authenticate({ token }) : null;
+    return user && user.permissions.includes('admin') ? user.username : null;
+  };
+
+  // Изменения попадают в журнал и аудит
+  const record = (actor, action, fields) => {
+    logger.info('Admin action', { admin: actor.admin, action, ...fields });
+    if (audit) audit.record('admin', { admin: actor.admin, ip: actor.ip, action, ...fields });
+  };
+
+  const listClients = async () => Array.from(clients.values()).map(localClient).concat(await remoteSessions());
+
+  const getClient = async (id) => {
+    const client = clients.get(id);
+    return client ? localClient(client) : findRemoteSession(id);
+  };
+
+  const listTunnels = async () => {
+    const remote = (await remoteSessions()).flatMap(session => session.tunnels.map(tunnel => ({
+      ...tunnel,
+      instance: session.instance
+    })));
+    return Array.from(tunnels.values()).map(localTunnel).concat(remote);
+  };
+
+  // Отключение клиента: закрытие WebSocket закрывает и все его туннели.
+  // null - клиента нет ни на одном экземпляре
+  const kickClient = async (id, actor) => {
+    const reason = `Kicked by ${actor.admin}`;
+    const client = clients.get(id);
+    if (client) {
+      kick(client, reason);
+      record(actor, 'kick_client', { clientId: client.id, user: client.user ? client.user.username : undefined });
+      return { kicked: client.id, instance: instanceId };
+    }
+
+    const session = await findRemoteSession(id);
+    if (!session) return null;
+
+    await state.publish({ type: 'kick', clientId: session.id, reason });
+    record(actor, 'kick_client', { clientId: session.id, user: session.user || undefined, instance: session.instance });
+    return { kicked: session.id, instance: session.instance };
+  };
+
+  const closeTunnel = async (id, actor) => {
+    const reason = `Closed by ${actor.admin}`;
+    const tunnel = tunnels.get(id);
+    if (tunnel) {
+      const error = new Error(reason);
+      error.code = 'EADMIN';
+      tunnel.close(error);
+      record(actor, 'close_tunnel', { tunnelId: tunnel.tunnelId, clientId: tunnel.clientId });
+      return { closed: tunnel.tunnelId, instance: instanceId };
+    }
+
+    const session = (await remoteSessions()).find(entry => entry.tunnels.some(t => t.id === id));
+    if (!session) return null;
+
+    await state.publish({ type: 'close_tunnel', tunnelId: id, reason });
+    record(actor, 'close_tunnel', { tunnelId: id, clientId: session.id, instance: session.instance });
+    return { closed: id, instance: session.instance };
+  };
+
+  return { authenticate, record, listClients, getClient, listTunnels, kickClient, closeTunnel };
+}
+
+// context: { clients, tunnels, authManager, tokenProvider, userLimits, usageStore, userUsage,
+//            audit, state, instanceId, kick, revokeTokens, remoteSessions, adminToken }
+function createAdminApp(context) {
+  const { clients, tokenProvider, userLimits, usageStore, userUsage, state } = context;
+  const actions = createAdminActions(context);
+  const app = express();
+
+  // Ошибка общего состояния в async обработчике -> 503
+  const route = (handler) => (req, res, next) => {
+    handler(req, res, next).catch(error => {
+      logger.warn('Admin request failed', { path: req.path, error });
+      if (!res.headersSent) res.status(503).json({ error: `State backend unavailable: ${error.message}` });
+    });
+  };
+
+  app.use(express.json());
+
+  // Аутентификация администратора
+  app.use(route(async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const admin = await actions.authenticate(header.startsWith('Bearer ') ? header.slice(7) : null);
+    if (!admin) {
+      res.status(401).json({ error: 'Admin authentication required' });
+      return;
+    }
+
+    req.admin = admin;
+    next();
+  }));
+
+  app.get('/admin/clients', route(async (req, res) => {
+    res.json(await actions.listClients());
+  }));
+
+  app.get('/admin/clients/:id', route(async (req, res) => {
+    const session = await actions.getClient(req.params.id);
+    if (!session) {
+      res.status(404).json({ error: 'Client not found' });
+      return;
+    }
+    res.json(session);
+  }));
+
+  app.delete('/admin/clients/:id', route(async (req, res) => {
+    const result = await actions.kickClient(req.params.id, req);
+    if (!result) {
+      res.status(404).json({ error: 'Client not found' });
+      return;
+    }
+    res.json(result);
+  }));
+
+  app.get('/admin/tunnels', route(async (req, res) => {
+    res.json(await actions.listTunnels());
+  }));
+
+  app.delete('/admin/tunnels/:id', route(async (req, res) => {
+    const result = await actions.closeTunnel(req.params.id, req);
+    if (!result) {
+      res.status(404).json({ error: 'Tunnel not found' });
+      return;
+    }
+    res.json(result);
+  }));
+
+  // Отзыв токенов: { jti }, { token } или { user } (все токены пользователя).
+  // Клиенты, вошедшие по отозванным токенам, отключаются на всех экземплярах;
+  // kicked - отключенные на этом экземпляре
+  app.post('/admin/tokens/revoke', route(async (req, res) => {
+    const { jti, token, user } = req.body || {};
+    let tokenId = jti;
+    let expiresAt = null;
+
+    if (token) {
+      const claims = tokenProvider.verify(token);
+      if (!claims) {
+        res.status(400).json({ error: 'Invalid or expired token' });
+        return;
+      }
+      tokenId = claims.jti;
+      expiresAt = claims.exp;
+    }
+
+    if (!tokenId && !user) {
+      res.status(400).json({ error: 'jti, token or user is required' });
+      return;
+    }
+
+    const kicked = await context.revokeTokens({ jti: tokenId, user, expiresAt });
+    actions.record(req, 'revoke_tokens', { jti: tokenId || undefined, user: user || undefined, kicked });
+    res.json({ revoked: tokenId || null, user: user || null, kicked });
+  }));
+
+  app.get('/admin/users/:username/limits', (req, res) => {
+    res.json(userLimits.get(req.params.username));
+  });
+
+  // Изменение лимитов пользователя на лету (null - без ограничения), на всех экземплярах
+  app.put('/admin/users/:username/limits', route(async (req, res) => {
+    let limits;
+    try {
+      limits = userLimits.set(req.params.username, req.body || {});
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+
+    await state.publish({ type: 'set_limits', user: req.params.username, limits: req.body || {} });
+    actions.record(req, 'set_limits', { user: req.params.username, limits: req.body || {} });
+    res.json(limits);
+  }));
+
+  // Записи о сессиях для биллинга: ?format=csv|json&user=&from=&to=
+  app.get('/admin/usage', (req, res) => {
+    const records = usageStore.query({
+      user: req.query.user,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="usage.csv"');
+      res.send(UsageStore.toCSV(records));
+      return;
+    }
+    res.json(records);
+  });
+
+  // Итоги по пользователям, включая активные подключения
+  app.get('/admin/usage/users', (req, res) => {
+    const usernames = new Set(usageStore.users.keys());
+    clients.forEach(client => {
+      if (client.user) usernames.add(client.user.username);
+    });
+
+    const totals = {};
+    usernames.forEach(username => {
+      totals[username] = userUsage(username);
+    });
+    res.json(totals);
+  });
+
+  return app;
+}
+
+module.exports = {
+  createAdminApp,
+  createAdminActions,
+  describeClient,
+  describeTunnel,
+  CLOSE_KICKED
+};
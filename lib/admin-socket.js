@@ -0,0 +1,177 @@
+// lib/admin-socket.js - Данные панели администратора в реальном времени (WebSocket /admin/ws)
+//
+// Клиент -> сервер:
+//   { type: 'auth', token }                          VPN_ADMIN_TOKEN или токен пользователя с правом admin
+//   { type: 'kick_client' | 'close_tunnel', id, requestId }
+// Сервер -> клиент:
+//   auth_ok { admin, instance } | auth_failed { code, reason, retryAfter }
+//   snapshot { time, instance, server, clients }     каждые SNAPSHOT_INTERVAL; клиенты всех
+//                                                    экземпляров с туннелями и счетчиками трафика
+//   audit { records }                                последние записи аудита этого экземпляра
+//                                                    после входа, затем новые по мере появления
+//   result { requestId, ... } | error { requestId, code, message }
+//
+// Неудачные входы учитываются тем же AuthThrottle, что и входы VPN клиентов.
+const WebSocket = require('ws');
+const { createAdminActions } = require('./admin-api');
+const { logger } = require('./logger');
+
+const SNAPSHOT_INTERVAL = 2000;
+const AUTH_TIMEOUT = 10000;
+
+// Код закрытия при неудачной или просроченной аутентификации
+const CLOSE_POLICY = 1008;
+const CLOSE_INTERNAL_ERROR = 1011;
+
+// context: как у createAdminApp, плюс authThrottle, serverStats() -> { uptime, traffic, ... }
+// и clientIp(req) - адрес клиента с учетом доверенных прокси
+function createAdminSocket(context) {
+  const { audit, authThrottle, instanceId, clientIp } = context;
+  const actions = createAdminActions(context);
+  const wss = new WebSocket.Server({ noServer: true, maxPayload: 64 * 1024 });
+  const sessions = new Set();
+  let timer = null;
+
+  const send = (ws, message) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  const broadcast = (message) => sessions.forEach(ws => send(ws, message));
+
+  async function snapshot() {
+    return {
+      type: 'snapshot',
+      time: Date.now(),
+      instance: instanceId,
+      server: context.serverStats(),
+      clients: await actions.listClients()
+    };
+  }
+
+  // Снимок строится один раз для всех панелей и только пока они открыты
+  function scheduleSnapshots() {
+    if (timer || sessions.size === 0) return;
+
+    timer = setTimeout(async () => {
+      try {
+        broadcast(await snapshot());
+      } catch (error) {
+        logger.warn('Admin dashboard snapshot failed', { error });
+      }
+      timer = null;
+      scheduleSnapshots();
+    }, SNAPSHOT_INTERVAL);
+  }
+
+  if (audit) audit.on('record', (record) => broadcast({ type: 'audit', records: [record] }));
+
+  async function login(ws, ip, token) {
+    const retryAfter = authThrottle.retryAfter(ip);
+    if (retryAfter) {
+      if (audit) audit.record('auth', { endpoint: 'admin_ws', result: 'throttled', ip });
+      send(ws, { type: 'auth_failed', code: 'RATE_LIMITED', retryAfter, reason: 'Too many failed attempts' });
+      ws.close(CLOSE_POLICY, 'Too many failed attempts');
+      return null;
+    }
+
+    let admin;
+    try {
+      admin = await actions.authenticate(token);
+    } catch (error) {
+      // Ошибка проверки (файл пользователей, общее состояние) - не неудачный вход
+      logger.warn('Admin dashboard authentication failed', { ip, error });
+      send(ws, { type: 'auth_failed', code: 'EUNAVAILABLE', reason: `Authentication unavailable: ${error.message}` });
+      ws.close(CLOSE_INTERNAL_ERROR, 'Authentication unavailable');
+      return null;
+    }
+    if (!admin) {
+      authThrottle.fail(ip);
+      if (audit) audit.record('auth', { endpoint: 'admin_ws', result: 'failure', ip });
+      send(ws, { type: 'auth_failed', reason: 'Admin authentication required' });
+      ws.close(CLOSE_POLICY, 'Admin authentication required');
+      return null;
+    }
+
+    authThrottle.succeed(ip);
+    if (audit) audit.record('auth', { endpoint: 'admin_ws', result: 'success', ip, user: admin });
+    if (ws.readyState !== WebSocket.OPEN) return null;
+
+    send(ws, { type: 'auth_ok', admin, instance: instanceId });
+    send(ws, { type: 'audit', records: audit ? audit.recent : [] });
+    sessions.add(ws);
+    try {
+      send(ws, await snapshot());
+    } catch (error) {
+      logger.warn('Admin dashboard snapshot failed', { error });
+    }
+    scheduleSnapshots();
+    return admin;
+  }
+
+  async function handleAction(ws, actor, message) {
+    const action = { kick_client: actions.kickClient, close_tunnel: actions.closeTunnel }[message.type];
+    if (!action) {
+      send(ws, { type: 'error', requestId: message.requestId, code: 'EINVAL', message: `Unknown message type ${message.type}` });
+      return;
+    }
+
+    try {
+      const result = await action(String(message.id), actor);
+      if (result) {
+        send(ws, { type: 'result', requestId: message.requestId, ...result });
+      } else {
+        send(ws, { type: 'error', requestId: message.requestId, code: 'ENOENT', message: `${message.id} not found` });
+      }
+    } catch (error) {
+      send(ws, { type: 'error', requestId: message.requestId, code: 'EUNAVAILABLE', message: `State backend unavailable: ${error.message}` });
+    }
+  }
+
+  wss.on('connection', (ws, req) => {
+    const ip = clientIp(req);
+    let actor = null;
+    let authenticating = false;
+
+    const authTimer = setTimeout(() => ws.close(CLOSE_POLICY, 'Authentication timeout'), AUTH_TIMEOUT);
+
+    ws.on('message', async (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        message = null;
+      }
+      if (!message || typeof message !== 'object') {
+        ws.close(CLOSE_POLICY, 'Invalid message');
+        return;
+      }
+
+      if (actor) {
+        handleAction(ws, actor, message);
+        return;
+      }
+      if (message.type !== 'auth' || authenticating) {
+        ws.close(CLOSE_POLICY, 'Authentication required');
+        return;
+      }
+
+      authenticating = true;
+      clearTimeout(authTimer);
+      const admin = await login(ws, ip, message.token);
+      if (admin) actor = { admin, ip };
+      authenticating = false;
+    });
+
+    ws.on('close', () => {
+      clearTimeout(authTimer);
+      sessions.delete(ws);
+    });
+    ws.on('error', () => {});
+  });
+
+  return wss;
+}
+
+module.exports = {
+  createAdminSocket
+};
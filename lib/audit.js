@@ -0,0 +1,115 @@
+// lib/audit.js - Журнал аудита (VPN_AUDIT_FILE): входы, туннели, действия администратора,
+// отказы политики
+//
+// Записи только добавляются в конец файла (JSON lines, { time, event, ...поля }) в
+// порядке событий. Когда файл больше maxSize, он переименовывается в file.1
+// (file.1 -> file.2 и т.д., хранится maxFiles старых файлов) и начинается новый.
+// Последние RECENT_RECORDS записей (с конца файла при запуске) доступны в recent,
+// новые приходят событием 'record' - для панели администратора.
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+const RECENT_RECORDS = 200;
+
+// Конец файла, из которого читаются последние записи при запуске
+const TAIL_BYTES = 256 * 1024;
+
+class AuditLog extends EventEmitter {
+  // Без filePath записи не сохраняются, но остаются в recent
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath || null;
+    this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+    this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+    this.queue = [];
+    this.writing = false;
+    this.size = 0;
+    this.recent = [];
+
+    if (this.filePath) {
+      try {
+        this.size = fs.statSync(this.filePath).size;
+        this.recent = this.readTail();
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  }
+
+  readTail() {
+    const length = Math.min(this.size, TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, length, this.size - length);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // Первая строка может быть обрезана
+    const lines = buffer.toString().split('\n').slice(length < this.size ? 1 : 0);
+    const records = [];
+    lines.forEach(line => {
+      try {
+        if (line) records.push(JSON.parse(line));
+      } catch (error) {
+        // Недописанная строка пропускается
+      }
+    });
+    return records.slice(-RECENT_RECORDS);
+  }
+
+  record(event, fields = {}) {
+    const entry = { time: new Date().toISOString(), event, ...fields };
+    this.recent.push(entry);
+    if (this.recent.length > RECENT_RECORDS) this.recent.shift();
+    this.emit('record', entry);
+
+    if (!this.filePath) return;
+
+    this.queue.push(JSON.stringify(entry) + '\n');
+    this.flush();
+  }
+
+  // Очередь пишется одной операцией; следующая запись начинается после предыдущей
+  flush() {
+    if (this.writing || this.queue.length === 0) return;
+
+    const data = this.queue.join('');
+    this.queue = [];
+    this.writing = true;
+
+    fs.appendFile(this.filePath, data, (error) => {
+      this.writing = false;
+      if (error) {
+        logger.error('Failed to write audit log', { file: this.filePath, error });
+      } else {
+        this.size += Buffer.byteLength(data);
+        if (this.size >= this.maxSize) this.rotate();
+      }
+      this.flush();
+    });
+  }
+
+  rotate() {
+    try {
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        if (fs.existsSync(`${this.filePath}.${i}`)) {
+          fs.renameSync(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`);
+        }
+      }
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+      this.size = 0;
+    } catch (error) {
+      logger.error('Failed to rotate audit log', { file: this.filePath, error });
+    }
+  }
+}
+
+module.exports = {
+  AuditLog
+};
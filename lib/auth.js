@@ -0,0 +1,268 @@
+// lib/auth.js - Аутентификация: пользователи со scrypt паролями, подписанные токены, API ключи
+//
+// Файл пользователей (JSON или YAML, путь в VPN_USERS_FILE):
+//   users:
+//     alice:
+//       password: scrypt$<salt>$<hash>     # node lib/auth.js hash <пароль>
+//       permissions: [create_tunnel, http_proxy, ping, stats]   # + tun для tun_attach
+//       groups: [staff]
+//       plan: free                         # лимиты плана, см. lib/limits.js
+//       limits: { maxTunnels: 10 }
+//   plans:
+//     free: { bandwidthDown: 1048576, dailyQuota: 1073741824 }
+//   apiKeys:
+//     <ключ>: alice
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const yaml = require('js-yaml');
+
+const scrypt = promisify(crypto.scrypt);
+
+const DEFAULT_PERMISSIONS = ['create_tunnel', 'http_proxy', 'ping', 'stats'];
+const DEFAULT_TOKEN_TTL = 12 * 60 * 60;
+const SCRYPT_KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// "scrypt$<salt>$<hash>" -> { salt, hash }; null, если запись не в формате hashPassword
+// (в том числе хэш другой длины: пустой хэш совпал бы с любым паролем)
+function parsePasswordHash(stored) {
+  const [scheme, salt, hash, ...rest] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash || rest.length > 0) return null;
+
+  const saltBytes = Buffer.from(salt, 'base64');
+  const hashBytes = Buffer.from(hash, 'base64');
+  if (saltBytes.length === 0 || hashBytes.length !== SCRYPT_KEY_LENGTH) return null;
+  return { salt: saltBytes, hash: hashBytes };
+}
+
+async function verifyPassword(password, stored) {
+  const parsed = parsePasswordHash(stored);
+  if (!parsed) return false;
+
+  const actual = await scrypt(password, parsed.salt, SCRYPT_KEY_LENGTH);
+  return crypto.timingSafeEqual(actual, parsed.hash);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function base64url(data) {
+  return Buffer.from(data).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(data) {
+  return Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Публичные данные пользователя (без хэша пароля)
+function toUser(username, record = {}) {
+  return {
+    username,
+    permissions: record.permissions || DEFAULT_PERMISSIONS,
+    groups: record.groups || [],
+    plan: record.plan || null
+  };
+}
+
+class UserStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.users = new Map();
+    this.apiKeys = new Map();
+    this.plans = new Map();
+    if (filePath) this.load();
+  }
+
+  load() {
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    const isYaml = ['.yaml', '.yml'].includes(path.extname(this.filePath));
+    const data = (isYaml ? yaml.load(content) : JSON.parse(content)) || {};
+
+    Object.entries(data.users || {}).forEach(([username, record]) => {
+      if (record && record.password !== undefined && !parsePasswordHash(record.password)) {
+        throw new Error(`User ${username}: password must be scrypt$<salt>$<hash> (node lib/auth.js hash <password>)`);
+      }
+    });
+
+    this.users = new Map(Object.entries(data.users || {}));
+    this.apiKeys = new Map(Object.entries(data.apiKeys || {}));
+    this.plans = new Map(Object.entries(data.plans || {}));
+  }
+
+  // Перечитывание файла (SIGHUP) или новый путь; без пути пользователей нет
+  reload(filePath = this.filePath) {
+    this.filePath = filePath;
+    if (filePath) {
+      this.load();
+    } else {
+      this.users = new Map();
+      this.apiKeys = new Map();
+      this.plans = new Map();
+    }
+  }
+
+  get(username) {
+    const record = this.users.get(username);
+    return record ? toUser(username, record) : null;
+  }
+}
+
+// Логин и пароль из файла пользователей
+class PasswordProvider {
+  constructor(store) {
+    this.name = 'password';
+    this.store = store;
+  }
+
+  async authenticate(credentials) {
+    const { username, password } = credentials;
+    if (!username || typeof password !== 'string') return null;
+
+    const record = this.store.users.get(username);
+    if (!record || !record.password) return null;
+
+    return await verifyPassword(password, record.password) ? toUser(username, record) : null;
+  }
+}
+
+// HMAC-SHA256 токены в формате JWT (HS256), выдаются через /auth/token
+class TokenProvider {
+  constructor(secret, store, ttl = DEFAULT_TOKEN_TTL) {
+    this.name = 'token';
+    this.secret = secret;
+    this.store = store;
+    this.ttl = ttl;
+    this.revoked = new Set();
+    this.revokedBefore = new Map();
+  }
+
+  sign(data) {
+    return base64url(crypto.createHmac('sha256', this.secret).update(data).digest());
+  }
+
+  issue(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+      sub: user.username,
+      jti: crypto.randomBytes(8).toString('hex'),
+      iat: now,
+      exp: now + this.ttl
+    }));
+
+    return {
+      token: `${header}.${payload}.${this.sign(`${header}.${payload}`)}`,
+      expiresAt: new Date((now + this.ttl) * 1000).toISOString()
+    };
+  }
+
+  // Возвращает payload токена или null, если подпись или срок неверны
+  verify(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    if (!safeEqual(signature, this.sign(`${header}.${payload}`))) return null;
+
+    let claims;
+    try {
+      claims = JSON.parse(fromBase64url(payload).toString());
+    } catch (error) {
+      return null;
+    }
+
+    if (!claims.exp || claims.exp * 1000 < Date.now()) return null;
+    if (this.revoked.has(claims.jti)) return null;
+    if (claims.iat <= (this.revokedBefore.get(claims.sub) || 0)) return null;
+    return claims;
+  }
+
+  revoke(jti) {
+    this.revoked.add(jti);
+  }
+
+  // Отзывает все токены пользователя, выданные до момента before (секунды unix)
+  revokeUser(username, before = Math.floor(Date.now() / 1000)) {
+    this.revokedBefore.set(username, Math.max(before, this.revokedBefore.get(username) || 0));
+  }
+
+  async authenticate(credentials) {
+    if (!credentials.token) return null;
+
+    const claims = this.verify(credentials.token);
+    if (!claims) return null;
+
+    // Пользователь мог быть удален из файла после выдачи токена
+    const user = this.store.get(claims.sub);
+    return user ? { ...user, tokenId: claims.jti } : null;
+  }
+}
+
+// Статические API ключи: { ключ: имя пользователя }
+class ApiKeyProvider {
+  constructor(store, keys = new Map()) {
+    this.name = 'api_key';
+    this.store = store;
+    this.keys = keys;
+  }
+
+  async authenticate(credentials) {
+    if (!credentials.token) return null;
+
+    const keys = new Map([...this.store.apiKeys, ...this.keys]);
+    for (const [key, username] of keys) {
+      if (safeEqual(credentials.token, key)) {
+        return this.store.get(username) || toUser(username);
+      }
+    }
+    return null;
+  }
+}
+
+// Провайдеры проверяются по порядку, первый успешный определяет пользователя
+class AuthManager {
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  async authenticate(credentials) {
+    for (const provider of this.providers) {
+      const user = await provider.authenticate(credentials || {});
+      if (user) return { ...user, provider: provider.name };
+    }
+    return null;
+  }
+}
+
+// Утилита для заполнения файла пользователей
+if (require.main === module) {
+  const [command, password] = process.argv.slice(2);
+
+  if (command === 'hash' && password) {
+    hashPassword(password).then(hash => console.log(hash));
+  } else {
+    console.log('Использование: node lib/auth.js hash <пароль>');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULT_PERMISSIONS,
+  UserStore,
+  PasswordProvider,
+  TokenProvider,
+  ApiKeyProvider,
+  AuthManager,
+  hashPassword,
+  verifyPassword
+};
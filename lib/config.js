@@ -0,0 +1,461 @@
+// lib/config.js - Конфигурация сервера: значения по умолчанию -> файл конфигурации ->
+// переменные окружения -> флаги командной строки
+//
+// Файл (JSON или YAML) задается флагом --config или VPN_CONFIG:
+//   server: { port: 3000, region: Oregon (US West) }
+//   tunnels: { idleTimeout: 3600 }
+//   limits: { defaults: { maxTunnels: 20 } }
+//   policy: { file: policy.yaml }
+//   logging: { level: info }
+// Флаги: --<раздел>.<параметр>=<значение> (--tunnels.idleTimeout=600) или короткие
+// синонимы (--port, --admin-port, --log-level). Времена - в секундах.
+//
+// Все ошибки собираются в одну (code ECONFIG, errors - список строк с источником
+// значения). Параметры с reloadable применяются на лету при SIGHUP, остальные
+// требуют перезапуска.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { LEVELS } = require('./logger');
+const { validateLimits } = require('./limits');
+const { Policy } = require('./policy');
+const { UserStore } = require('./auth');
+const { IpPool } = require('./ip-pool');
+const { BACKENDS } = require('./state');
+const { parseUrl: parseRedisUrl } = require('./redis');
+const { loadServerList } = require('./manifest');
+
+const SCHEMA = {
+  'server.port': { type: 'port', default: 3000, env: 'PORT', flag: 'port' },
+  'server.host': { type: 'string', default: null, env: 'HOST' },
+  'server.name': { type: 'string', default: 'full-vpn-oregon', env: 'VPN_SERVER_NAME', reloadable: true },
+  'server.region': { type: 'string', default: 'Oregon (US West)', env: 'VPN_REGION', reloadable: true },
+  'server.publicHostname': { type: 'string', default: null, env: 'RENDER_EXTERNAL_HOSTNAME', reloadable: true },
+  // Число прокси перед сервером (балансировщик Render - 1): адрес клиента для журналов и
+  // блокировки перебора берется из X-Forwarded-For только на столько шагов
+  'server.trustProxy': { type: 'integer', default: 0, min: 0, env: 'VPN_TRUST_PROXY', reloadable: true },
+
+  'admin.port': { type: 'port', default: 3001, env: 'ADMIN_PORT', flag: 'admin-port' },
+  'admin.host': { type: 'string', default: null, env: 'ADMIN_HOST' },
+  'admin.token': { type: 'string', default: null, env: 'VPN_ADMIN_TOKEN', reloadable: true, secret: true },
+  // Панель администратора (/) получает данные через WebSocket /admin/ws основного порта
+  'admin.dashboard': { type: 'boolean', default: true, env: 'VPN_ADMIN_DASHBOARD', reloadable: true },
+
+  // Транспорт /vpn: путь для WebSocket и HTTP long-polling (lib/polling.js), сайт-прикрытие
+  // (каталог статических файлов вместо панели и public/; /health, /stats, /servers,
+  // /metrics, /auth/token, /client.js и /vpn-sw.js с ним не отвечают, проверку
+  // доступности нужно перевести на /) и маскировка
+  // (lib/obfuscation.js): ключ выводится из пути и obfuscationSecret. С маскировкой сервер
+  // отвечает welcome только на hello клиента - клиенты, которые ждут welcome первыми,
+  // не подключатся, поэтому она выключена по умолчанию; с секретом клиенты без маскировки
+  // не принимаются. Пределы, которые может запросить клиент, maxJitter - в мс
+  'transport.path': { type: 'string', default: '/vpn', env: 'VPN_PATH', validate: validateTransportPath },
+  'transport.polling': { type: 'boolean', default: true, env: 'VPN_POLLING' },
+  'transport.coverSite': { type: 'string', default: null, env: 'VPN_COVER_SITE', validate: validateDirectory },
+  'transport.obfuscation': { type: 'boolean', default: false, env: 'VPN_OBFUSCATION', reloadable: true },
+  'transport.obfuscationSecret': { type: 'string', default: null, env: 'VPN_OBFUSCATION_SECRET', reloadable: true, secret: true },
+  'transport.maxPadding': { type: 'integer', default: 1024, min: 0, env: 'VPN_MAX_PADDING', reloadable: true },
+  'transport.maxJitter': { type: 'integer', default: 100, min: 0, env: 'VPN_MAX_JITTER', reloadable: true },
+
+  'auth.usersFile': { type: 'string', default: null, env: 'VPN_USERS_FILE', reloadable: true, validate: validateUsersFile },
+  'auth.tokenSecret': { type: 'string', default: null, env: 'VPN_TOKEN_SECRET', secret: true },
+  'auth.tokenTtl': { type: 'integer', default: 12 * 60 * 60, min: 60, env: 'VPN_TOKEN_TTL', reloadable: true },
+  'auth.apiKeys': { type: 'apiKeys', default: {}, env: 'VPN_API_KEYS', reloadable: true, secret: true },
+  // Токены-пользователи для разработки, только явно; без учетных данных сервер не запускается,
+  // кроме NODE_ENV=development - тогда действуют DEVELOPMENT_TOKENS
+  'auth.demoTokens': { type: 'list', default: [], env: 'VPN_DEMO_TOKENS', reloadable: true, secret: true },
+  'auth.identityKey': { type: 'string', default: null, env: 'VPN_IDENTITY_KEY', secret: true, validate: validateIdentityKey },
+
+  'encryption.secret': { type: 'string', default: null, env: 'VPN_SECRET', secret: true },
+
+  'tunnels.idleTimeout': { type: 'integer', default: 3600, min: 1, env: 'TUNNEL_IDLE_TIMEOUT', reloadable: true },
+  'tunnels.udpIdleTimeout': { type: 'integer', default: 120, min: 1, env: 'UDP_IDLE_TIMEOUT', reloadable: true },
+  'tunnels.resumeGrace': { type: 'integer', default: 60, min: 1, env: 'VPN_RESUME_GRACE', reloadable: true },
+
+  'heartbeat.interval': { type: 'integer', default: 30, min: 1, env: 'HEARTBEAT_INTERVAL', reloadable: true },
+  'heartbeat.timeout': { type: 'integer', default: 90, min: 1, env: 'HEARTBEAT_TIMEOUT', reloadable: true },
+
+  'httpProxy.timeout': { type: 'integer', default: 30, min: 1, env: 'HTTP_PROXY_TIMEOUT', reloadable: true },
+  'httpProxy.maxRequestBody': { type: 'integer', default: 10 * 1024 * 1024, min: 0, env: 'HTTP_PROXY_MAX_REQUEST_BODY', reloadable: true },
+  'httpProxy.maxResponseBody': { type: 'integer', default: 100 * 1024 * 1024, min: 0, env: 'HTTP_PROXY_MAX_RESPONSE_BODY', reloadable: true },
+  'httpProxy.maxRedirects': { type: 'integer', default: 5, min: 0, env: 'HTTP_PROXY_MAX_REDIRECTS', reloadable: true },
+
+  'limits.defaults': { type: 'object', default: {}, reloadable: true, validate: validateLimits },
+
+  // Правила политики из файла заменяют defaultAction, denyPrivate и rules
+  'policy.file': { type: 'string', default: null, env: 'VPN_POLICY_FILE', reloadable: true, validate: Policy.fromFile },
+  'policy.defaultAction': { type: 'enum', values: ['allow', 'deny'], default: 'allow', reloadable: true },
+  'policy.denyPrivate': { type: 'boolean', default: true, reloadable: true },
+  'policy.rules': { type: 'array', default: [], reloadable: true, validate: rules => new Policy({ rules }) },
+
+  'dns.servers': { type: 'list', default: [], env: 'VPN_DNS_SERVERS', reloadable: true },
+
+  // Режим IP пакетов (tun_attach): нужны Linux, python3 и CAP_NET_ADMIN
+  'tun.enabled': { type: 'boolean', default: false, env: 'VPN_TUN' },
+  'tun.device': { type: 'string', default: 'vpn0', env: 'VPN_TUN_DEVICE' },
+  'tun.pool': { type: 'string', default: '10.8.0.0/24', env: 'VPN_TUN_POOL', validate: pool => new IpPool(pool) },
+  'tun.mtu': { type: 'integer', default: 1400, min: 576, env: 'VPN_TUN_MTU' },
+  'tun.nat': { type: 'boolean', default: true, env: 'VPN_TUN_NAT' },
+  'tun.outInterface': { type: 'string', default: null, env: 'VPN_TUN_OUT_INTERFACE' },
+
+  // Список серверов (/servers): узлы из файла или только этот сервер; подпись ключом
+  // signingKey (общим для всех узлов) или identity ключом этого сервера
+  'servers.file': { type: 'string', default: null, env: 'VPN_SERVERS_FILE', reloadable: true, validate: loadServerList },
+  'servers.signingKey': { type: 'string', default: null, env: 'VPN_MANIFEST_KEY', secret: true, validate: validateIdentityKey },
+  'servers.ttl': { type: 'integer', default: 24 * 60 * 60, min: 60, env: 'VPN_MANIFEST_TTL', reloadable: true },
+
+  'usage.file': { type: 'string', default: null, env: 'VPN_USAGE_FILE' },
+
+  // Общее состояние нескольких экземпляров: memory - только этот процесс
+  'state.backend': { type: 'enum', values: BACKENDS, default: 'memory', env: 'VPN_STATE_BACKEND' },
+  'state.url': { type: 'string', default: null, env: 'REDIS_URL', secret: true, validate: parseRedisUrl },
+  'state.prefix': { type: 'string', default: 'vpn:', env: 'VPN_STATE_PREFIX' },
+  'state.heartbeat': { type: 'integer', default: 10, min: 1, env: 'VPN_STATE_HEARTBEAT' },
+  'state.instanceId': { type: 'string', default: null, env: 'VPN_INSTANCE_ID' },
+
+  'audit.file': { type: 'string', default: null, env: 'VPN_AUDIT_FILE' },
+  'audit.maxSize': { type: 'integer', default: 10 * 1024 * 1024, min: 1024, env: 'VPN_AUDIT_MAX_SIZE' },
+  'audit.maxFiles': { type: 'integer', default: 5, min: 1, env: 'VPN_AUDIT_MAX_FILES' },
+
+  'metrics.token': { type: 'string', default: null, env: 'VPN_METRICS_TOKEN', reloadable: true, secret: true },
+
+  'logging.level': { type: 'enum', values: Object.keys(LEVELS), default: 'info', env: 'LOG_LEVEL', flag: 'log-level', reloadable: true }
+};
+
+const DEVELOPMENT_TOKENS = ['client123', 'browser-client', 'vpn-user'];
+
+// Переменные прежних версий, которые больше ничего не настраивают: сервер принимает
+// только WebSocket на server.port, поэтому они не переносятся в схему, а дают предупреждение
+const OBSOLETE_ENV = {
+  VPN_PROTOCOL: 'the server only accepts WebSocket connections',
+  VPN_PORT: 'use PORT (server.port) for the listening port'
+};
+
+const SECTIONS = new Set(Object.keys(SCHEMA).map(key => key.split('.')[0]));
+
+function validateUsersFile(filePath) {
+  new UserStore(filePath);
+}
+
+function validateIdentityKey(pem) {
+  crypto.createPrivateKey(pem);
+}
+
+// Путь вида /updates/stream; занятые сервером пути не подходят
+function validateTransportPath(value) {
+  if (!/^(\/[\w.~-]+)+$/.test(value)) throw new Error('expected a path like /vpn without a trailing slash');
+  if (['/admin', '/auth', '/health', '/stats', '/servers', '/metrics', '/client.js', '/vpn-sw.js'].some(prefix => value === prefix || value.startsWith(`${prefix}/`))) {
+    throw new Error(`${value} is used by the server`);
+  }
+}
+
+function validateDirectory(directory) {
+  if (!fs.statSync(directory).isDirectory()) throw new Error(`${directory} is not a directory`);
+}
+
+// Приводит значение к типу параметра; возвращает { value } или { error }
+function coerce(spec, raw) {
+  if (raw === null || raw === '') {
+    return spec.default === null ? { value: null } : { error: 'value is required' };
+  }
+
+  switch (spec.type) {
+    case 'integer':
+    case 'port': {
+      const value = typeof raw === 'string' && /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+      const min = spec.type === 'port' ? 0 : spec.min;
+      const max = spec.type === 'port' ? 65535 : Infinity;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return { error: `expected an integer ${max === Infinity ? `>= ${min}` : `from ${min} to ${max}`}, got ${JSON.stringify(raw)}` };
+      }
+      return { value };
+    }
+    case 'string':
+      if (typeof raw === 'number') return { value: String(raw) };
+      return typeof raw === 'string' ? { value: raw } : { error: `expected a string, got ${JSON.stringify(raw)}` };
+    case 'boolean':
+      if (typeof raw === 'boolean') return { value: raw };
+      if (['true', '1', 'yes'].includes(String(raw).toLowerCase())) return { value: true };
+      if (['false', '0', 'no'].includes(String(raw).toLowerCase())) return { value: false };
+      return { error: `expected true or false, got ${JSON.stringify(raw)}` };
+    case 'enum':
+      return spec.values.includes(String(raw).toLowerCase())
+        ? { value: String(raw).toLowerCase() }
+        : { error: `expected one of ${spec.values.join(', ')}, got ${JSON.stringify(raw)}` };
+    case 'list': {
+      const items = typeof raw === 'string' ? raw.split(',').map(item => item.trim()).filter(Boolean) : raw;
+      if (!Array.isArray(items) || !items.every(item => typeof item === 'string')) {
+        return { error: 'expected a list of strings or a comma-separated string' };
+      }
+      return { value: items };
+    }
+    case 'array':
+      return Array.isArray(raw) ? { value: raw } : { error: 'expected a list' };
+    case 'object':
+      return raw && typeof raw === 'object' && !Array.isArray(raw) ? { value: raw } : { error: 'expected an object' };
+    case 'apiKeys': {
+      // "user:key,user:key" (как в VPN_API_KEYS) или { <ключ>: <пользователь> }
+      if (typeof raw === 'string') {
+        const keys = {};
+        for (const entry of raw.split(',').map(item => item.trim()).filter(Boolean)) {
+          const separator = entry.indexOf(':');
+          if (separator <= 0) return { error: `expected user:key pairs, got ${JSON.stringify(entry)}` };
+          keys[entry.slice(separator + 1).trim()] = entry.slice(0, separator).trim();
+        }
+        return { value: keys };
+      }
+      return raw && typeof raw === 'object' && !Array.isArray(raw) ? { value: raw } : { error: 'expected user:key pairs or an object' };
+    }
+    default:
+      return { error: `unknown type ${spec.type}` };
+  }
+}
+
+function readConfigFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const isYaml = ['.yaml', '.yml'].includes(path.extname(filePath));
+  return (isYaml ? yaml.load(content) : JSON.parse(content)) || {};
+}
+
+// --key=value, --key value и синонимы; config - путь к файлу
+function parseArgs(argv, errors) {
+  const aliases = {};
+  Object.entries(SCHEMA).forEach(([key, spec]) => {
+    aliases[key] = key;
+    if (spec.flag) aliases[spec.flag] = key;
+  });
+
+  const values = {};
+  let configFile = null;
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      help = true;
+      continue;
+    }
+
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+    if (!match) {
+      errors.push(`Unexpected argument ${arg}`);
+      continue;
+    }
+
+    const name = match[1];
+    let value = match[2];
+    if (value === undefined) {
+      value = argv[i + 1];
+      i++;
+    }
+    if (value === undefined) {
+      errors.push(`Flag --${name} requires a value`);
+      continue;
+    }
+
+    if (name === 'config') {
+      configFile = value;
+    } else if (aliases[name]) {
+      values[aliases[name]] = { value, source: `flag --${name}` };
+    } else {
+      errors.push(`Unknown flag --${name}`);
+    }
+  }
+
+  return { values, configFile, help };
+}
+
+// Раскладывает файл конфигурации по ключам схемы; неизвестные параметры - ошибки
+function flattenFile(data, source, errors) {
+  const values = {};
+
+  Object.entries(data).forEach(([section, settings]) => {
+    if (!SECTIONS.has(section)) {
+      errors.push(`Unknown section "${section}" (from ${source})`);
+      return;
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      errors.push(`${section}: expected an object (from ${source})`);
+      return;
+    }
+
+    Object.entries(settings).forEach(([name, value]) => {
+      const key = `${section}.${name}`;
+      if (SCHEMA[key]) {
+        values[key] = { value, source };
+      } else {
+        errors.push(`Unknown setting ${key} (from ${source})`);
+      }
+    });
+  });
+
+  return values;
+}
+
+function setPath(target, key, value) {
+  const [section, name] = key.split('.');
+  target[section] = target[section] || {};
+  target[section][name] = value;
+}
+
+// { config (по разделам), sources (ключ -> источник), file, help }; ошибки - code ECONFIG
+function loadConfig(options = {}) {
+  const argv = options.argv || process.argv.slice(2);
+  const env = options.env || process.env;
+  const errors = [];
+
+  const args = parseArgs(argv, errors);
+  const configFile = args.configFile || env.VPN_CONFIG || null;
+
+  let fileValues = {};
+  if (configFile) {
+    const source = `config file ${configFile}`;
+    try {
+      const data = readConfigFile(configFile);
+      if (typeof data !== 'object' || Array.isArray(data)) {
+        errors.push(`${source}: expected sections at the top level`);
+      } else {
+        fileValues = flattenFile(data, source, errors);
+      }
+    } catch (error) {
+      errors.push(`Cannot read ${source}: ${error.message}`);
+    }
+  }
+
+  const config = {};
+  const sources = {};
+
+  Object.entries(SCHEMA).forEach(([key, spec]) => {
+    let entry = { value: spec.default, source: 'default' };
+    if (fileValues[key]) entry = fileValues[key];
+    if (spec.env && env[spec.env] !== undefined && env[spec.env] !== '') entry = { value: env[spec.env], source: `env ${spec.env}` };
+    if (args.values[key]) entry = args.values[key];
+
+    const result = entry.source === 'default' ? { value: spec.default } : coerce(spec, entry.value);
+    if (result.error) {
+      errors.push(`${key}: ${result.error} (from ${entry.source})`);
+      return;
+    }
+
+    if (spec.validate && result.value !== null) {
+      try {
+        spec.validate(result.value);
+      } catch (error) {
+        errors.push(`${key}: ${error.message} (from ${entry.source})`);
+        return;
+      }
+    }
+
+    setPath(config, key, result.value);
+    sources[key] = entry.source;
+  });
+
+  if (errors.length === 0) {
+    if (config.heartbeat.timeout <= config.heartbeat.interval) {
+      errors.push(`heartbeat.timeout (${config.heartbeat.timeout}) must be greater than heartbeat.interval (${config.heartbeat.interval})`);
+    }
+    if (config.server.port !== 0 && config.server.port === config.admin.port) {
+      errors.push(`server.port and admin.port must differ (both ${config.server.port})`);
+    }
+    const { usersFile, apiKeys, demoTokens } = config.auth;
+    if (!usersFile && Object.keys(apiKeys).length === 0 && demoTokens.length === 0) {
+      if (env.NODE_ENV === 'development') {
+        config.auth.demoTokens = DEVELOPMENT_TOKENS;
+        sources['auth.demoTokens'] = 'env NODE_ENV=development';
+      } else {
+        errors.push(`No credentials: set auth.usersFile, auth.apiKeys or auth.demoTokens (NODE_ENV=development accepts ${DEVELOPMENT_TOKENS.join(', ')})`);
+      }
+    }
+    if (config.transport.obfuscationSecret && !config.transport.obfuscation) {
+      errors.push('transport.obfuscationSecret requires transport.obfuscation');
+    }
+    // Без общего секрета токены /auth/token проверяет только выдавший их процесс до перезапуска
+    if (!config.auth.tokenSecret && config.state.backend !== 'memory') {
+      errors.push(`auth.tokenSecret (VPN_TOKEN_SECRET) is required with state.backend=${config.state.backend}: tokens must verify on every instance`);
+    } else if (!config.auth.tokenSecret && env.NODE_ENV === 'production') {
+      errors.push('auth.tokenSecret (VPN_TOKEN_SECRET) is required with NODE_ENV=production: tokens must survive a restart');
+    }
+    if (env.NODE_ENV === 'production' && !config.auth.identityKey) {
+      errors.push('auth.identityKey (VPN_IDENTITY_KEY) is required with NODE_ENV=production: clients pin the server identity key');
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    error.code = 'ECONFIG';
+    error.errors = errors;
+    throw error;
+  }
+
+  const warnings = Object.entries(OBSOLETE_ENV)
+    .filter(([name]) => env[name] !== undefined)
+    .map(([name, hint]) => `${name} is no longer used and is ignored: ${hint}`);
+
+  return { config, sources, warnings, file: configFile, help: args.help };
+}
+
+function getPath(config, key) {
+  const [section, name] = key.split('.');
+  return config[section][name];
+}
+
+// Ключи, значения которых различаются
+function diffConfig(previous, next) {
+  return Object.keys(SCHEMA).filter(key =>
+    JSON.stringify(getPath(previous, key)) !== JSON.stringify(getPath(next, key))
+  );
+}
+
+function isReloadable(key) {
+  return Boolean(SCHEMA[key] && SCHEMA[key].reloadable);
+}
+
+// Новая конфигурация при SIGHUP: изменения без reloadable не применяются до перезапуска.
+// { config, applied, restartRequired } - ключи примененных и отложенных изменений
+function mergeReload(current, next) {
+  const changed = diffConfig(current, next);
+  const restartRequired = changed.filter(key => !isReloadable(key));
+  const config = JSON.parse(JSON.stringify(next));
+
+  restartRequired.forEach(key => setPath(config, key, getPath(current, key)));
+  return { config, applied: changed.filter(isReloadable), restartRequired };
+}
+
+// Действующая конфигурация для журнала: секреты скрыты
+function describeConfig(config, sources) {
+  const result = {};
+  Object.entries(SCHEMA).forEach(([key, spec]) => {
+    const value = getPath(config, key);
+    result[key] = {
+      value: spec.secret && value !== null ? '***' : value,
+      source: sources[key]
+    };
+  });
+  return result;
+}
+
+// Справка для --help
+function usage() {
+  const lines = [
+    'Usage: node server.js [--config <file>] [--<section>.<setting>=<value> ...]',
+    '',
+    'Settings (flag, environment variable, default; * - applied on SIGHUP):'
+  ];
+  Object.entries(SCHEMA).forEach(([key, spec]) => {
+    const flags = [`--${key}`].concat(spec.flag ? [`--${spec.flag}`] : []).join(', ');
+    const value = spec.secret ? '' : ` = ${JSON.stringify(spec.default)}`;
+    lines.push(`  ${spec.reloadable ? '*' : ' '} ${flags}${spec.env ? ` (${spec.env})` : ''}${value}`);
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  SCHEMA,
+  loadConfig,
+  diffConfig,
+  isReloadable,
+  mergeReload,
+  describeConfig,
+  usage
+};
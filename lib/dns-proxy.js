@@ -0,0 +1,74 @@
+// lib/dns-proxy.js - Локальный DNS сервер (UDP и TCP на одном порту), запросы
+// резолвятся на VPN сервере через dns_query, поэтому не уходят в локальную сеть
+const dgram = require('dgram');
+const net = require('net');
+const wire = require('./dns-wire');
+const { logger } = require('./logger');
+
+class DNSProxyServer {
+  constructor(vpnClient) {
+    this.vpnClient = vpnClient;
+    this.udp = dgram.createSocket('udp4');
+    this.tcp = net.createServer(socket => this.handleTcp(socket));
+
+    this.udp.on('message', async (query, rinfo) => {
+      const response = await this.resolve(query);
+      this.udp.send(response, rinfo.port, rinfo.address);
+    });
+    this.udp.on('error', (error) => logger.error('DNS proxy UDP socket error', { error }));
+  }
+
+  listen(port = 5353, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.tcp.once('error', reject);
+      this.tcp.listen(port, host, () => {
+        this.tcp.removeListener('error', reject);
+
+        const address = this.tcp.address();
+        this.udp.once('error', reject);
+        this.udp.bind(address.port, host, () => {
+          this.udp.removeListener('error', reject);
+          resolve(address);
+        });
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => {
+      this.udp.close();
+      this.tcp.close(() => resolve());
+    });
+  }
+
+  // Ошибка туннеля превращается в SERVFAIL, чтобы приложение не ждало таймаута
+  async resolve(query) {
+    try {
+      return await this.vpnClient.dnsQuery(query);
+    } catch (error) {
+      return wire.errorResponse(query, wire.RCODES.SERVFAIL);
+    }
+  }
+
+  // DNS по TCP: сообщения с префиксом длины (2 байта), несколько запросов на соединение
+  handleTcp(socket) {
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', async (data) => {
+      buffer = Buffer.concat([buffer, data]);
+
+      while (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+        const query = buffer.slice(2, 2 + buffer.readUInt16BE(0));
+        buffer = buffer.slice(2 + query.length);
+
+        const response = await this.resolve(query);
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(response.length, 0);
+        if (!socket.destroyed) socket.write(Buffer.concat([length, response]));
+      }
+    });
+    socket.on('error', () => socket.destroy());
+  }
+}
+
+module.exports = DNSProxyServer;
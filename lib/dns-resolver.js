@@ -0,0 +1,216 @@
+// lib/dns-resolver.js - Резолвинг dns_query на сервере с кэшем по TTL
+//
+// Сырой запрос (DNS wire format) пересылается вышестоящему серверу (VPN_DNS_SERVERS
+// через запятую, иначе системные) по UDP, при усеченном ответе - по TCP. Ответ
+// кэшируется по минимальному TTL записей, в ответах из кэша TTL уменьшаются.
+// Запрос { name, rrtype } резолвится через dns.promises.Resolver.
+// Домены, запрещенные политикой по имени, не резолвятся (POLICY_DENIED).
+const dgram = require('dgram');
+const dns = require('dns');
+const net = require('net');
+const wire = require('./dns-wire');
+
+const QUERY_TIMEOUT = 5000;
+const DEFAULT_TTL = 60;     // Resolver сообщает TTL только для A и AAAA
+const NEGATIVE_TTL = 30;    // NXDOMAIN и ответы без записей
+const MAX_TTL = 3600;
+const MAX_CACHE_ENTRIES = 10000;
+
+function dnsError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// "8.8.8.8", "1.2.3.4:5353", "[::1]:53" -> { host, port }
+function parseServer(server) {
+  const bracketed = /^\[([^\]]+)\](?::(\d+))?$/.exec(server);
+  if (bracketed) return { host: bracketed[1], port: parseInt(bracketed[2]) || 53 };
+  if (net.isIPv6(server)) return { host: server, port: 53 };
+
+  const [host, port] = server.split(':');
+  return { host, port: parseInt(port) || 53 };
+}
+
+function udpQuery(server, query) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(server.host) ? 'udp6' : 'udp4');
+    const timer = setTimeout(() => finish(dnsError(`DNS query to ${server.host} timed out`, 'ETIMEDOUT')), QUERY_TIMEOUT);
+
+    const finish = (error, response) => {
+      clearTimeout(timer);
+      socket.close();
+      if (error) reject(error);
+      else resolve(response);
+    };
+
+    socket.on('message', (response) => {
+      if (response.length >= 2 && response.readUInt16BE(0) === query.readUInt16BE(0)) {
+        finish(null, response);
+      }
+    });
+    socket.on('error', (error) => finish(error));
+    socket.send(query, server.port, server.host);
+  });
+}
+
+// DNS по TCP: сообщения с префиксом длины (2 байта)
+function tcpQuery(server, query) {
+  return new Promise((resolve, reject) => {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(query.length, 0);
+
+    const socket = net.createConnection({ host: server.host, port: server.port }, () => {
+      socket.write(Buffer.concat([length, query]));
+    });
+    let received = Buffer.alloc(0);
+
+    socket.setTimeout(QUERY_TIMEOUT, () => {
+      socket.destroy(dnsError(`DNS query to ${server.host} timed out`, 'ETIMEDOUT'));
+    });
+    socket.on('data', (data) => {
+      received = Buffer.concat([received, data]);
+      if (received.length >= 2 && received.length >= 2 + received.readUInt16BE(0)) {
+        socket.end();
+        resolve(received.slice(2, 2 + received.readUInt16BE(0)));
+      }
+    });
+    socket.on('error', reject);
+    socket.on('close', () => reject(dnsError(`DNS connection to ${server.host} closed`, 'ECONNRESET')));
+  });
+}
+
+class DnsResolver {
+  // options: { servers: ['8.8.8.8', ...], policy: Policy }
+  constructor(options = {}) {
+    const servers = options.servers && options.servers.length > 0 ? options.servers : dns.getServers();
+
+    this.policy = options.policy || null;
+    this.servers = servers.map(parseServer);
+    this.resolver = new dns.promises.Resolver({ timeout: QUERY_TIMEOUT });
+    this.resolver.setServers(servers);
+    this.cache = new Map();
+  }
+
+  cacheGet(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  cacheSet(key, entry, ttl) {
+    if (ttl <= 0) return;
+    if (this.cache.size >= MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    const now = Date.now();
+    this.cache.set(key, { ...entry, storedAt: now, expiresAt: now + Math.min(ttl, MAX_TTL) * 1000 });
+  }
+
+  checkName(user, name) {
+    if (this.policy) this.policy.checkName(user, name);
+  }
+
+  // Сырой DNS запрос -> ответ (Buffer); некорректный запрос - ответ FORMERR
+  async query(user, query) {
+    let message;
+    try {
+      message = wire.parseMessage(query);
+    } catch (error) {
+      return wire.errorResponse(query, wire.RCODES.FORMERR);
+    }
+
+    const { name, type } = message.question;
+    this.checkName(user, name);
+
+    const key = `${name.toLowerCase()}:${type}:${message.question.class}`;
+    const cached = this.cacheGet(key);
+    if (cached) {
+      const response = Buffer.from(cached.response);
+      const elapsed = Math.floor((Date.now() - cached.storedAt) / 1000);
+
+      response.writeUInt16BE(message.id, 0);
+      cached.ttls.forEach(offset => {
+        response.writeUInt32BE(Math.max(0, response.readUInt32BE(offset) - elapsed), offset);
+      });
+      return response;
+    }
+
+    const response = await this.forward(query);
+    const parsed = wire.parseMessage(response);
+
+    if (parsed.rcode === wire.RCODES.NOERROR || parsed.rcode === wire.RCODES.NXDOMAIN) {
+      const ttls = parsed.ttls.map(offset => response.readUInt32BE(offset));
+      const ttl = parsed.rcode === wire.RCODES.NXDOMAIN || ttls.length === 0
+        ? NEGATIVE_TTL
+        : Math.min(...ttls);
+      this.cacheSet(key, { response, ttls: parsed.ttls }, ttl);
+    }
+    return response;
+  }
+
+  // Вышестоящие серверы по очереди, пока один не ответит
+  async forward(query) {
+    let lastError = dnsError('No DNS servers configured', 'ENOTFOUND');
+
+    for (const server of this.servers) {
+      try {
+        const response = await udpQuery(server, query);
+        return wire.isTruncated(wire.parseMessage(response)) ? await tcpQuery(server, query) : response;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  // { name, rrtype, answers, ttl, cached }; ошибки DNS - с кодом (ENOTFOUND, ENODATA, ...)
+  async resolveName(user, name, rrtype = 'A') {
+    const type = String(rrtype).toUpperCase();
+    if (!name || !wire.RRTYPES[type] || type === 'ANY') {
+      throw dnsError(`Invalid DNS query: ${name} ${rrtype}`, 'EINVAL');
+    }
+
+    this.checkName(user, name);
+
+    const key = `name:${name.toLowerCase()}:${type}`;
+    const cached = this.cacheGet(key);
+    if (cached) {
+      if (cached.error) throw dnsError(cached.error.message, cached.error.code);
+
+      const ttl = Math.max(0, Math.ceil((cached.expiresAt - Date.now()) / 1000));
+      return { name, rrtype: type, answers: cached.answers, ttl, cached: true };
+    }
+
+    let answers;
+    let ttl = DEFAULT_TTL;
+    try {
+      if (type === 'A' || type === 'AAAA') {
+        const records = await this.resolver[type === 'A' ? 'resolve4' : 'resolve6'](name, { ttl: true });
+        answers = records.map(record => record.address);
+        ttl = Math.min(...records.map(record => record.ttl));
+      } else {
+        answers = await this.resolver.resolve(name, type);
+      }
+    } catch (error) {
+      if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+        this.cacheSet(key, { error: { code: error.code, message: error.message } }, NEGATIVE_TTL);
+      }
+      throw error;
+    }
+
+    this.cacheSet(key, { answers }, ttl);
+    return { name, rrtype: type, answers, ttl, cached: false };
+  }
+}
+
+module.exports = {
+  DnsResolver,
+  parseServer
+};
@@ -0,0 +1,136 @@
+// lib/dns-wire.js - Разбор и сборка DNS сообщений (RFC 1035) для dns_query
+//
+// Разбирается только то, что нужно прокси: заголовок, вопрос и смещения TTL
+// записей ответа (для кэша с уменьшением TTL). Записи целиком не декодируются.
+
+const HEADER_LENGTH = 12;
+
+const RRTYPES = {
+  A: 1,
+  NS: 2,
+  CNAME: 5,
+  SOA: 6,
+  PTR: 12,
+  MX: 15,
+  TXT: 16,
+  AAAA: 28,
+  SRV: 33,
+  ANY: 255
+};
+
+const RCODES = {
+  NOERROR: 0,
+  FORMERR: 1,
+  SERVFAIL: 2,
+  NXDOMAIN: 3,
+  REFUSED: 5
+};
+
+const FLAG_QR = 0x8000;
+const FLAG_TC = 0x0200;
+const FLAG_RD = 0x0100;
+const FLAG_RA = 0x0080;
+
+// Имя со сжатием (указатели 0xC0); возвращает { name, offset } после имени в исходной позиции
+function readName(buffer, offset) {
+  const labels = [];
+  let position = offset;
+  let end = null;
+
+  for (let jumps = 0; jumps < 128; jumps++) {
+    if (position >= buffer.length) throw new Error('DNS name out of bounds');
+    const length = buffer[position];
+
+    if (length === 0) {
+      return { name: labels.join('.'), offset: end === null ? position + 1 : end };
+    }
+
+    if ((length & 0xc0) === 0xc0) {
+      if (position + 1 >= buffer.length) throw new Error('DNS pointer out of bounds');
+      if (end === null) end = position + 2;
+      position = ((length & 0x3f) << 8) | buffer[position + 1];
+      continue;
+    }
+
+    if (position + 1 + length > buffer.length) throw new Error('DNS label out of bounds');
+    labels.push(buffer.toString('latin1', position + 1, position + 1 + length));
+    position += 1 + length;
+  }
+
+  throw new Error('DNS name compression loop');
+}
+
+// { id, flags, rcode, question: { name, type, class }, questionEnd, ttls: [смещения] }
+function parseMessage(buffer) {
+  if (buffer.length < HEADER_LENGTH) throw new Error('DNS message too short');
+
+  const flags = buffer.readUInt16BE(2);
+  const counts = [4, 6, 8, 10].map(offset => buffer.readUInt16BE(offset));
+  if (counts[0] !== 1) throw new Error('Exactly one DNS question expected');
+
+  const question = readName(buffer, HEADER_LENGTH);
+  let offset = question.offset + 4;
+  if (offset > buffer.length) throw new Error('DNS question out of bounds');
+
+  const message = {
+    id: buffer.readUInt16BE(0),
+    flags,
+    rcode: flags & 0x0f,
+    question: {
+      name: question.name,
+      type: buffer.readUInt16BE(question.offset),
+      class: buffer.readUInt16BE(question.offset + 2)
+    },
+    questionEnd: offset,
+    ttls: []
+  };
+
+  // Ответ, authority и additional; OPT (41) несет не TTL, а флаги EDNS
+  const records = counts[1] + counts[2] + counts[3];
+  for (let i = 0; i < records; i++) {
+    offset = readName(buffer, offset).offset;
+    if (offset + 10 > buffer.length) throw new Error('DNS record out of bounds');
+
+    const type = buffer.readUInt16BE(offset);
+    if (type !== 41) message.ttls.push(offset + 4);
+    offset += 10 + buffer.readUInt16BE(offset + 8);
+    if (offset > buffer.length) throw new Error('DNS record data out of bounds');
+  }
+
+  return message;
+}
+
+// Ответ без записей с кодом rcode на запрос query (вопрос копируется)
+function errorResponse(query, rcode) {
+  let message;
+  try {
+    message = parseMessage(query);
+  } catch (error) {
+    message = null;
+  }
+
+  const questionEnd = message ? message.questionEnd : HEADER_LENGTH;
+  const response = Buffer.alloc(questionEnd);
+  query.copy(response, 0, 0, Math.min(questionEnd, query.length));
+
+  const requestFlags = query.length >= 4 ? query.readUInt16BE(2) : 0;
+  response.writeUInt16BE(FLAG_QR | (requestFlags & FLAG_RD) | FLAG_RA | rcode, 2);
+  response.writeUInt16BE(message ? 1 : 0, 4);
+  response.writeUInt16BE(0, 6);
+  response.writeUInt16BE(0, 8);
+  response.writeUInt16BE(0, 10);
+  return response;
+}
+
+function isTruncated(message) {
+  return Boolean(message.flags & FLAG_TC);
+}
+
+module.exports = {
+  RRTYPES,
+  RCODES,
+  readName,
+  parseMessage,
+  errorResponse,
+  isTruncated
+};
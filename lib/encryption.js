@@ -0,0 +1,39 @@
+// lib/encryption.js - Шифрование данных туннелей (общее для сервера и клиента)
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 16;
+const TAG_LENGTH = 16;
+
+// Формат пакета: iv (16) | authTag (16) | encrypted
+class VPNEncryption {
+  constructor(secret) {
+    this.key = crypto.createHash('sha256').update(secret).digest();
+  }
+
+  encrypt(data) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+    return Buffer.concat([iv, authTag, encrypted]);
+  }
+
+  decrypt(data) {
+    try {
+      const iv = data.slice(0, IV_LENGTH);
+      const authTag = data.slice(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+      const encrypted = data.slice(IV_LENGTH + TAG_LENGTH);
+
+      const decipher = crypto.createDecipheriv(ALGORITHM, this.key, iv);
+      decipher.setAuthTag(authTag);
+
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = VPNEncryption;
+module.exports.ALGORITHM = ALGORITHM;
@@ -0,0 +1,102 @@
+// lib/framing.js - Бинарные кадры для данных туннелей на /vpn WebSocket
+//
+// Кадр: type (1) | flags (1) | streamId (4, BE) | length (4, BE) | payload (length)
+// Управляющие сообщения остаются JSON (текстовые сообщения WebSocket),
+// бинарные сообщения WebSocket несут только кадры.
+//
+// WINDOW_UPDATE: payload = credit (4, BE) - сколько еще байт можно отправить
+// в этот туннель (управление потоком, см. DEFAULT_WINDOW).
+//
+// UDP туннели передают в DATA (и в tunnel_data) датаграммы с адресом:
+// длина адреса (1) | адрес (IP или имя, utf8) | порт (2, BE) | данные
+// TUN туннели (tun_attach) передают IPv4 пакеты целиком, без заголовков.
+
+const FRAMING_VERSION = 1;
+const HEADER_LENGTH = 10;
+
+// Начальное окно туннеля в каждом направлении (байты полезной нагрузки)
+const DEFAULT_WINDOW = 256 * 1024;
+
+const FRAME_TYPES = {
+  DATA: 0x00,
+  WINDOW_UPDATE: 0x01
+};
+
+const FLAGS = {
+  ENCRYPTED: 0x01
+};
+
+function encodeFrame(type, streamId, payload, flags = 0) {
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.writeUInt8(type, 0);
+  header.writeUInt8(flags, 1);
+  header.writeUInt32BE(streamId, 2);
+  header.writeUInt32BE(payload.length, 6);
+  return Buffer.concat([header, payload]);
+}
+
+// Возвращает null для обрезанного или некорректного кадра
+function decodeFrame(buffer) {
+  if (buffer.length < HEADER_LENGTH) return null;
+
+  const length = buffer.readUInt32BE(6);
+  if (buffer.length !== HEADER_LENGTH + length) return null;
+
+  return {
+    type: buffer.readUInt8(0),
+    flags: buffer.readUInt8(1),
+    streamId: buffer.readUInt32BE(2),
+    payload: buffer.slice(HEADER_LENGTH)
+  };
+}
+
+function encodeWindowUpdate(streamId, credit) {
+  const payload = Buffer.alloc(4);
+  payload.writeUInt32BE(credit, 0);
+  return encodeFrame(FRAME_TYPES.WINDOW_UPDATE, streamId, payload);
+}
+
+function decodeWindowUpdate(frame) {
+  return frame.payload.length === 4 ? frame.payload.readUInt32BE(0) : 0;
+}
+
+function encodeDatagram(host, port, data) {
+  const address = Buffer.from(String(host), 'utf8');
+  if (address.length === 0 || address.length > 255) {
+    throw new Error(`Invalid datagram address: ${host}`);
+  }
+
+  const header = Buffer.alloc(1 + address.length + 2);
+  header.writeUInt8(address.length, 0);
+  address.copy(header, 1);
+  header.writeUInt16BE(port, 1 + address.length);
+  return Buffer.concat([header, data]);
+}
+
+// Возвращает null для обрезанной датаграммы
+function decodeDatagram(buffer) {
+  if (buffer.length < 1) return null;
+
+  const addressLength = buffer.readUInt8(0);
+  if (addressLength === 0 || buffer.length < 1 + addressLength + 2) return null;
+
+  return {
+    host: buffer.toString('utf8', 1, 1 + addressLength),
+    port: buffer.readUInt16BE(1 + addressLength),
+    data: buffer.slice(1 + addressLength + 2)
+  };
+}
+
+module.exports = {
+  FRAMING_VERSION,
+  HEADER_LENGTH,
+  DEFAULT_WINDOW,
+  FRAME_TYPES,
+  FLAGS,
+  encodeFrame,
+  decodeFrame,
+  encodeWindowUpdate,
+  decodeWindowUpdate,
+  encodeDatagram,
+  decodeDatagram
+};
@@ -0,0 +1,91 @@
+// lib/heartbeat.js - Проверка живости WebSocket кадрами ping/pong и статистика RTT
+//
+// Каждые interval мс отправляется ping; если дольше timeout мс не было ни pong,
+// ни других сообщений, соединение считается мертвым (half-open) и обрывается
+// через terminate(), дальше срабатывает обычная обработка 'close'.
+
+// RTT в мс: среднее и jitter сглаживаются как в TCP (RFC 6298) и RTP (RFC 3550)
+class RttStats {
+  constructor() {
+    this.samples = 0;
+    this.last = null;
+    this.min = null;
+    this.avg = null;
+    this.jitter = 0;
+  }
+
+  add(rtt) {
+    if (this.samples > 0) {
+      this.jitter += (Math.abs(rtt - this.last) - this.jitter) / 16;
+      this.avg += (rtt - this.avg) / 8;
+    } else {
+      this.avg = rtt;
+    }
+
+    this.min = this.min === null ? rtt : Math.min(this.min, rtt);
+    this.last = rtt;
+    this.samples++;
+  }
+
+  toJSON() {
+    const round = (value) => value === null ? null : Math.round(value * 10) / 10;
+    return {
+      samples: this.samples,
+      last: this.last,
+      min: this.min,
+      avg: round(this.avg),
+      jitter: round(this.jitter)
+    };
+  }
+}
+
+class Heartbeat {
+  // options: { interval, timeout } в мс; stats - RttStats для измерений
+  constructor(ws, options, stats = new RttStats()) {
+    this.ws = ws;
+    this.interval = options.interval;
+    this.timeout = options.timeout;
+    this.stats = stats;
+    this.lastSeen = Date.now();
+    this.pingSentAt = null;
+
+    this.onPong = () => {
+      const now = Date.now();
+      this.lastSeen = now;
+      if (this.pingSentAt !== null) {
+        this.stats.add(now - this.pingSentAt);
+        this.pingSentAt = null;
+      }
+    };
+    this.onMessage = () => {
+      this.lastSeen = Date.now();
+    };
+
+    ws.on('pong', this.onPong);
+    ws.on('message', this.onMessage);
+    ws.once('close', () => this.stop());
+    this.timer = setInterval(() => this.tick(), this.interval);
+  }
+
+  tick() {
+    if (Date.now() - this.lastSeen > this.timeout) {
+      this.stop();
+      this.ws.terminate();
+      return;
+    }
+
+    this.pingSentAt = Date.now();
+    this.ws.ping();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.ws.removeListener('pong', this.onPong);
+    this.ws.removeListener('message', this.onMessage);
+  }
+}
+
+module.exports = {
+  RttStats,
+  Heartbeat
+};
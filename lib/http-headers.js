@@ -0,0 +1,47 @@
+// lib/http-headers.js - Заголовки HTTP, общие для локального прокси и http_proxy на сервере,
+// и адрес клиента за доверенными прокси
+
+// Заголовки, которые относятся к соединению с прокси, а не к запросу
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-connection',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+// Копия заголовков с именами в нижнем регистре, без hop-by-hop заголовков и
+// перечисленных в Connection
+function stripHopByHop(headers) {
+  const result = {};
+  Object.keys(headers || {}).forEach(name => {
+    result[name.toLowerCase()] = headers[name];
+  });
+
+  const connectionTokens = String(result.connection || '').split(',').map(t => t.trim().toLowerCase());
+  HOP_BY_HOP_HEADERS.concat(connectionTokens).forEach(name => {
+    delete result[name];
+  });
+  return result;
+}
+
+// Адрес клиента входящего запроса. X-Forwarded-For задает сам клиент, поэтому из него
+// берется только адрес, который добавил trustedHops-й прокси перед сервером (адреса
+// дописываются справа); без доверенных прокси - адрес сокета
+function clientAddress(req, trustedHops = 0) {
+  const forwarded = trustedHops > 0
+    ? String(req.headers['x-forwarded-for'] || '').split(',').map(address => address.trim()).filter(Boolean)
+    : [];
+  const chain = forwarded.concat(req.socket.remoteAddress);
+  return chain[Math.max(chain.length - 1 - trustedHops, 0)];
+}
+
+module.exports = {
+  HOP_BY_HOP_HEADERS,
+  stripHopByHop,
+  clientAddress
+};
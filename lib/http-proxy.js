@@ -0,0 +1,122 @@
+// lib/http-proxy.js - Локальный HTTP прокси: CONNECT -> create_tunnel, обычные запросы -> http_proxy
+const http = require('http');
+const { stripHopByHop } = require('./http-headers');
+
+// Коды ошибок туннеля -> HTTP статус ответа прокси
+function statusForError(error) {
+  if (['EACCES', 'EAUTH', 'POLICY_DENIED'].includes(error.code)) return 403;
+  if (['RATE_LIMITED', 'QUOTA_EXCEEDED'].includes(error.code)) return 429;
+  if (error.code === 'ETIMEDOUT') return 504;
+  return 502;
+}
+
+function hasRequestBody(req) {
+  return Boolean(req.headers['transfer-encoding']) ||
+    parseInt(req.headers['content-length'] || '0') > 0;
+}
+
+class HTTPProxyServer {
+  constructor(vpnClient) {
+    this.vpnClient = vpnClient;
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on('connect', (req, socket, head) => this.handleConnect(req, socket, head));
+  }
+
+  listen(port = 8080, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  // Обычный запрос с абсолютным URI (GET http://example.com/ HTTP/1.1)
+  handleRequest(req, res) {
+    if (!/^http:\/\//i.test(req.url)) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('This is a proxy: absolute http:// URI required\n');
+      return;
+    }
+
+    const hasBody = hasRequestBody(req);
+    const upstream = this.vpnClient.httpRequest(req.method, req.url, stripHopByHop(req.headers), hasBody);
+
+    upstream.on('response', (status, headers, statusMessage) => {
+      res.writeHead(status, statusMessage, stripHopByHop(headers));
+      upstream.pipe(res);
+    });
+
+    upstream.on('error', (error) => {
+      if (!res.headersSent) {
+        res.writeHead(statusForError(error), { 'Content-Type': 'text/plain' });
+        res.end(`VPN proxy error: ${error.message}\n`);
+      } else {
+        res.destroy();
+      }
+    });
+
+    req.pipe(upstream);
+    res.on('close', () => {
+      if (!upstream.finished) upstream.destroy();
+    });
+  }
+
+  // CONNECT host:port -> туннель, дальше байты пробрасываются как есть
+  async handleConnect(req, socket, head) {
+    const separator = req.url.lastIndexOf(':');
+    const host = req.url.slice(0, separator).replace(/^\[|\]$/g, '');
+    const port = parseInt(req.url.slice(separator + 1));
+
+    socket.on('error', () => socket.destroy());
+
+    if (separator === -1 || !port) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    // Клиент может отключиться, пока туннель еще открывается: сокет читается, иначе
+    // отключение не заметить (сервер http держит полуоткрытые сокеты, поэтому end
+    // тоже закрывает), пришедшие данные уходят в туннель после открытия
+    let tunnel = null;
+    let closed = false;
+    const early = head && head.length > 0 ? [head] : [];
+    const collect = (data) => early.push(data);
+    const abort = () => socket.destroy();
+    socket.on('data', collect);
+    socket.on('end', abort);
+    socket.on('close', () => {
+      closed = true;
+      if (tunnel) tunnel.destroy();
+    });
+
+    try {
+      tunnel = await this.vpnClient.createTunnel(host, port);
+    } catch (error) {
+      const status = statusForError(error);
+      socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n\r\n`);
+      return;
+    }
+
+    if (closed) {
+      tunnel.destroy();
+      return;
+    }
+
+    socket.removeListener('data', collect);
+    socket.removeListener('end', abort);
+    socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    early.forEach(data => tunnel.write(data));
+
+    socket.pipe(tunnel).pipe(socket);
+    tunnel.on('error', () => socket.destroy());
+  }
+}
+
+module.exports = HTTPProxyServer;
+module.exports.stripHopByHop = stripHopByHop;
@@ -0,0 +1,224 @@
+// lib/http-upstream.js - Запрос к сайту для http_proxy на сервере
+//
+// Тело ответа не буферизуется: 'response', 'data' и 'end' приходят по мере поступления,
+// pause()/resume() притормаживают сайт, пока данные не ушли клиенту. Адрес сайта и
+// каждого редиректа проверяется checkDestination (политика). Ошибки - с кодом:
+// ETIMEDOUT, EMSGSIZE (превышен размер тела), EREDIRECT, EINVAL и ошибки сокета.
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { stripHopByHop } = require('./http-headers');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// manual - редирект отдается клиенту, follow - сервер идет по нему сам, error - ошибка
+const REDIRECT_MODES = ['manual', 'follow', 'error'];
+
+// Учетные данные не передаются другому сайту при редиректе
+const CREDENTIAL_HEADERS = ['authorization', 'cookie'];
+
+// Keep-alive агенты, чтобы соединения с сайтами переиспользовались между запросами
+const agents = {
+  'http:': new http.Agent({ keepAlive: true }),
+  'https:': new https.Agent({ keepAlive: true })
+};
+
+function upstreamError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class UpstreamRequest extends EventEmitter {
+  // options: { method, url, headers, hasBody, redirect, maxRedirects, timeout (мс),
+  //            maxRequestBody, maxResponseBody (байт), checkDestination(parsedUrl) -> lookup }
+  constructor(options) {
+    super();
+    this.options = options;
+    this.method = String(options.method || 'GET').toUpperCase();
+    this.headers = stripHopByHop(options.headers);
+    this.body = new PassThrough();
+    this.bodyBytes = 0;
+    this.responseBytes = 0;
+    this.redirects = 0;
+    this.request = null;
+    this.response = null;
+    this.finished = false;
+    this.destroyed = false;
+  }
+
+  // Таймаут до заголовков ответа считается от начала, вместе с редиректами
+  start() {
+    this.timer = setTimeout(() => {
+      this.destroy(upstreamError(`No response within ${this.options.timeout / 1000}s`, 'ETIMEDOUT'));
+    }, this.options.timeout);
+
+    this.run().catch(error => this.destroy(error));
+  }
+
+  async run() {
+    if (!REDIRECT_MODES.includes(this.options.redirect)) {
+      throw upstreamError(`Invalid redirect mode: ${this.options.redirect}`, 'EINVAL');
+    }
+    await this.send(new URL(this.options.url), this.options.hasBody);
+  }
+
+  async send(parsedUrl, withBody) {
+    const lookup = await this.options.checkDestination(parsedUrl);
+    if (this.destroyed) return;
+
+    const protocol = parsedUrl.protocol === 'https:' ? https : http;
+    const req = protocol.request({
+      hostname: parsedUrl.hostname,
+      port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
+      path: parsedUrl.pathname + parsedUrl.search,
+      method: this.method,
+      headers: this.headers,
+      agent: agents[parsedUrl.protocol],
+      lookup: lookup
+    }, (res) => this.handleResponse(parsedUrl, res, withBody));
+
+    this.request = req;
+    req.setTimeout(this.options.timeout, () => {
+      req.destroy(upstreamError(`Upstream idle for ${this.options.timeout / 1000}s`, 'ETIMEDOUT'));
+    });
+    req.on('error', (error) => this.destroy(error));
+
+    if (withBody) {
+      this.body.pipe(req);
+    } else {
+      req.end();
+    }
+  }
+
+  handleResponse(parsedUrl, res, withBody) {
+    const location = res.headers.location;
+    if (REDIRECT_STATUSES.includes(res.statusCode) && location && this.options.redirect !== 'manual') {
+      if (this.options.redirect === 'error') {
+        res.resume();
+        this.destroy(upstreamError(`Redirect to ${location}`, 'EREDIRECT'));
+        return;
+      }
+
+      // 307/308 (и 301/302 не для POST) повторяют тело, а потоковое тело уже ушло
+      // первому запросу - такой редирект отдается клиенту как есть
+      const method = res.statusCode === 303 && this.method !== 'HEAD' ||
+        (res.statusCode === 301 || res.statusCode === 302) && this.method === 'POST'
+        ? 'GET'
+        : this.method;
+
+      if (!withBody || method !== this.method) {
+        res.resume();
+        if (this.redirects >= this.options.maxRedirects) {
+          this.destroy(upstreamError(`More than ${this.options.maxRedirects} redirects`, 'EREDIRECT'));
+          return;
+        }
+
+        let target;
+        try {
+          target = new URL(location, parsedUrl);
+        } catch (error) {
+          this.destroy(upstreamError(`Invalid redirect location: ${location}`, 'EREDIRECT'));
+          return;
+        }
+        this.followRedirect(parsedUrl, target, method);
+        return;
+      }
+    }
+
+    const length = parseInt(res.headers['content-length']);
+    if (length > this.options.maxResponseBody) {
+      res.resume();
+      this.destroy(upstreamError(`Response body exceeds ${this.options.maxResponseBody} bytes`, 'EMSGSIZE'));
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.response = res;
+    this.emit('response', {
+      status: res.statusCode,
+      statusMessage: res.statusMessage,
+      headers: stripHopByHop(res.headers),
+      url: parsedUrl.href,
+      redirects: this.redirects
+    });
+
+    res.on('data', (chunk) => {
+      this.responseBytes += chunk.length;
+      if (this.responseBytes > this.options.maxResponseBody) {
+        this.destroy(upstreamError(`Response body exceeds ${this.options.maxResponseBody} bytes`, 'EMSGSIZE'));
+        return;
+      }
+      this.emit('data', chunk);
+    });
+    res.on('end', () => {
+      this.finished = true;
+      this.emit('end');
+    });
+    res.on('close', () => {
+      if (!this.finished) this.destroy(upstreamError('Upstream connection closed', 'ECONNRESET'));
+    });
+  }
+
+  followRedirect(from, to, method) {
+    this.redirects++;
+
+    // Запрос становится GET без тела; непереданная часть тела отбрасывается
+    if (method !== this.method) {
+      this.method = method;
+      ['content-length', 'content-type', 'content-encoding'].forEach(name => delete this.headers[name]);
+      this.body.unpipe();
+      this.body.resume();
+    }
+
+    delete this.headers.host;
+    if (to.origin !== from.origin) {
+      CREDENTIAL_HEADERS.forEach(name => delete this.headers[name]);
+    }
+
+    this.send(to, false).catch(error => this.destroy(error));
+  }
+
+  // Тело запроса (при hasBody); превышение лимита прерывает запрос
+  write(chunk) {
+    if (this.destroyed) return;
+
+    this.bodyBytes += chunk.length;
+    if (this.bodyBytes > this.options.maxRequestBody) {
+      this.destroy(upstreamError(`Request body exceeds ${this.options.maxRequestBody} bytes`, 'EMSGSIZE'));
+      return;
+    }
+    this.body.write(chunk);
+  }
+
+  end() {
+    if (!this.destroyed) this.body.end();
+  }
+
+  pause() {
+    if (this.response) this.response.pause();
+  }
+
+  resume() {
+    if (this.response) this.response.resume();
+  }
+
+  // Без ошибки - отмена (http_cancel, отключение клиента): событие 'error' не приходит
+  destroy(error) {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    clearTimeout(this.timer);
+
+    if (this.request && !this.finished) this.request.destroy();
+    this.body.destroy();
+
+    if (error) this.emit('error', error);
+    this.emit('close');
+  }
+}
+
+module.exports = {
+  REDIRECT_MODES,
+  UpstreamRequest
+};
@@ -0,0 +1,64 @@
+// lib/ip-pool.js - Виртуальные IPv4 адреса клиентов TUN режима
+//
+// Пул задается CIDR (10.8.0.0/24): первый адрес сети - шлюз (адрес TUN устройства
+// сервера), остальные, кроме широковещательного, выдаются клиентам. Освобожденный
+// адрес выдается повторно не раньше, чем закончатся свободные.
+const net = require('net');
+
+function ipToInt(address) {
+  return address.split('.').reduce((acc, part) => acc * 256 + parseInt(part), 0);
+}
+
+function intToIp(value) {
+  return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+class IpPool {
+  constructor(cidr) {
+    const [address, prefix] = String(cidr).split('/');
+    const prefixLength = parseInt(prefix);
+    if (!net.isIPv4(address) || !(prefixLength >= 8 && prefixLength <= 30)) {
+      throw new Error(`Invalid address pool ${cidr}: expected IPv4 CIDR with prefix /8../30`);
+    }
+
+    const size = 2 ** (32 - prefixLength);
+    this.prefix = prefixLength;
+    this.network = ipToInt(address) - ipToInt(address) % size;
+    this.size = size;
+    this.gateway = intToIp(this.network + 1);
+    this.cidr = `${intToIp(this.network)}/${prefixLength}`;
+    this.allocated = new Set();
+    this.next = 2;
+  }
+
+  contains(address) {
+    if (!net.isIPv4(address)) return false;
+    const value = ipToInt(address);
+    return value >= this.network && value < this.network + this.size;
+  }
+
+  // Свободный адрес или null, если пул исчерпан
+  allocate() {
+    const hosts = this.size - 2;
+    for (let i = 0; i < hosts - 1; i++) {
+      const offset = (this.next - 2 + i) % (hosts - 1) + 2;
+      const address = intToIp(this.network + offset);
+      if (!this.allocated.has(address)) {
+        this.allocated.add(address);
+        this.next = offset + 1;
+        return address;
+      }
+    }
+    return null;
+  }
+
+  release(address) {
+    this.allocated.delete(address);
+  }
+}
+
+module.exports = {
+  IpPool,
+  ipToInt,
+  intToIp
+};
@@ -0,0 +1,67 @@
+// lib/limits.js - Лимиты пользователей, изменяемые на лету через admin API
+//
+// Порядок применения: значения по умолчанию -> тарифный план пользователя
+// (plans в файле пользователей) -> limits из записи пользователя -> изменения
+// через admin API. null означает отсутствие ограничения.
+
+const DEFAULT_LIMITS = {
+  maxTunnels: null,             // одновременных туннелей
+  tunnelsPerMinute: null,       // новых туннелей в минуту
+  httpRequestsPerMinute: null,  // запросов http_proxy в минуту
+  bandwidthUp: null,            // байт/с от клиента
+  bandwidthDown: null,          // байт/с к клиенту
+  dailyQuota: null,             // байт за сутки (UTC), оба направления
+  monthlyQuota: null            // байт за месяц (UTC), оба направления
+};
+
+function validateLimits(limits) {
+  Object.entries(limits).forEach(([name, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_LIMITS, name)) {
+      throw new Error(`Unknown limit: ${name}`);
+    }
+    if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+      throw new Error(`Limit ${name} must be a non-negative integer or null`);
+    }
+  });
+}
+
+class UserLimits {
+  // store - UserStore с планами (plans) и записями пользователей
+  constructor(store = null, defaults = {}) {
+    validateLimits(defaults);
+    this.store = store;
+    this.defaults = { ...DEFAULT_LIMITS, ...defaults };
+    this.overrides = new Map();
+  }
+
+  // Действующие лимиты пользователя
+  get(username) {
+    const record = (this.store && this.store.users.get(username)) || {};
+    const plan = (record.plan && this.store.plans.get(record.plan)) || {};
+
+    return {
+      ...this.defaults,
+      ...plan,
+      ...(record.limits || {}),
+      ...(this.overrides.get(username) || {})
+    };
+  }
+
+  // Новые значения по умолчанию (перезагрузка конфигурации)
+  setDefaults(defaults) {
+    validateLimits(defaults);
+    this.defaults = { ...DEFAULT_LIMITS, ...defaults };
+  }
+
+  set(username, limits) {
+    validateLimits(limits);
+    this.overrides.set(username, { ...(this.overrides.get(username) || {}), ...limits });
+    return this.get(username);
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  UserLimits,
+  validateLimits
+};
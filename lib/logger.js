@@ -0,0 +1,90 @@
+// lib/logger.js - Журнал в формате JSON lines с уровнями (LOG_LEVEL)
+//
+// Каждая запись - одна строка: { time, level, msg, ...поля }. Дочерний логгер
+// (child) добавляет постоянные поля: clientId, user, tunnelId, target.
+// Ошибки в поле error записываются как { code, message }.
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+const DEFAULT_LEVEL = 'info';
+
+function serializeError(error) {
+  return { code: error.code, message: error.message };
+}
+
+class Logger {
+  // options: { level, stream, fields }; уровень общий у логгера и всех его потомков
+  constructor(options = {}) {
+    this.state = options.state || { level: LEVELS[DEFAULT_LEVEL] };
+    this.stream = options.stream || process.stdout;
+    this.fields = options.fields || {};
+    if (options.level !== undefined) this.setLevel(options.level);
+  }
+
+  // Неизвестный уровень - ошибка, чтобы опечатка в конфигурации не прошла молча
+  setLevel(level) {
+    const name = String(level || DEFAULT_LEVEL).toLowerCase();
+    if (LEVELS[name] === undefined) {
+      throw new Error(`Unknown log level: ${level} (expected ${Object.keys(LEVELS).join(', ')})`);
+    }
+    this.state.level = LEVELS[name];
+  }
+
+  get level() {
+    return Object.keys(LEVELS).find(name => LEVELS[name] === this.state.level);
+  }
+
+  child(fields) {
+    return new Logger({
+      state: this.state,
+      stream: this.stream,
+      fields: { ...this.fields, ...fields }
+    });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] <= this.state.level;
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+    Object.keys(fields).forEach(name => {
+      const value = fields[name];
+      if (value !== undefined) entry[name] = value instanceof Error ? serializeError(value) : value;
+    });
+
+    this.stream.write(JSON.stringify(entry) + '\n');
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+}
+
+// Общий логгер сервера; уровень задается конфигурацией (logging.level)
+const logger = new Logger();
+
+module.exports = {
+  LEVELS,
+  Logger,
+  logger
+};
@@ -0,0 +1,174 @@
+// lib/manifest.js - Подписанный список серверов (GET /servers) для выбора узла клиентом
+//
+// Манифест (JSON):
+//   {
+//     "version": 1,
+//     "publisher": "full-vpn-oregon",
+//     "issuedAt": "2024-01-01T00:00:00.000Z",
+//     "expiresAt": "2024-01-02T00:00:00.000Z",
+//     "nodes": [{
+//       "id": "oregon-1",
+//       "url": "wss://vpn-server-o.onrender.com/vpn",
+//       "region": "Oregon (US West)",
+//       "capabilities": ["tcp", "udp", "dns", "http_proxy", "tun"],   // по умолчанию все, кроме tun
+//       "identityKey": "MCowBQYDK2VwAyEA...",   // identity ключ узла (необязательно)
+//       "priority": 0                            // меньше - предпочтительнее при равной задержке
+//     }],
+//     "signature": "..."
+//   }
+//
+// Подпись Ed25519 покрывает все поля, кроме signature, в каноническом JSON (ключи
+// объектов по алфавиту). Узлы берутся из файла servers.file (JSON или YAML, поле
+// nodes); identityKey из подписанного манифеста клиент использует как VPN_SERVER_KEY.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const MANIFEST_VERSION = 1;
+const CAPABILITIES = ['tcp', 'udp', 'dns', 'http_proxy', 'tun'];
+
+function manifestError(message, code = 'EMANIFEST') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Ключи объектов по алфавиту, undefined пропускается - как в JSON.stringify
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => item === undefined ? 'null' : canonicalJson(item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function signedPayload(manifest) {
+  const { signature, ...fields } = manifest;
+  return Buffer.from(`vpn-manifest-v${MANIFEST_VERSION}|${canonicalJson(fields)}`);
+}
+
+function validateNode(node, index) {
+  const where = `nodes[${index}]`;
+  if (!node || typeof node !== 'object') throw manifestError(`${where}: expected an object`);
+  if (typeof node.id !== 'string' || !node.id) throw manifestError(`${where}.id: expected a non-empty string`);
+
+  let url;
+  try {
+    url = new URL(node.url);
+  } catch (error) {
+    throw manifestError(`${where}.url: invalid URL ${JSON.stringify(node.url)}`);
+  }
+  if (!['ws:', 'wss:', 'http:', 'https:'].includes(url.protocol)) {
+    throw manifestError(`${where}.url: expected ws, wss, http or https URL`);
+  }
+
+  if (node.region !== undefined && typeof node.region !== 'string') {
+    throw manifestError(`${where}.region: expected a string`);
+  }
+  if (node.capabilities !== undefined &&
+      !(Array.isArray(node.capabilities) && node.capabilities.every(item => typeof item === 'string'))) {
+    throw manifestError(`${where}.capabilities: expected a list of strings`);
+  }
+  if (node.identityKey !== undefined) {
+    try {
+      crypto.createPublicKey({ key: Buffer.from(node.identityKey, 'base64'), format: 'der', type: 'spki' });
+    } catch (error) {
+      throw manifestError(`${where}.identityKey: invalid public key`);
+    }
+  }
+  if (node.priority !== undefined && !Number.isInteger(node.priority)) {
+    throw manifestError(`${where}.priority: expected an integer`);
+  }
+
+  return {
+    ...node,
+    region: node.region || null,
+    capabilities: node.capabilities || CAPABILITIES.filter(capability => capability !== 'tun'),
+    priority: node.priority || 0
+  };
+}
+
+function validateNodes(nodes) {
+  if (!Array.isArray(nodes)) throw manifestError('nodes: expected a list');
+
+  const ids = new Set();
+  return nodes.map((node, index) => {
+    const valid = validateNode(node, index);
+    if (ids.has(valid.id)) throw manifestError(`nodes[${index}].id: duplicate id ${valid.id}`);
+    ids.add(valid.id);
+    return valid;
+  });
+}
+
+// Узлы из servers.file; без файла - пустой список
+function loadServerList(filePath) {
+  if (!filePath) return [];
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const isYaml = ['.yaml', '.yml'].includes(path.extname(filePath));
+  const data = (isYaml ? yaml.load(content) : JSON.parse(content)) || {};
+  return validateNodes(data.nodes || []);
+}
+
+// ttl - секунды действия манифеста
+function createManifest(nodes, { publisher, ttl }) {
+  const issuedAt = new Date();
+  return {
+    version: MANIFEST_VERSION,
+    publisher,
+    issuedAt: issuedAt.toISOString(),
+    expiresAt: new Date(issuedAt.getTime() + ttl * 1000).toISOString(),
+    nodes
+  };
+}
+
+// signingKey - { privateKey } как у sessionCrypto.loadIdentityKey
+function signManifest(manifest, signingKey) {
+  const signature = crypto.sign(null, signedPayload(manifest), signingKey.privateKey).toString('base64');
+  return { ...manifest, signature };
+}
+
+// Проверенный манифест с нормализованными узлами. publicKey (SPKI DER base64) -
+// ожидаемый ключ подписи; без него подпись не проверяется
+function verifyManifest(manifest, publicKey, now = Date.now()) {
+  if (!manifest || typeof manifest !== 'object') throw manifestError('Server list must be a JSON object');
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw manifestError(`Unsupported server list version ${manifest.version}`);
+  }
+
+  if (publicKey) {
+    let valid;
+    try {
+      valid = crypto.verify(
+        null,
+        signedPayload(manifest),
+        crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' }),
+        Buffer.from(String(manifest.signature || ''), 'base64')
+      );
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) throw manifestError('Invalid server list signature', 'ESIGNATURE');
+  }
+
+  const expiresAt = Date.parse(manifest.expiresAt);
+  if (!(expiresAt > now)) throw manifestError(`Server list expired at ${manifest.expiresAt}`, 'EEXPIRED');
+
+  return { ...manifest, nodes: validateNodes(manifest.nodes) };
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  CAPABILITIES,
+  canonicalJson,
+  loadServerList,
+  createManifest,
+  signManifest,
+  verifyManifest
+};
@@ -0,0 +1,166 @@
+// lib/metrics.js - Метрики в текстовом формате Prometheus (exposition format 0.0.4)
+//
+// Counter и Gauge хранят значения по наборам меток; collect() вместо хранения
+// вычисляет значения в момент запроса /metrics (число клиентов, трафик).
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Секунды: от быстрых JSON сообщений до долгих подключений
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) return '';
+  return `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Ключ набора меток; отсутствующая метка - пустая строка
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = [], collect = null) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.values = new Map();
+  }
+
+  labelsFor(key) {
+    const values = JSON.parse(key);
+    const labels = {};
+    this.labelNames.forEach((name, i) => {
+      labels[name] = values[i];
+    });
+    return labels;
+  }
+
+  // [{ labels, value }]
+  samples() {
+    if (this.collect) return this.collect();
+    return Array.from(this.values, ([key, value]) => ({ labels: this.labelsFor(key), value }));
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.samples().forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(labels || {})} ${formatValue(value)}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super('counter', name, help, labelNames, collect);
+  }
+
+  inc(labels, value = 1) {
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames, collect);
+  }
+
+  set(labels, value) {
+    this.values.set(labelKey(this.labelNames, labels), value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = labelKey(this.labelNames, labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  // Функция, которая при вызове записывает прошедшее время в секундах
+  startTimer(labels) {
+    const start = process.hrtime();
+    return (extraLabels) => {
+      const [seconds, nanoseconds] = process.hrtime(start);
+      this.observe({ ...labels, ...extraLabels }, seconds + nanoseconds / 1e9);
+    };
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.values.forEach((entry, key) => {
+      const labels = this.labelsFor(key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${entry.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${entry.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${entry.count}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames, collect) {
+    return this.register(new Counter(name, help, labelNames, collect));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry
+};
@@ -0,0 +1,270 @@
+// lib/obfuscation.js - Маскировка трафика /vpn от распознавания (DPI)
+//
+// ObfuscatedSocket - обертка с интерфейсом ws над WebSocket или PollingSocket
+// (lib/polling.js). С маскировкой все сообщения - и JSON, и кадры lib/framing.js -
+// уходят бинарными записями: несколько сообщений, накопленных за случайную
+// задержку до jitter мс, и дополнение случайной длины до padding байт.
+//
+// Пакет: элементы kind (1) | length (4, BE) | data
+//   kind: TEXT, BINARY - сообщения; PADDING - отбрасывается; CLOSE - закрытие
+//   (code (2, BE) | reason, только в ответах PollingSocket)
+// Запись: iv (16) | AES-128-CTR(key, iv) от пакета
+//
+// Ключ не передается: обе стороны получают его из пути транспорта и общего секрета
+// (deriveKey). Первым пишет клиент - записью с hello, поэтому маскировано все
+// соединение, начиная с welcome. Это не шифрование (данные туннелей шифрует
+// session-crypto): запись только не должна содержать узнаваемого JSON, а ее длина
+// и время отправки - повторять сообщения протокола.
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const OBFUSCATION_VERSION = 2;
+const KEY_LENGTH = 16;
+const IV_LENGTH = 16;
+const ITEM_HEADER_LENGTH = 5;
+
+const BATCH_KINDS = {
+  TEXT: 0x00,
+  BINARY: 0x01,
+  PADDING: 0x02,
+  CLOSE: 0x03
+};
+
+// messages: [{ data, binary }] или { close: { code, reason } }; padding - длина дополнения
+function encodeBatch(messages, padding = 0) {
+  const parts = [];
+  const push = (kind, payload) => {
+    const header = Buffer.alloc(ITEM_HEADER_LENGTH);
+    header.writeUInt8(kind, 0);
+    header.writeUInt32BE(payload.length, 1);
+    parts.push(header, payload);
+  };
+
+  messages.forEach(message => {
+    if (message.close) {
+      const reason = Buffer.from(message.close.reason || '');
+      const code = Buffer.alloc(2);
+      code.writeUInt16BE(message.close.code, 0);
+      push(BATCH_KINDS.CLOSE, Buffer.concat([code, reason]));
+    } else {
+      push(message.binary ? BATCH_KINDS.BINARY : BATCH_KINDS.TEXT, Buffer.from(message.data));
+    }
+  });
+
+  // Нули: после маскировки они неотличимы от остальной записи
+  if (padding > 0) push(BATCH_KINDS.PADDING, Buffer.alloc(padding));
+  return Buffer.concat(parts);
+}
+
+// Возвращает null для обрезанного или некорректного пакета
+function decodeBatch(buffer) {
+  const messages = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    if (buffer.length - offset < ITEM_HEADER_LENGTH) return null;
+
+    const kind = buffer.readUInt8(offset);
+    const start = offset + ITEM_HEADER_LENGTH;
+    const end = start + buffer.readUInt32BE(offset + 1);
+    if (end > buffer.length) return null;
+
+    const payload = buffer.slice(start, end);
+    if (kind === BATCH_KINDS.TEXT || kind === BATCH_KINDS.BINARY) {
+      messages.push({ data: payload, binary: kind === BATCH_KINDS.BINARY });
+    } else if (kind === BATCH_KINDS.CLOSE) {
+      if (payload.length < 2) return null;
+      messages.push({ close: { code: payload.readUInt16BE(0), reason: payload.toString('utf8', 2) } });
+    } else if (kind !== BATCH_KINDS.PADDING) {
+      return null;
+    }
+    offset = end;
+  }
+
+  return messages;
+}
+
+function mask(key, buffer) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-128-ctr', key, iv);
+  return Buffer.concat([iv, cipher.update(buffer), cipher.final()]);
+}
+
+// Возвращает null для записи короче iv
+function unmask(key, record) {
+  if (record.length < IV_LENGTH) return null;
+
+  const decipher = crypto.createDecipheriv('aes-128-ctr', key, record.slice(0, IV_LENGTH));
+  return Buffer.concat([decipher.update(record.slice(IV_LENGTH)), decipher.final()]);
+}
+
+// Ключ маскировки из пути транспорта (/vpn) и общего секрета (может отсутствовать:
+// тогда ключ знает любой, кому известен путь)
+function deriveKey(transportPath, secret) {
+  return crypto.createHmac('sha256', secret || '')
+    .update(`obfuscation-v${OBFUSCATION_VERSION}:${transportPath.replace(/\/+$/, '')}`)
+    .digest()
+    .slice(0, KEY_LENGTH);
+}
+
+// Параметры маскировки из hello клиента, ограниченные пределами сервера
+function negotiateObfuscation(requested, limits) {
+  if (!requested || requested.version !== OBFUSCATION_VERSION) return null;
+
+  const clamp = (value, max) => Math.min(Math.max(parseInt(value) || 0, 0), max);
+  return {
+    version: OBFUSCATION_VERSION,
+    padding: clamp(requested.padding, limits.maxPadding),
+    jitter: clamp(requested.jitter, limits.maxJitter)
+  };
+}
+
+// key - ключ deriveKey; без него маскировка недоступна. До enable() сообщения
+// проходят без изменений, кроме первого входящего: бинарное сообщение, которое
+// раскрывается ключом, включает маскировку (без дополнения и задержки до enable).
+// После - отправка копится в очереди и уходит одной записью; входящие бинарные
+// сообщения считаются записями, текстовые передаются как есть
+class ObfuscatedSocket extends EventEmitter {
+  constructor(socket, key = null) {
+    super();
+    this.socket = socket;
+    this.key = key;
+    this.options = null;
+    this.received = false;
+    this.queue = [];
+    this.queuedBytes = 0;
+    this.timer = null;
+
+    socket.on('open', () => this.emit('open'));
+    socket.on('message', (data, isBinary) => this.receive(data, isBinary));
+    socket.on('pong', (data) => this.emit('pong', data));
+    socket.on('error', (error) => this.emit('error', error));
+    socket.on('close', (code, reason) => {
+      clearTimeout(this.timer);
+      const error = new Error('Socket closed');
+      this.queue.forEach(entry => entry.callback && entry.callback(error));
+      this.queue = [];
+      this.queuedBytes = 0;
+      this.emit('close', code, reason);
+    });
+  }
+
+  get readyState() {
+    return this.socket.readyState;
+  }
+
+  get bufferedAmount() {
+    return this.socket.bufferedAmount + this.queuedBytes;
+  }
+
+  get obfuscated() {
+    return Boolean(this.options);
+  }
+
+  // options - { padding, jitter }
+  enable(options) {
+    if (!this.key) throw new Error('Obfuscation key is not set');
+    this.options = { padding: options.padding, jitter: options.jitter };
+  }
+
+  send(data, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+
+    if (!this.options) {
+      this.socket.send(data, options, callback);
+      return;
+    }
+
+    const payload = Buffer.from(data);
+    const binary = options.binary !== undefined ? options.binary : typeof data !== 'string';
+    this.queue.push({ data: payload, binary, callback });
+    this.queuedBytes += payload.length;
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), crypto.randomInt(this.options.jitter + 1));
+    }
+  }
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.queue.length === 0) return;
+
+    const batch = this.queue;
+    this.queue = [];
+    this.queuedBytes = 0;
+
+    const record = mask(this.key, encodeBatch(batch, crypto.randomInt(this.options.padding + 1)));
+    this.socket.send(record, { binary: true }, (error) => {
+      batch.forEach(entry => entry.callback && entry.callback(error));
+    });
+  }
+
+  receive(data, isBinary) {
+    const first = !this.received;
+    this.received = true;
+
+    if (first && !this.options && isBinary && this.key) {
+      const plain = unmask(this.key, data);
+      const batch = plain && decodeBatch(plain);
+      if (batch) {
+        this.options = { padding: 0, jitter: 0 };
+        this.emitBatch(batch);
+        return;
+      }
+    }
+
+    if (!this.options || !isBinary) {
+      this.emit('message', data, isBinary);
+      return;
+    }
+
+    const plain = unmask(this.key, data);
+    const batch = plain && decodeBatch(plain);
+    if (!batch) {
+      const error = new Error('Invalid obfuscated record');
+      error.code = 'EPROTO';
+      this.emit('error', error);
+      this.socket.terminate();
+      return;
+    }
+
+    this.emitBatch(batch);
+  }
+
+  emitBatch(batch) {
+    batch.forEach(message => {
+      if (!message.close) this.emit('message', message.data, message.binary);
+    });
+  }
+
+  ping() {
+    this.socket.ping();
+  }
+
+  // Накопленные сообщения уходят до закрытия
+  close(code, reason) {
+    if (this.options) this.flush();
+    this.socket.close(code, reason);
+  }
+
+  terminate() {
+    this.socket.terminate();
+  }
+}
+
+module.exports = {
+  OBFUSCATION_VERSION,
+  BATCH_KINDS,
+  encodeBatch,
+  decodeBatch,
+  mask,
+  unmask,
+  deriveKey,
+  negotiateObfuscation,
+  ObfuscatedSocket
+};
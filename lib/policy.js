@@ -0,0 +1,286 @@
+// lib/policy.js - Правила доступа к адресам назначения туннелей и HTTP прокси
+//
+// Файл политики (JSON или YAML, путь в VPN_POLICY_FILE):
+//   defaultAction: allow        # если ни одно правило не подошло
+//   denyPrivate: true           # частные и служебные диапазоны запрещены по умолчанию
+//   rules:
+//     - action: allow
+//       cidr: [10.1.0.0/16]
+//       ports: "22,8000-8100"
+//       groups: [staff]
+//     - action: deny
+//       host: ["*.internal.example.com"]
+//
+// Правила проверяются по порядку, первое подошедшее решает. Условия правила
+// (cidr, host, ports, users, groups) объединяются через И. Проверяется IP после
+// резолвинга, и соединение затем идет именно на этот IP (защита от DNS rebinding).
+// Частные диапазоны (denyPrivate) открывает только allow с подходящим cidr: правила
+// по портам, группам или имени хоста (имя может указывать на 127.0.0.1) их не открывают.
+// Правила deny по имени без cidr и ports запрещают и DNS запросы клиентов (dns_query).
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Частные, локальные и служебные сети, включая адреса метаданных облаков
+const PRIVATE_RANGES = [
+  '0.0.0.0/8',
+  '10.0.0.0/8',
+  '100.64.0.0/10',
+  '127.0.0.0/8',
+  '169.254.0.0/16',
+  '172.16.0.0/12',
+  '192.0.0.0/24',
+  '192.168.0.0/16',
+  '198.18.0.0/15',
+  '224.0.0.0/4',
+  '240.0.0.0/4',
+  '::/128',
+  '::1/128',
+  // Встроенный IPv4, который нельзя извлечь однозначно: NAT64 для локальных
+  // сетей, 6to4 и Teredo (IPv4-mapped, IPv4-compatible и 64:ff9b::/96 см. toIpv4)
+  '64:ff9b:1::/48',
+  '2002::/16',
+  '2001::/32',
+  'fc00::/7',
+  'fe80::/10',
+  'ff00::/8'
+];
+
+// IP в BigInt (IPv4 как есть, IPv6 в любой записи: ::ffff:7f00:1, ::127.0.0.1)
+function parseIp(address) {
+  if (net.isIPv4(address)) {
+    const value = address.split('.').reduce((acc, part) => (acc << 8n) + BigInt(part), 0n);
+    return { family: 4, value, bits: 32 };
+  }
+
+  if (net.isIPv6(address)) {
+    let [head, tail] = address.split('::');
+    let groups = head ? head.split(':') : [];
+    let tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+
+    // Встроенный IPv4 в конце (например ::1.2.3.4)
+    const expand = (list) => list.flatMap(group => {
+      if (!group.includes('.')) return [group];
+      const v4 = parseIp(group).value;
+      return [(v4 >> 16n).toString(16), (v4 & 0xffffn).toString(16)];
+    });
+    groups = expand(groups);
+    tailGroups = expand(tailGroups);
+
+    const missing = tail !== undefined ? 8 - groups.length - tailGroups.length : 0;
+    const all = groups.concat(new Array(missing).fill('0'), tailGroups);
+    const value = all.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+    return { family: 6, value, bits: 128 };
+  }
+
+  return null;
+}
+
+const MAPPED_PREFIX = 0xffffn;
+const NAT64_PREFIX = parseIp('64:ff9b::').value >> 32n;
+
+// IPv6 со встроенным IPv4 -> IPv4 по числовому значению: IPv4-mapped (::ffff:0:0/96),
+// IPv4-compatible (::/96, кроме :: и ::1) и NAT64 (64:ff9b::/96) ведут на тот же
+// IPv4 адрес, поэтому и проверяются как он. Остальные адреса возвращаются как есть
+function toIpv4(ip) {
+  if (ip.family !== 6) return ip;
+
+  const prefix = ip.value >> 32n;
+  const embedded = prefix === MAPPED_PREFIX || prefix === NAT64_PREFIX || (prefix === 0n && ip.value > 1n);
+  return embedded ? { family: 4, value: ip.value & 0xffffffffn, bits: 32 } : ip;
+}
+
+function canonicalAddress(address, family) {
+  const ip = parseIp(address);
+  const ipv4 = toIpv4(ip);
+  if (ipv4 === ip || ip.value >> 32n === NAT64_PREFIX) return { address, family };
+
+  const octets = [24n, 16n, 8n, 0n].map(shift => (ipv4.value >> shift) & 0xffn);
+  return { address: octets.join('.'), family: 4 };
+}
+
+function parseCidr(cidr) {
+  const [address, prefix, ...rest] = String(cidr).split('/');
+  let ip = parseIp(address);
+  if (!ip || rest.length > 0) throw new Error(`Invalid CIDR: ${cidr}`);
+
+  if (prefix !== undefined && !/^\d+$/.test(prefix)) throw new Error(`Invalid CIDR prefix: ${cidr}`);
+  let prefixLength = prefix === undefined ? ip.bits : parseInt(prefix);
+  if (prefixLength > ip.bits) throw new Error(`Invalid CIDR prefix: ${cidr} (0-${ip.bits})`);
+
+  // ::ffff:10.0.0.0/104 -> 10.0.0.0/8: адреса сравниваются после toIpv4
+  const ipv4 = toIpv4(ip);
+  if (ipv4 !== ip && prefixLength >= 96) {
+    ip = ipv4;
+    prefixLength -= 96;
+  }
+
+  const mask = ((1n << BigInt(prefixLength)) - 1n) << BigInt(ip.bits - prefixLength);
+  return { family: ip.family, network: ip.value & mask, mask };
+}
+
+function cidrContains(range, ip) {
+  return range.family === ip.family && (ip.value & range.mask) === range.network;
+}
+
+// "*.example.com" -> RegExp
+function globToRegExp(glob) {
+  const escaped = glob.toLowerCase().replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+// "80,443,8000-8100" -> [[80,80],[443,443],[8000,8100]]
+function parsePorts(ports) {
+  return String(ports).split(',').map(part => {
+    const match = /^(\d+)(?:-(\d+))?$/.exec(part.trim());
+    const from = match && parseInt(match[1]);
+    const to = match && (match[2] === undefined ? from : parseInt(match[2]));
+    if (!match || from < 1 || to > 65535 || from > to) {
+      throw new Error(`Invalid port range: ${part.trim()} (1-65535, from-to)`);
+    }
+    return [from, to];
+  });
+}
+
+function asList(value) {
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? value : [value];
+}
+
+function compileRule(rule, index) {
+  if (rule.action !== 'allow' && rule.action !== 'deny') {
+    throw new Error(`Policy rule #${index + 1}: action must be "allow" or "deny"`);
+  }
+
+  try {
+    return {
+      index,
+      action: rule.action,
+      name: rule.name || `rule #${index + 1}`,
+      cidrs: asList(rule.cidr) && asList(rule.cidr).map(parseCidr),
+      hosts: asList(rule.host) && asList(rule.host).map(globToRegExp),
+      ports: rule.ports !== undefined ? parsePorts(rule.ports) : null,
+      users: asList(rule.users),
+      groups: asList(rule.groups)
+    };
+  } catch (error) {
+    throw new Error(`Policy rule #${index + 1}: ${error.message}`);
+  }
+}
+
+function policyError(message, code, rule, target) {
+  const error = new Error(message);
+  error.code = code;
+  if (rule) error.rule = rule;
+  if (target) error.target = target;
+  return error;
+}
+
+class Policy {
+  constructor(config = {}) {
+    this.defaultAction = config.defaultAction || 'allow';
+    this.denyPrivate = config.denyPrivate !== false;
+    this.rules = (config.rules || []).map(compileRule);
+    this.privateRanges = PRIVATE_RANGES.map(parseCidr);
+  }
+
+  static fromFile(filePath) {
+    if (!filePath) return new Policy();
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const isYaml = ['.yaml', '.yml'].includes(path.extname(filePath));
+    return new Policy((isYaml ? yaml.load(content) : JSON.parse(content)) || {});
+  }
+
+  ruleMatches(rule, user, hostname, ip, port) {
+    if (rule.users && !(user && rule.users.includes(user.username))) return false;
+    if (rule.groups && !(user && user.groups.some(group => rule.groups.includes(group)))) return false;
+    if (rule.ports && !rule.ports.some(([from, to]) => port >= from && port <= to)) return false;
+    if (rule.hosts && !(hostname && rule.hosts.some(pattern => pattern.test(hostname.toLowerCase())))) return false;
+    if (rule.cidrs && !(ip && rule.cidrs.some(range => cidrContains(range, ip)))) return false;
+    return true;
+  }
+
+  // Решение для одного адреса: { allowed, rule }
+  evaluate(user, hostname, address, port) {
+    const parsed = address ? parseIp(address) : null;
+    const ip = parsed && toIpv4(parsed);
+
+    const isPrivate = this.denyPrivate && ip && this.privateRanges.some(range => cidrContains(range, ip));
+
+    const rule = this.rules.find(r =>
+      (!isPrivate || r.cidrs || r.action === 'deny') && this.ruleMatches(r, user, hostname, ip, port)
+    );
+    if (rule) {
+      return { allowed: rule.action === 'allow', rule: rule.name };
+    }
+
+    if (isPrivate) {
+      return { allowed: false, rule: 'private-range' };
+    }
+
+    return { allowed: this.defaultAction === 'allow', rule: 'default' };
+  }
+
+  // Запрет по имени до обращения к DNS: правила без cidr, которые решаются по имени.
+  // Без port (DNS запрос) правила с ports не применяются
+  checkName(user, hostname, port) {
+    const rule = this.rules.find(r => !r.cidrs && this.ruleMatches(r, user, hostname, null, port));
+    if (rule && rule.action === 'deny') {
+      const target = port === undefined ? hostname : `${hostname}:${port}`;
+      throw policyError(`Destination ${target} denied by policy (${rule.name})`, 'POLICY_DENIED', rule.name, target);
+    }
+  }
+
+  // Резолвит host и возвращает первый разрешенный адрес { address, family }; IPv4-mapped
+  // и IPv4-compatible адреса возвращаются как IPv4, который и проверялся (NAT64 - нет,
+  // его транслирует сеть). Отказ - ошибка с code POLICY_DENIED; ошибки DNS пробрасываются как есть.
+  async check(user, host, port) {
+    const hostname = net.isIP(host) ? null : host;
+
+    // Запрет по имени до обращения к DNS (утечка запроса к запрещенному домену)
+    if (hostname) this.checkName(user, hostname, port);
+
+    const addresses = hostname
+      ? await new Promise((resolve, reject) => {
+        dns.lookup(hostname, { all: true }, (error, result) => error ? reject(error) : resolve(result));
+      })
+      : [{ address: host, family: net.isIP(host) }];
+
+    let denial = null;
+    for (const { address, family } of addresses) {
+      const decision = this.evaluate(user, hostname, address, port);
+      if (decision.allowed) {
+        return canonicalAddress(address, family);
+      }
+      denial = denial || decision;
+    }
+
+    throw policyError(`Destination ${host}:${port} denied by policy (${denial.rule})`, 'POLICY_DENIED', denial.rule, `${host}:${port}`);
+  }
+}
+
+// lookup для http.request, возвращающий заранее проверенный адрес
+function pinnedLookup(address, family) {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') callback = options;
+
+    if (options && options.all) {
+      callback(null, [{ address, family }]);
+    } else {
+      callback(null, address, family);
+    }
+  };
+}
+
+module.exports = {
+  Policy,
+  PRIVATE_RANGES,
+  parseIp,
+  toIpv4,
+  parseCidr,
+  cidrContains,
+  pinnedLookup
+};
@@ -0,0 +1,478 @@
+// lib/polling.js - Транспорт /vpn поверх обычных HTTP запросов (long-polling) для сетей,
+// где WebSocket заблокирован или Upgrade не проходит через прокси
+//
+//   POST   <path>                    новая сессия -> 201 { session, pollTimeout }
+//   GET    <path>/<session>?seq=N    пакет N сообщений сервера; ждет их до pollTimeout
+//   POST   <path>/<session>?seq=N    пакет N сообщений клиента -> 204
+//   DELETE <path>/<session>?code=C   закрытие клиентом
+//
+// Тела - пакеты lib/obfuscation.js (application/octet-stream), закрытие сервером -
+// элемент CLOSE. Номера пакетов делают доставку надежной при обрыве запроса: сервер
+// хранит отправленный пакет N, пока клиент не запросит N + 1, а повтор уже принятого
+// пакета клиента отбрасывается.
+//
+// PollingSocket (сервер) и PollingClient (клиент) повторяют интерфейс ws: остальной
+// код не различает транспорты, маскировка (ObfuscatedSocket) работает поверх них.
+// Живость проверяет Heartbeat: ping сервера завершает ожидающий GET пустым пакетом,
+// pong - следующий GET; ping клиента - пустой POST.
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const http = require('http');
+const https = require('https');
+const express = require('express');
+const { encodeBatch, decodeBatch } = require('./obfuscation');
+
+const POLL_TIMEOUT = 25000;
+const REQUEST_TIMEOUT = 15000;
+const RETRY_DELAY = 1000;
+
+// Сервер ждет подтверждения пакета с CLOSE не дольше CLOSE_TIMEOUT
+const CLOSE_TIMEOUT = 5000;
+
+// Пакет клиента: не больше UPLOAD_BATCH байт сообщений (кроме одного большого сообщения)
+const UPLOAD_BATCH = 1024 * 1024;
+const MAX_UPLOAD = 16 * 1024 * 1024;
+
+// Значения readyState и кодов закрытия - как у WebSocket
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+const CLOSE_NORMAL = 1000;
+const CLOSE_ABNORMAL = 1006;
+
+function closedError() {
+  const error = new Error('Polling session is not open');
+  error.code = 'ENOTCONN';
+  return error;
+}
+
+// Сообщение для пакета; по умолчанию строки - текстовые, буферы - бинарные (как в ws)
+function queueEntry(data, options, callback) {
+  return {
+    data: Buffer.from(data),
+    binary: options && options.binary !== undefined ? options.binary : typeof data !== 'string',
+    callback
+  };
+}
+
+function sendArgs(options, callback) {
+  return typeof options === 'function' ? [{}, options] : [options || {}, callback];
+}
+
+class PollingSocket extends EventEmitter {
+  constructor(id) {
+    super();
+    this.id = id;
+    this.readyState = OPEN;
+    this.queue = [];
+    this.queuedBytes = 0;
+    this.sent = null;
+    this.nextSeq = 0;
+    this.receivedSeq = 0;
+    this.poll = null;
+    this.closeTimer = null;
+  }
+
+  get bufferedAmount() {
+    return this.queuedBytes + (this.sent ? this.sent.bytes : 0);
+  }
+
+  send(data, options, callback) {
+    [options, callback] = sendArgs(options, callback);
+    if (this.readyState !== OPEN) {
+      if (callback) process.nextTick(callback, closedError());
+      return;
+    }
+
+    const entry = queueEntry(data, options, callback);
+    this.queue.push(entry);
+    this.queuedBytes += entry.data.length;
+    this.respond(false);
+  }
+
+  // Ответ на ожидающий GET: неподтвержденный пакет или новый из очереди.
+  // Пустой пакет - только с force (ping, истек pollTimeout)
+  respond(force) {
+    if (!this.poll) return;
+
+    if (!this.sent) {
+      if (this.queue.length === 0 && !force) return;
+      this.sent = { seq: this.nextSeq++, entries: this.queue, bytes: this.queuedBytes };
+      this.sent.body = encodeBatch(this.sent.entries);
+      this.queue = [];
+      this.queuedBytes = 0;
+    }
+
+    const { res, timer } = this.poll;
+    clearTimeout(timer);
+    this.poll = null;
+    res.set({ 'Content-Type': 'application/octet-stream', 'Cache-Control': 'no-store' });
+    res.end(this.sent.body);
+  }
+
+  // GET с номером ожидаемого пакета: seq следующего за отправленным подтверждает его
+  handlePoll(seq, res) {
+    if (this.sent && seq === this.sent.seq + 1) {
+      const { entries } = this.sent;
+      this.sent = null;
+      entries.forEach(entry => entry.callback && entry.callback());
+      if (entries.some(entry => entry.close)) {
+        res.status(410).end();
+        this.finish(this.closeCode, this.closeReason);
+        return;
+      }
+    }
+
+    const expected = this.sent ? this.sent.seq : this.nextSeq;
+    if (seq !== expected) {
+      res.status(409).end();
+      return;
+    }
+
+    // Прежний запрос клиент уже не ждет
+    if (this.poll) {
+      clearTimeout(this.poll.timer);
+      this.poll.res.status(409).end();
+    }
+
+    this.poll = { res, timer: setTimeout(() => this.respond(true), POLL_TIMEOUT) };
+    res.on('close', () => {
+      if (this.poll && this.poll.res === res) {
+        clearTimeout(this.poll.timer);
+        this.poll = null;
+      }
+    });
+
+    this.emit('pong');
+    this.respond(this.sent !== null);
+  }
+
+  handleUpload(seq, body, res) {
+    // Повтор пакета, ответ на который не дошел до клиента
+    if (seq < this.receivedSeq) {
+      res.status(204).end();
+      return;
+    }
+
+    const batch = seq === this.receivedSeq ? decodeBatch(body) : null;
+    if (!batch) {
+      res.status(400).end();
+      return;
+    }
+
+    this.receivedSeq++;
+    res.status(204).end();
+    batch.forEach(message => {
+      if (!message.close && this.readyState === OPEN) this.emit('message', message.data, message.binary);
+    });
+  }
+
+  ping() {
+    this.respond(true);
+  }
+
+  // Неотправленные сообщения и CLOSE уходят клиенту, 'close' - после подтверждения
+  close(code = CLOSE_NORMAL, reason = '') {
+    if (this.readyState !== OPEN) return;
+
+    this.readyState = CLOSING;
+    this.closeCode = code;
+    this.closeReason = String(reason);
+    this.queue.push({ close: { code, reason: this.closeReason } });
+    this.closeTimer = setTimeout(() => this.finish(code, this.closeReason), CLOSE_TIMEOUT);
+    this.respond(false);
+  }
+
+  terminate() {
+    this.finish(CLOSE_ABNORMAL, '');
+  }
+
+  finish(code, reason) {
+    if (this.readyState === CLOSED) return;
+    this.readyState = CLOSED;
+    clearTimeout(this.closeTimer);
+
+    if (this.poll) {
+      clearTimeout(this.poll.timer);
+      this.poll.res.status(410).end();
+      this.poll = null;
+    }
+
+    const error = closedError();
+    const pending = (this.sent ? this.sent.entries : []).concat(this.queue);
+    pending.forEach(entry => entry.callback && entry.callback(error));
+    this.sent = null;
+    this.queue = [];
+    this.queuedBytes = 0;
+
+    this.emit('close', code, Buffer.from(reason || ''));
+  }
+}
+
+// Маршруты long-polling (монтируются на путь /vpn); onConnection(socket, req) -
+// для новой сессии, как 'connection' у WebSocket.Server
+function createPollingRouter(onConnection) {
+  const router = express.Router();
+  const sessions = new Map();
+
+  router.post('/', (req, res) => {
+    const socket = new PollingSocket(crypto.randomBytes(16).toString('hex'));
+    sessions.set(socket.id, socket);
+    socket.once('close', () => sessions.delete(socket.id));
+
+    res.status(201).set('Cache-Control', 'no-store').json({ session: socket.id, pollTimeout: POLL_TIMEOUT });
+    onConnection(socket, req);
+  });
+
+  const findSession = (req, res, next) => {
+    req.pollingSocket = sessions.get(req.params.session);
+    if (!req.pollingSocket) {
+      res.status(404).end();
+      return;
+    }
+    next();
+  };
+
+  router.get('/:session', findSession, (req, res) => {
+    req.pollingSocket.handlePoll(parseInt(req.query.seq), res);
+  });
+
+  router.post('/:session', findSession, express.raw({ type: () => true, limit: MAX_UPLOAD }), (req, res) => {
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    req.pollingSocket.handleUpload(parseInt(req.query.seq), body, res);
+  });
+
+  router.delete('/:session', findSession, (req, res) => {
+    req.pollingSocket.finish(parseInt(req.query.code) || CLOSE_NORMAL, '');
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Клиентская сторона: url - адрес /vpn (ws:// и wss:// заменяются на http:// и https://).
+// options.timeout - ожидание ответа на создание сессии и отправку (мс)
+class PollingClient extends EventEmitter {
+  constructor(url, options = {}) {
+    super();
+    this.url = new URL(url.replace(/^ws/, 'http'));
+    this.url.pathname = this.url.pathname.replace(/\/$/, '');
+    this.transport = this.url.protocol === 'https:' ? https : http;
+    this.agent = new this.transport.Agent({ keepAlive: true });
+    this.timeout = options.timeout || REQUEST_TIMEOUT;
+    this.readyState = CONNECTING;
+    this.session = null;
+    this.pollTimeout = POLL_TIMEOUT;
+    this.pollSeq = 0;
+    this.uploadSeq = 0;
+    this.queue = [];
+    this.bufferedAmount = 0;
+    this.uploading = false;
+    this.pingRequested = false;
+    this.requests = new Set();
+
+    this.open();
+  }
+
+  // { status, body } ответа; ошибка сети или таймаут - исключение
+  request(method, path, body, timeout) {
+    return new Promise((resolve, reject) => {
+      const req = this.transport.request(new URL(path, this.url), {
+        method,
+        agent: this.agent,
+        timeout,
+        headers: body ? { 'Content-Type': 'application/octet-stream', 'Content-Length': body.length } : {}
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', reject);
+        res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+      });
+      this.requests.add(req);
+      req.on('close', () => this.requests.delete(req));
+      req.on('timeout', () => req.destroy(new Error(`${method} ${path}: timed out`)));
+      req.on('error', reject);
+      req.end(body || undefined);
+    });
+  }
+
+  sessionPath(query) {
+    return `${this.url.pathname}/${this.session}?${query}`;
+  }
+
+  async open() {
+    try {
+      const response = await this.request('POST', this.url.pathname, null, this.timeout);
+      if (response.status !== 201) throw new Error(`Unexpected server response: ${response.status}`);
+
+      const { session, pollTimeout } = JSON.parse(response.body.toString());
+      this.session = session;
+      this.pollTimeout = pollTimeout || POLL_TIMEOUT;
+    } catch (error) {
+      if (this.readyState === CLOSED) return;
+      this.emit('error', error);
+      this.finish(CLOSE_ABNORMAL, '');
+      return;
+    }
+
+    if (this.readyState !== CONNECTING) return;
+    this.readyState = OPEN;
+    this.emit('open');
+    this.pollLoop();
+    this.upload();
+  }
+
+  async pollLoop() {
+    while (this.isActive()) {
+      let response;
+      try {
+        response = await this.request('GET', this.sessionPath(`seq=${this.pollSeq}`), null, this.pollTimeout + this.timeout);
+      } catch (error) {
+        // Сервер недоступен дольше таймаута Heartbeat - соединение обрывается
+        if (this.readyState !== CLOSED) await delay(RETRY_DELAY);
+        continue;
+      }
+      if (this.readyState === CLOSED) return;
+
+      const batch = response.status === 200 ? decodeBatch(response.body) : null;
+      // Сессию завершил DELETE из close(), закрытие закончит его ответ
+      if (!batch && this.readyState === CLOSING) return;
+      if (!batch) {
+        if (response.status === 200) this.emit('error', new Error('Invalid polling response'));
+        this.finish(CLOSE_ABNORMAL, '');
+        return;
+      }
+
+      this.pollSeq++;
+      for (const message of batch) {
+        if (message.close) {
+          // Подтверждение пакета с CLOSE: сервер завершает сессию до 'close' у клиента,
+          // иначе переподключение успело бы ее возобновить
+          this.readyState = CLOSING;
+          this.request('GET', this.sessionPath(`seq=${this.pollSeq}`), null, this.timeout)
+            .catch(() => {})
+            .then(() => this.finish(message.close.code, message.close.reason));
+          return;
+        }
+        this.emit('message', message.data, message.binary);
+        if (this.readyState === CLOSED) return;
+      }
+    }
+  }
+
+  send(data, options, callback) {
+    [options, callback] = sendArgs(options, callback);
+    if (this.readyState !== OPEN) {
+      if (callback) process.nextTick(callback, closedError());
+      return;
+    }
+
+    const entry = queueEntry(data, options, callback);
+    this.queue.push(entry);
+    this.bufferedAmount += entry.data.length;
+    this.upload();
+  }
+
+  // Пакеты отправляются по одному; при ошибке сети тот же пакет повторяется
+  async upload() {
+    if (this.uploading || (this.readyState !== OPEN && this.readyState !== CLOSING)) return;
+    this.uploading = true;
+
+    while (this.isActive() && (this.queue.length > 0 || this.pingRequested)) {
+      let count = 0;
+      let size = 0;
+      while (count < this.queue.length && (count === 0 || size + this.queue[count].data.length <= UPLOAD_BATCH)) {
+        size += this.queue[count].data.length;
+        count++;
+      }
+
+      const entries = this.queue.slice(0, count);
+      const body = encodeBatch(entries);
+      const ping = this.pingRequested;
+      this.pingRequested = false;
+
+      let response = null;
+      while (!response && this.isActive()) {
+        try {
+          response = await this.request('POST', this.sessionPath(`seq=${this.uploadSeq}`), body, this.timeout);
+        } catch (error) {
+          await delay(RETRY_DELAY);
+        }
+      }
+      if (!response) break;
+      if (response.status !== 204) {
+        this.finish(CLOSE_ABNORMAL, '');
+        break;
+      }
+
+      this.uploadSeq++;
+      this.queue.splice(0, count);
+      this.bufferedAmount -= size;
+      entries.forEach(entry => entry.callback && entry.callback());
+      if (ping) this.emit('pong');
+    }
+
+    this.uploading = false;
+    if (this.readyState === CLOSING) this.sendClose();
+  }
+
+  isActive() {
+    return this.readyState === OPEN || this.readyState === CLOSING;
+  }
+
+  ping() {
+    if (this.readyState !== OPEN) return;
+    this.pingRequested = true;
+    this.upload();
+  }
+
+  // Неотправленные сообщения уходят до закрытия
+  close(code = CLOSE_NORMAL, reason = '') {
+    if (this.readyState === CLOSING || this.readyState === CLOSED) return;
+    if (this.readyState === CONNECTING) {
+      this.finish(CLOSE_ABNORMAL, '');
+      return;
+    }
+
+    this.readyState = CLOSING;
+    this.closeCode = code;
+    this.closeReason = String(reason);
+    this.upload();
+  }
+
+  sendClose() {
+    this.request('DELETE', this.sessionPath(`code=${this.closeCode}`), null, this.timeout)
+      .catch(() => {})
+      .then(() => this.finish(this.closeCode, this.closeReason));
+  }
+
+  // Без уведомления сервера: сессию закроет его Heartbeat или resume с нового соединения
+  terminate() {
+    this.finish(CLOSE_ABNORMAL, '');
+  }
+
+  finish(code, reason) {
+    if (this.readyState === CLOSED) return;
+    this.readyState = CLOSED;
+
+    this.requests.forEach(req => req.destroy());
+    this.agent.destroy();
+
+    const error = closedError();
+    this.queue.forEach(entry => entry.callback && entry.callback(error));
+    this.queue = [];
+    this.bufferedAmount = 0;
+
+    this.emit('close', code, Buffer.from(reason || ''));
+  }
+}
+
+module.exports = {
+  POLL_TIMEOUT,
+  PollingSocket,
+  PollingClient,
+  createPollingRouter
+};
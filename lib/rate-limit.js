@@ -0,0 +1,167 @@
+// lib/rate-limit.js - Ограничение частоты и скорости: token bucket, скользящее окно,
+// блокировка IP после неудачных попыток входа
+
+// Token bucket: rate байт/с, burst - максимальный запас
+class TokenBucket {
+  constructor(rate, burst = rate) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) * this.rate / 1000);
+    this.updatedAt = now;
+  }
+
+  // Списывает amount (допуская долг) и возвращает задержку в мс до погашения долга
+  take(amount) {
+    this.refill();
+    this.tokens -= amount;
+    return this.tokens >= 0 ? 0 : Math.ceil(-this.tokens * 1000 / this.rate);
+  }
+
+  // Списывает amount без долга; false, если токенов не хватает
+  tryTake(amount) {
+    this.refill();
+    if (this.tokens < amount) return false;
+    this.tokens -= amount;
+    return true;
+  }
+}
+
+// Не более limit событий за windowMs
+class SlidingWindow {
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.events = [];
+  }
+
+  prune() {
+    const threshold = Date.now() - this.windowMs;
+    while (this.events.length > 0 && this.events[0] <= threshold) {
+      this.events.shift();
+    }
+  }
+
+  // true и учет события, если лимит не исчерпан
+  hit() {
+    this.prune();
+    if (this.events.length >= this.limit) return false;
+    this.events.push(Date.now());
+    return true;
+  }
+
+  // Через сколько мс освободится место в окне
+  retryAfter() {
+    this.prune();
+    return this.events.length < this.limit ? 0 : this.events[0] + this.windowMs - Date.now();
+  }
+}
+
+// Лимиты частоты и скорости пользователей; значения берутся из UserLimits при каждом
+// обращении, так что изменения через admin API применяются сразу
+class UserRateLimiter {
+  constructor(userLimits) {
+    this.userLimits = userLimits;
+    this.buckets = new Map();
+    this.windows = new Map();
+  }
+
+  // Token bucket направления ('up' | 'down') или null, если скорость не ограничена
+  bucket(username, direction) {
+    const rate = this.userLimits.get(username)[direction === 'up' ? 'bandwidthUp' : 'bandwidthDown'];
+    const key = `${username}:${direction}`;
+
+    if (rate === null || rate === 0) {
+      this.buckets.delete(key);
+      return null;
+    }
+
+    let bucket = this.buckets.get(key);
+    if (!bucket || bucket.rate !== rate) {
+      bucket = new TokenBucket(rate);
+      this.buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  // Задержка в мс для передачи bytes байт (0 - без задержки)
+  shape(username, direction, bytes) {
+    const bucket = this.bucket(username, direction);
+    return bucket ? bucket.take(bytes) : 0;
+  }
+
+  // Для датаграмм: false - превышена скорость, датаграмму нужно отбросить
+  police(username, direction, bytes) {
+    const bucket = this.bucket(username, direction);
+    return bucket ? bucket.tryTake(bytes) : true;
+  }
+
+  // Событие в минутном окне (limitName - tunnelsPerMinute, httpRequestsPerMinute).
+  // Возвращает 0 или время в мс до следующей разрешенной попытки
+  hit(username, limitName) {
+    const limit = this.userLimits.get(username)[limitName];
+    const key = `${username}:${limitName}`;
+
+    if (limit === null) {
+      this.windows.delete(key);
+      return 0;
+    }
+
+    let window = this.windows.get(key);
+    if (!window || window.limit !== limit) {
+      window = new SlidingWindow(limit, 60 * 1000);
+      this.windows.set(key, window);
+    }
+    return window.hit() ? 0 : Math.max(1, window.retryAfter());
+  }
+}
+
+// Блокировка источника после maxFailures неудачных попыток за windowMs
+class AuthThrottle {
+  constructor(maxFailures = 5, windowMs = 15 * 60 * 1000) {
+    this.maxFailures = maxFailures;
+    this.windowMs = windowMs;
+    this.failures = new Map();
+  }
+
+  // 0 или время в мс до снятия блокировки
+  retryAfter(ip) {
+    const window = this.failures.get(ip);
+    if (!window) return 0;
+
+    const retryAfter = window.retryAfter();
+    if (window.events.length === 0) this.failures.delete(ip);
+    return retryAfter;
+  }
+
+  fail(ip) {
+    if (!this.failures.has(ip)) {
+      this.failures.set(ip, new SlidingWindow(this.maxFailures, this.windowMs));
+    }
+    this.failures.get(ip).hit();
+  }
+
+  succeed(ip) {
+    this.failures.delete(ip);
+  }
+
+  // Удаляет источники без свежих неудачных попыток
+  prune() {
+    this.failures.forEach((window, ip) => {
+      window.prune();
+      if (window.events.length === 0) this.failures.delete(ip);
+    });
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  SlidingWindow,
+  UserRateLimiter,
+  AuthThrottle
+};
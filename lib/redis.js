@@ -0,0 +1,226 @@
+// lib/redis.js - Минимальный клиент протокола Redis (RESP2) без зависимостей
+//
+// url: redis://[:пароль@]хост[:порт][/база]. Команды выполняются по очереди на одном
+// соединении: command('HSET', key, field, value) -> Promise с ответом. После
+// subscribe() соединение принимает только (P)SUBSCRIBE и получает 'message'.
+// При обрыве ожидающие команды завершаются ошибкой, клиент переподключается
+// сам (с растущей задержкой) и восстанавливает подписки.
+const net = require('net');
+const { EventEmitter } = require('events');
+
+const RECONNECT_DELAY = 500;
+const RECONNECT_MAX_DELAY = 30000;
+
+function redisError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function parseUrl(url) {
+  const parsed = new URL(url || 'redis://127.0.0.1:6379');
+  if (parsed.protocol !== 'redis:') {
+    throw redisError(`Unsupported Redis URL ${parsed.protocol}`, 'EINVAL');
+  }
+
+  return {
+    host: parsed.hostname || '127.0.0.1',
+    port: parseInt(parsed.port) || 6379,
+    username: decodeURIComponent(parsed.username) || null,
+    password: decodeURIComponent(parsed.password) || null,
+    db: parseInt(parsed.pathname.slice(1)) || 0
+  };
+}
+
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  args.forEach(arg => {
+    const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+    parts.push(`$${value.length}\r\n`, value, '\r\n');
+  });
+  return Buffer.concat(parts.map(part => Buffer.isBuffer(part) ? part : Buffer.from(part)));
+}
+
+// Ответ с позиции offset: { value, offset } или null, если данных пока не хватает.
+// Ошибки сервера возвращаются как объекты Error, а не бросаются
+function parseReply(buffer, offset = 0) {
+  if (offset >= buffer.length) return null;
+
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: redisError(line, line.split(' ')[0]), offset: next };
+    case ':':
+      return { value: parseInt(line), offset: next };
+    case '$': {
+      const length = parseInt(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw redisError(`Invalid Redis reply type ${JSON.stringify(type)}`, 'EPROTO');
+  }
+}
+
+// События: 'ready' (соединение установлено, в том числе после обрыва), 'error',
+// 'message' (канал, сообщение)
+class RedisClient extends EventEmitter {
+  constructor(url) {
+    super();
+    this.options = parseUrl(url);
+    this.socket = null;
+    this.connected = false;
+    this.closing = false;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+    this.channels = new Set();
+    this.delay = RECONNECT_DELAY;
+    this.reconnectTimer = null;
+  }
+
+  // Первое подключение; ошибка - если сервер недоступен или отверг пароль
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.once('ready', resolve);
+      this.open(reject);
+    });
+  }
+
+  open(onFail) {
+    const socket = net.createConnection({ host: this.options.host, port: this.options.port });
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+
+    socket.setNoDelay(true);
+    socket.on('connect', () => this.handshake(onFail));
+    socket.on('data', (chunk) => this.receive(chunk));
+    socket.on('error', (error) => {
+      if (onFail && !this.connected) {
+        onFail(error);
+        onFail = null;
+      } else if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    });
+    socket.on('close', () => this.handleClose(socket, onFail));
+  }
+
+  // AUTH, SELECT и восстановление подписок до 'ready'
+  async handshake(onFail) {
+    this.connected = true;
+    try {
+      const { username, password, db } = this.options;
+      if (password) await this.command(...(username ? ['AUTH', username, password] : ['AUTH', password]));
+      if (db) await this.command('SELECT', db);
+      if (this.channels.size > 0) await this.command('SUBSCRIBE', ...this.channels);
+    } catch (error) {
+      this.closing = true;
+      this.socket.destroy();
+      if (onFail) {
+        onFail(error);
+      } else if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+      return;
+    }
+
+    this.delay = RECONNECT_DELAY;
+    this.emit('ready');
+  }
+
+  handleClose(socket, onFail) {
+    if (socket !== this.socket) return;
+
+    const wasConnected = this.connected;
+    this.connected = false;
+    const error = redisError('Redis connection closed', 'ECONNRESET');
+    this.pending.splice(0).forEach(({ reject }) => reject(error));
+
+    // Первое подключение не удалось - решает вызвавший connect()
+    if (this.closing || (onFail && !wasConnected)) return;
+
+    this.reconnectTimer = setTimeout(() => this.open(), this.delay);
+    this.delay = Math.min(this.delay * 2, RECONNECT_MAX_DELAY);
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let reply;
+    try {
+      while ((reply = parseReply(this.buffer))) {
+        this.buffer = this.buffer.slice(reply.offset);
+        this.dispatch(reply.value);
+      }
+    } catch (error) {
+      this.socket.destroy(error);
+    }
+  }
+
+  dispatch(value) {
+    if (this.channels.size > 0 && Array.isArray(value) && value[0] === 'message') {
+      this.emit('message', value[1], value[2]);
+      return;
+    }
+
+    const pending = this.pending.shift();
+    if (!pending) return;
+    if (value instanceof Error) {
+      pending.reject(value);
+    } else {
+      pending.resolve(value);
+    }
+  }
+
+  command(...args) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(redisError('Redis is not connected', 'ENOTCONN'));
+        return;
+      }
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  async subscribe(channel) {
+    this.channels.add(channel);
+    await this.command('SUBSCRIBE', channel);
+  }
+
+  close() {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.socket) this.socket.end();
+  }
+}
+
+module.exports = {
+  RedisClient,
+  parseUrl,
+  encodeCommand,
+  parseReply
+};
@@ -0,0 +1,55 @@
+// lib/resume.js - Возобновление сессии после обрыва WebSocket
+//
+// Обе стороны считают байты каждого туннеля и хранят отправленные, но еще не
+// подтвержденные данные. Подтверждение - кредит окна (WINDOW_UPDATE / tunnel_window),
+// поэтому буфер не больше окна туннеля. При возобновлении стороны сообщают, сколько
+// байт получили, и досылают остальное из буфера.
+const crypto = require('crypto');
+
+// Клиент закрыл соединение сам - сессию сохранять не нужно
+const CLOSE_NORMAL = 1000;
+
+class ReplayBuffer {
+  constructor() {
+    this.chunks = [];
+    this.start = 0;  // смещение первого неподтвержденного байта
+    this.end = 0;    // смещение после последнего отправленного байта
+  }
+
+  push(data) {
+    this.chunks.push(data);
+    this.end += data.length;
+  }
+
+  ack(bytes) {
+    let remaining = Math.min(bytes, this.end - this.start);
+    this.start += remaining;
+
+    while (remaining > 0) {
+      const first = this.chunks[0];
+      if (first.length <= remaining) {
+        this.chunks.shift();
+        remaining -= first.length;
+      } else {
+        this.chunks[0] = first.slice(remaining);
+        remaining = 0;
+      }
+    }
+  }
+
+  // Данные начиная с offset или null, если часть из них уже удалена
+  since(offset) {
+    if (offset < this.start || offset > this.end) return null;
+    return Buffer.concat(this.chunks).slice(offset - this.start);
+  }
+}
+
+function generateResumeToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = {
+  CLOSE_NORMAL,
+  ReplayBuffer,
+  generateResumeToken
+};
@@ -0,0 +1,205 @@
+// lib/session-crypto.js - Обмен ключами X25519 и шифрование сессии
+//
+// Рукопожатие после welcome:
+//   клиент -> key_exchange { publicKey }                 (эфемерный X25519, SPKI DER base64)
+//   сервер -> key_exchange_ok { publicKey, signature }   (подпись Ed25519 ключом сервера)
+// Подпись покрывает clientId и оба публичных ключа, поэтому клиент, знающий
+// identityKey сервера, обнаружит подмену. Ключи направлений выводятся через HKDF.
+//
+// Пакет: epoch (1) | counter (8, BE) | authTag (16) | encrypted
+// Счетчик строго растет (WebSocket доставляет по порядку) - повтор отбрасывается.
+// Смена ключа: отправитель после REKEY_MESSAGES пакетов или REKEY_INTERVAL
+// выводит новый ключ из текущего и увеличивает epoch, получатель делает то же.
+const crypto = require('crypto');
+
+const KEY_EXCHANGE_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+const HEADER_LENGTH = 1 + 8 + 16;
+
+const REKEY_MESSAGES = 1000000;
+const REKEY_INTERVAL = 10 * 60 * 1000;
+
+// HKDF-SHA256 (RFC 5869); crypto.hkdfSync есть только с Node 15
+function hkdf(ikm, salt, info, length = 32) {
+  const prk = crypto.createHmac('sha256', salt).update(ikm).digest();
+  const blocks = [];
+  let previous = Buffer.alloc(0);
+
+  for (let i = 1; Buffer.concat(blocks).length < length; i++) {
+    previous = crypto.createHmac('sha256', prk)
+      .update(Buffer.concat([previous, Buffer.from(info), Buffer.from([i])]))
+      .digest();
+    blocks.push(previous);
+  }
+
+  return Buffer.concat(blocks).slice(0, length);
+}
+
+function exportPublicKey(key) {
+  return key.export({ format: 'der', type: 'spki' }).toString('base64');
+}
+
+function importPublicKey(base64) {
+  return crypto.createPublicKey({ key: Buffer.from(base64, 'base64'), format: 'der', type: 'spki' });
+}
+
+function generateEphemeralKeys() {
+  return crypto.generateKeyPairSync('x25519');
+}
+
+// Долговременный ключ сервера: VPN_IDENTITY_KEY (PKCS8 PEM, node lib/session-crypto.js
+// generate) или новый при запуске
+function loadIdentityKey(pem) {
+  const privateKey = pem
+    ? crypto.createPrivateKey(pem)
+    : crypto.generateKeyPairSync('ed25519').privateKey;
+
+  return {
+    privateKey,
+    publicKey: exportPublicKey(crypto.createPublicKey(privateKey))
+  };
+}
+
+function transcript(clientId, clientPublicKey, serverPublicKey) {
+  return Buffer.from(`vpn-kx-v${KEY_EXCHANGE_VERSION}|${clientId}|${clientPublicKey}|${serverPublicKey}`);
+}
+
+function signTranscript(identityKey, clientId, clientPublicKey, serverPublicKey) {
+  return crypto.sign(null, transcript(clientId, clientPublicKey, serverPublicKey), identityKey.privateKey)
+    .toString('base64');
+}
+
+function verifyTranscript(identityPublicKey, signature, clientId, clientPublicKey, serverPublicKey) {
+  try {
+    return crypto.verify(
+      null,
+      transcript(clientId, clientPublicKey, serverPublicKey),
+      importPublicKey(identityPublicKey),
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+class SessionCipher {
+  // isServer определяет, какой из ключей направлений используется для отправки
+  constructor(privateKey, peerPublicKey, clientPublicKey, serverPublicKey, isServer) {
+    const shared = crypto.diffieHellman({ privateKey, publicKey: importPublicKey(peerPublicKey) });
+    const salt = Buffer.concat([Buffer.from(clientPublicKey, 'base64'), Buffer.from(serverPublicKey, 'base64')]);
+
+    const clientToServer = hkdf(shared, salt, 'vpn c2s');
+    const serverToClient = hkdf(shared, salt, 'vpn s2c');
+
+    this.send = this.createState(isServer ? serverToClient : clientToServer);
+    this.receive = this.createState(isServer ? clientToServer : serverToClient);
+  }
+
+  createState(key) {
+    return { key, epoch: 0, counter: 0n, messages: 0, keyCreatedAt: Date.now() };
+  }
+
+  static nextKey(key) {
+    return hkdf(key, Buffer.alloc(0), 'vpn rekey');
+  }
+
+  rekeyIfNeeded() {
+    const state = this.send;
+    if (state.messages < REKEY_MESSAGES && Date.now() - state.keyCreatedAt < REKEY_INTERVAL) return;
+
+    state.key = SessionCipher.nextKey(state.key);
+    state.epoch = (state.epoch + 1) & 0xff;
+    state.counter = 0n;
+    state.messages = 0;
+    state.keyCreatedAt = Date.now();
+  }
+
+  static nonce(counter) {
+    const nonce = Buffer.alloc(12);
+    nonce.writeBigUInt64BE(counter, 4);
+    return nonce;
+  }
+
+  encrypt(data) {
+    this.rekeyIfNeeded();
+
+    const state = this.send;
+    state.counter += 1n;
+    state.messages++;
+
+    const header = Buffer.alloc(9);
+    header.writeUInt8(state.epoch, 0);
+    header.writeBigUInt64BE(state.counter, 1);
+
+    const cipher = crypto.createCipheriv(ALGORITHM, state.key, SessionCipher.nonce(state.counter));
+    cipher.setAAD(header);
+    const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+
+    return Buffer.concat([header, cipher.getAuthTag(), encrypted]);
+  }
+
+  // null - поврежденный, поддельный или повторный пакет
+  decrypt(data) {
+    if (data.length < HEADER_LENGTH) return null;
+
+    const state = this.receive;
+    const epoch = data.readUInt8(0);
+    const counter = data.readBigUInt64BE(1);
+
+    let key = state.key;
+    let lastCounter = state.counter;
+    const nextEpoch = epoch === ((state.epoch + 1) & 0xff);
+
+    if (nextEpoch) {
+      key = SessionCipher.nextKey(state.key);
+      lastCounter = 0n;
+    } else if (epoch !== state.epoch) {
+      return null;
+    }
+
+    if (counter <= lastCounter) return null;
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, SessionCipher.nonce(counter));
+      decipher.setAAD(data.slice(0, 9));
+      decipher.setAuthTag(data.slice(9, HEADER_LENGTH));
+      const decrypted = Buffer.concat([decipher.update(data.slice(HEADER_LENGTH)), decipher.final()]);
+
+      // Состояние меняется только после успешной проверки подлинности
+      if (nextEpoch) {
+        state.key = key;
+        state.epoch = epoch;
+      }
+      state.counter = counter;
+
+      return decrypted;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Утилита для VPN_IDENTITY_KEY: закрытый ключ в PEM и открытый для VPN_SERVER_KEY клиентов
+if (require.main === module) {
+  const [command] = process.argv.slice(2);
+
+  if (command === 'generate') {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    console.log(privateKey.export({ format: 'pem', type: 'pkcs8' }).trim());
+    console.error(`VPN_SERVER_KEY=${exportPublicKey(publicKey)}`);
+  } else {
+    console.log('Использование: node lib/session-crypto.js generate');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  KEY_EXCHANGE_VERSION,
+  SessionCipher,
+  hkdf,
+  exportPublicKey,
+  generateEphemeralKeys,
+  loadIdentityKey,
+  signTranscript,
+  verifyTranscript
+};
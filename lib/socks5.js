@@ -0,0 +1,363 @@
+// lib/socks5.js - Локальный SOCKS5 прокси (RFC 1928 / RFC 1929): CONNECT поверх
+// create_tunnel, UDP ASSOCIATE поверх create_udp_tunnel
+const dgram = require('dgram');
+const net = require('net');
+const { parseIp } = require('./policy');
+
+const SOCKS_VERSION = 0x05;
+
+const AUTH_NONE = 0x00;
+const AUTH_USERPASS = 0x02;
+const AUTH_NO_ACCEPTABLE = 0xff;
+
+const CMD_CONNECT = 0x01;
+const CMD_UDP_ASSOCIATE = 0x03;
+
+const ATYP_IPV4 = 0x01;
+const ATYP_DOMAIN = 0x03;
+const ATYP_IPV6 = 0x04;
+
+const REPLY = {
+  SUCCEEDED: 0x00,
+  GENERAL_FAILURE: 0x01,
+  NOT_ALLOWED: 0x02,
+  NETWORK_UNREACHABLE: 0x03,
+  HOST_UNREACHABLE: 0x04,
+  CONNECTION_REFUSED: 0x05,
+  TTL_EXPIRED: 0x06,
+  COMMAND_NOT_SUPPORTED: 0x07,
+  ADDRESS_TYPE_NOT_SUPPORTED: 0x08
+};
+
+// Коды ошибок туннеля (errno с сервера или клиента) -> коды ответа SOCKS
+const ERROR_REPLIES = {
+  ECONNREFUSED: REPLY.CONNECTION_REFUSED,
+  EHOSTUNREACH: REPLY.HOST_UNREACHABLE,
+  ENOTFOUND: REPLY.HOST_UNREACHABLE,
+  EAI_AGAIN: REPLY.HOST_UNREACHABLE,
+  ENETUNREACH: REPLY.NETWORK_UNREACHABLE,
+  ETIMEDOUT: REPLY.TTL_EXPIRED,
+  EAUTH: REPLY.NOT_ALLOWED,
+  POLICY_DENIED: REPLY.NOT_ALLOWED,
+  RATE_LIMITED: REPLY.NOT_ALLOWED,
+  QUOTA_EXCEEDED: REPLY.NOT_ALLOWED,
+  EACCES: REPLY.NOT_ALLOWED
+};
+
+function replyForError(error) {
+  return ERROR_REPLIES[error && error.code] || REPLY.GENERAL_FAILURE;
+}
+
+// Последовательное чтение N байт из сокета до начала проброса данных
+class BufferedReader {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.waiting = null;
+    this.onData = (data) => {
+      this.buffer = Buffer.concat([this.buffer, data]);
+      this.flush();
+    };
+    this.onEnd = () => {
+      if (this.waiting) {
+        this.waiting.reject(new Error('Connection closed during SOCKS handshake'));
+        this.waiting = null;
+      }
+    };
+    socket.on('data', this.onData);
+    socket.on('end', this.onEnd);
+  }
+
+  read(length) {
+    return new Promise((resolve, reject) => {
+      this.waiting = { length, resolve, reject };
+      this.flush();
+    });
+  }
+
+  flush() {
+    if (!this.waiting || this.buffer.length < this.waiting.length) return;
+
+    const { length, resolve } = this.waiting;
+    this.waiting = null;
+    const chunk = this.buffer.slice(0, length);
+    this.buffer = this.buffer.slice(length);
+    resolve(chunk);
+  }
+
+  // Отключает чтение и возвращает в сокет то, что пришло после рукопожатия
+  detach() {
+    this.socket.removeListener('data', this.onData);
+    this.socket.removeListener('end', this.onEnd);
+    this.socket.pause();
+    if (this.buffer.length > 0) {
+      this.socket.unshift(this.buffer);
+    }
+  }
+}
+
+// ATYP | ADDR | PORT
+function encodeAddress(host, port) {
+  let address;
+  if (net.isIPv4(host)) {
+    address = Buffer.from([ATYP_IPV4].concat(host.split('.').map(Number)));
+  } else if (net.isIPv6(host)) {
+    address = Buffer.alloc(17);
+    address.writeUInt8(ATYP_IPV6, 0);
+    const value = parseIp(host).value;
+    for (let i = 0; i < 16; i++) {
+      address.writeUInt8(Number((value >> BigInt(8 * (15 - i))) & 0xffn), 1 + i);
+    }
+  } else {
+    const name = Buffer.from(host);
+    address = Buffer.concat([Buffer.from([ATYP_DOMAIN, name.length]), name]);
+  }
+
+  const portBuffer = Buffer.alloc(2);
+  portBuffer.writeUInt16BE(port, 0);
+  return Buffer.concat([address, portBuffer]);
+}
+
+// BND.ADDR/BND.PORT нужны только для UDP ASSOCIATE (адрес UDP сокета), для туннеля - 0.0.0.0:0
+function buildReply(code, host = '0.0.0.0', port = 0) {
+  return Buffer.concat([Buffer.from([SOCKS_VERSION, code, 0x00]), encodeAddress(host, port)]);
+}
+
+function formatIPv6(buffer) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(buffer.readUInt16BE(i).toString(16));
+  }
+  return groups.join(':');
+}
+
+// Датаграмма клиента: RSV (2) | FRAG (1) | ATYP | DST.ADDR | DST.PORT | DATA.
+// null - некорректная или фрагментированная (фрагментация не поддерживается)
+function decodeUdpRequest(buffer) {
+  if (buffer.length < 4 || buffer[2] !== 0x00) return null;
+
+  let offset = 4;
+  let host;
+  switch (buffer[3]) {
+    case ATYP_IPV4:
+      if (buffer.length < offset + 4) return null;
+      host = Array.from(buffer.slice(offset, offset + 4)).join('.');
+      offset += 4;
+      break;
+    case ATYP_DOMAIN: {
+      const length = buffer.length > offset ? buffer[offset] : 0;
+      if (length === 0 || buffer.length < offset + 1 + length) return null;
+      host = buffer.toString('utf8', offset + 1, offset + 1 + length);
+      offset += 1 + length;
+      break;
+    }
+    case ATYP_IPV6:
+      if (buffer.length < offset + 16) return null;
+      host = formatIPv6(buffer.slice(offset, offset + 16));
+      offset += 16;
+      break;
+    default:
+      return null;
+  }
+
+  if (buffer.length < offset + 2) return null;
+  const port = buffer.readUInt16BE(offset);
+  return port > 0 ? { host, port, data: buffer.slice(offset + 2) } : null;
+}
+
+function encodeUdpReply(host, port, data) {
+  return Buffer.concat([Buffer.from([0x00, 0x00, 0x00]), encodeAddress(host, port), data]);
+}
+
+class SOCKS5Server {
+  // options.users - { username: password }; без него используется метод без аутентификации
+  constructor(vpnClient, options = {}) {
+    this.vpnClient = vpnClient;
+    this.users = options.users || null;
+    this.server = net.createServer(socket => this.handleConnection(socket));
+  }
+
+  listen(port = 1080, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  async handleConnection(socket) {
+    const reader = new BufferedReader(socket);
+    socket.on('error', () => socket.destroy());
+
+    // Клиент может отключиться, пока туннель еще открывается
+    let tunnel = null;
+    let closed = false;
+    socket.on('close', () => {
+      closed = true;
+      if (tunnel) tunnel.destroy();
+    });
+
+    try {
+      await this.negotiateAuth(socket, reader);
+      const request = await this.readRequest(socket, reader);
+      if (!request) return;
+
+      const udp = request.command === CMD_UDP_ASSOCIATE;
+      try {
+        tunnel = udp
+          ? await this.vpnClient.createUdpTunnel()
+          : await this.vpnClient.createTunnel(request.host, request.port);
+      } catch (error) {
+        socket.end(buildReply(replyForError(error)));
+        return;
+      }
+
+      if (closed) {
+        tunnel.destroy();
+        return;
+      }
+
+      if (udp) {
+        await this.relayUdp(socket, reader, tunnel, request);
+        return;
+      }
+
+      reader.detach();
+      socket.write(buildReply(REPLY.SUCCEEDED));
+
+      socket.pipe(tunnel).pipe(socket);
+      tunnel.on('error', () => socket.destroy());
+      socket.resume();
+    } catch (error) {
+      socket.destroy();
+    }
+  }
+
+  // UDP ASSOCIATE: датаграммы клиента приходят на отдельный UDP сокет и уходят через
+  // UdpTunnel, ответы возвращаются с адресом отправителя. Принимаются датаграммы только
+  // с адреса TCP соединения (и порта из запроса, если он указан); ассоциация живет,
+  // пока открыто TCP соединение
+  async relayUdp(socket, reader, tunnel, request) {
+    const relay = dgram.createSocket(net.isIPv6(socket.localAddress) ? 'udp6' : 'udp4');
+    try {
+      await new Promise((resolve, reject) => {
+        relay.once('error', reject);
+        relay.bind(0, socket.localAddress, () => {
+          relay.removeListener('error', reject);
+          resolve();
+        });
+      });
+    } catch (error) {
+      tunnel.destroy();
+      socket.end(buildReply(REPLY.GENERAL_FAILURE));
+      return;
+    }
+
+    let peer = null;
+    relay.on('message', (message, rinfo) => {
+      const expectedPort = request.port || (peer && peer.port);
+      if (rinfo.address !== socket.remoteAddress) return;
+      if (expectedPort && rinfo.port !== expectedPort) return;
+
+      const datagram = decodeUdpRequest(message);
+      if (!datagram || tunnel.closed) return;
+      peer = rinfo;
+      try {
+        tunnel.send(datagram.data, datagram.port, datagram.host);
+      } catch (error) {
+        // Связи с сервером нет - датаграмма теряется, как в обычном UDP
+      }
+    });
+    relay.on('error', () => socket.destroy());
+
+    tunnel.on('message', (data, from) => {
+      if (peer) relay.send(encodeUdpReply(from.address, from.port, data), peer.port, peer.address);
+    });
+    tunnel.on('close', () => socket.destroy());
+    socket.on('close', () => relay.close());
+
+    reader.detach();
+    const bound = relay.address();
+    socket.write(buildReply(REPLY.SUCCEEDED, bound.address, bound.port));
+    // Данные по TCP соединению не передаются, чтение нужно только чтобы заметить закрытие
+    socket.resume();
+  }
+
+  async negotiateAuth(socket, reader) {
+    const [version, methodCount] = await reader.read(2);
+    if (version !== SOCKS_VERSION) {
+      throw new Error(`Unsupported SOCKS version ${version}`);
+    }
+
+    const methods = await reader.read(methodCount);
+    const method = this.users ? AUTH_USERPASS : AUTH_NONE;
+
+    if (!methods.includes(method)) {
+      socket.end(Buffer.from([SOCKS_VERSION, AUTH_NO_ACCEPTABLE]));
+      throw new Error('No acceptable authentication method');
+    }
+
+    socket.write(Buffer.from([SOCKS_VERSION, method]));
+
+    if (method === AUTH_USERPASS) {
+      // RFC 1929: VER | ULEN | UNAME | PLEN | PASSWD
+      const [, usernameLength] = await reader.read(2);
+      const username = (await reader.read(usernameLength)).toString();
+      const [passwordLength] = await reader.read(1);
+      const password = (await reader.read(passwordLength)).toString();
+
+      const valid = Object.prototype.hasOwnProperty.call(this.users, username) &&
+        this.users[username] === password;
+
+      if (!valid) {
+        socket.end(Buffer.from([0x01, 0x01]));
+        throw new Error('Invalid SOCKS credentials');
+      }
+      socket.write(Buffer.from([0x01, 0x00]));
+    }
+  }
+
+  async readRequest(socket, reader) {
+    const [version, command, , addressType] = await reader.read(4);
+    if (version !== SOCKS_VERSION) {
+      throw new Error(`Unsupported SOCKS version ${version}`);
+    }
+
+    let host;
+    switch (addressType) {
+      case ATYP_IPV4:
+        host = Array.from(await reader.read(4)).join('.');
+        break;
+      case ATYP_DOMAIN: {
+        const [length] = await reader.read(1);
+        host = (await reader.read(length)).toString();
+        break;
+      }
+      case ATYP_IPV6:
+        host = formatIPv6(await reader.read(16));
+        break;
+      default:
+        socket.end(buildReply(REPLY.ADDRESS_TYPE_NOT_SUPPORTED));
+        return null;
+    }
+
+    const port = (await reader.read(2)).readUInt16BE(0);
+
+    if (command !== CMD_CONNECT && command !== CMD_UDP_ASSOCIATE) {
+      socket.end(buildReply(REPLY.COMMAND_NOT_SUPPORTED));
+      return null;
+    }
+
+    return { command, host, port };
+  }
+}
+
+module.exports = SOCKS5Server;
+module.exports.REPLY = REPLY;
+module.exports.replyForError = replyForError;
@@ -0,0 +1,239 @@
+// lib/state.js - Общее состояние экземпляров сервера: реестр сессий, счетчики трафика
+// для квот, отзыв токенов и события между экземплярами
+//
+// state.backend: memory (по умолчанию, один экземпляр) или redis (state.url, любой
+// сервер с протоколом Redis). Экземпляр переписывает свои сессии раз в state.heartbeat
+// секунд; записи, не обновлявшиеся STALE_HEARTBEATS периодов, остались от упавшего
+// экземпляра и не показываются. События (kick, close_tunnel, revoke, set_limits)
+// получают все экземпляры, включая отправителя (поле instance).
+// Токены проверяются на любом экземпляре, только если у всех общий auth.tokenSecret.
+// resume возможен лишь на том же экземпляре - балансировщику нужна привязка клиента.
+const { EventEmitter } = require('events');
+const { RedisClient } = require('./redis');
+
+const BACKENDS = ['memory', 'redis'];
+
+const STALE_HEARTBEATS = 3;
+
+// Счетчики суток и месяца хранятся чуть дольше самого периода
+const DAY_TTL = 2 * 24 * 60 * 60;
+const MONTH_TTL = 32 * 24 * 60 * 60;
+
+function periodKeys(date = new Date()) {
+  const day = date.toISOString().slice(0, 10);
+  return { day, month: day.slice(0, 7) };
+}
+
+class MemoryState extends EventEmitter {
+  constructor(options) {
+    super();
+    this.instanceId = options.instanceId;
+    this.heartbeat = options.heartbeat;
+    this.shared = false;
+    this.sessions = new Map();
+    this.usage = new Map();
+    this.revokedTokens = new Map();
+    this.revokedUsers = new Map();
+  }
+
+  async start() {}
+
+  async close() {}
+
+  isFresh(session) {
+    return Date.now() - session.updatedAt <= this.heartbeat * STALE_HEARTBEATS * 1000;
+  }
+
+  async saveSessions(sessions) {
+    const updatedAt = Date.now();
+    sessions.forEach(session => {
+      this.sessions.set(session.id, { ...session, instance: this.instanceId, updatedAt });
+    });
+  }
+
+  async removeSession(id) {
+    this.sessions.delete(id);
+  }
+
+  async listSessions() {
+    return Array.from(this.sessions.values()).filter(session => this.isFresh(session));
+  }
+
+  // Добавляет трафик пользователя и возвращает { daily, monthly } всех экземпляров
+  async addUsage(username, bytes) {
+    const { day, month } = periodKeys();
+    const add = (key) => {
+      const value = (this.usage.get(key) || 0) + bytes;
+      this.usage.set(key, value);
+      return value;
+    };
+    return { daily: add(`${username}:${day}`), monthly: add(`${username}:${month}`) };
+  }
+
+  // expiresAt - секунды unix; после этого токен недействителен и так
+  async revokeToken(jti, expiresAt) {
+    this.revokedTokens.set(jti, expiresAt);
+  }
+
+  async revokeUser(username, before) {
+    this.revokedUsers.set(username, before);
+  }
+
+  // { tokens: [jti], users: { <пользователь>: <секунды unix> } }
+  async revocations() {
+    const now = Date.now() / 1000;
+    return {
+      tokens: Array.from(this.revokedTokens).filter(([, expiresAt]) => expiresAt > now).map(([jti]) => jti),
+      users: Object.fromEntries(this.revokedUsers)
+    };
+  }
+
+  async publish(event) {
+    process.nextTick(() => this.emit('event', { ...event, instance: this.instanceId }));
+  }
+}
+
+// Ключи: <prefix>sessions (hash), <prefix>usage:<пользователь>:<период>,
+// <prefix>revoked:tokens и <prefix>revoked:users (hash), канал <prefix>events
+class RedisState extends EventEmitter {
+  constructor(options) {
+    super();
+    this.instanceId = options.instanceId;
+    this.heartbeat = options.heartbeat;
+    this.prefix = options.prefix;
+    this.shared = true;
+    this.redis = new RedisClient(options.url);
+    this.subscriber = new RedisClient(options.url);
+    this.channel = `${this.prefix}events`;
+  }
+
+  async start() {
+    [this.redis, this.subscriber].forEach(client => {
+      client.on('error', (error) => this.emit('error', error));
+    });
+    this.subscriber.on('message', (channel, message) => {
+      if (channel !== this.channel) return;
+      try {
+        this.emit('event', JSON.parse(message));
+      } catch (error) {
+        this.emit('error', error);
+      }
+    });
+
+    await this.redis.connect();
+    await this.subscriber.connect();
+    await this.subscriber.subscribe(this.channel);
+  }
+
+  async close() {
+    this.redis.close();
+    this.subscriber.close();
+  }
+
+  key(name) {
+    return `${this.prefix}${name}`;
+  }
+
+  async saveSessions(sessions) {
+    if (sessions.length === 0) return;
+
+    const updatedAt = Date.now();
+    const fields = sessions.flatMap(session => [
+      session.id,
+      JSON.stringify({ ...session, instance: this.instanceId, updatedAt })
+    ]);
+    await this.redis.command('HSET', this.key('sessions'), ...fields);
+  }
+
+  async removeSession(id) {
+    await this.redis.command('HDEL', this.key('sessions'), id);
+  }
+
+  // Записи упавших экземпляров удаляются при чтении
+  async listSessions() {
+    const entries = await this.redis.command('HGETALL', this.key('sessions'));
+    const sessions = [];
+    const stale = [];
+    const maxAge = this.heartbeat * STALE_HEARTBEATS * 1000;
+
+    for (let i = 0; i < entries.length; i += 2) {
+      try {
+        const session = JSON.parse(entries[i + 1]);
+        if (Date.now() - session.updatedAt <= maxAge) {
+          sessions.push(session);
+          continue;
+        }
+      } catch (error) {
+        // Испорченная запись удаляется вместе с устаревшими
+      }
+      stale.push(entries[i]);
+    }
+
+    if (stale.length > 0) await this.redis.command('HDEL', this.key('sessions'), ...stale);
+    return sessions;
+  }
+
+  async addUsage(username, bytes) {
+    const { day, month } = periodKeys();
+    const dayKey = this.key(`usage:${username}:${day}`);
+    const monthKey = this.key(`usage:${username}:${month}`);
+
+    const [daily, , monthly] = await Promise.all([
+      this.redis.command('INCRBY', dayKey, bytes),
+      this.redis.command('EXPIRE', dayKey, DAY_TTL),
+      this.redis.command('INCRBY', monthKey, bytes),
+      this.redis.command('EXPIRE', monthKey, MONTH_TTL)
+    ]);
+    return { daily, monthly };
+  }
+
+  async revokeToken(jti, expiresAt) {
+    await this.redis.command('HSET', this.key('revoked:tokens'), jti, expiresAt);
+  }
+
+  async revokeUser(username, before) {
+    await this.redis.command('HSET', this.key('revoked:users'), username, before);
+  }
+
+  // Истекшие отзывы токенов удаляются при чтении
+  async revocations() {
+    const [tokenEntries, userEntries] = await Promise.all([
+      this.redis.command('HGETALL', this.key('revoked:tokens')),
+      this.redis.command('HGETALL', this.key('revoked:users'))
+    ]);
+
+    const now = Date.now() / 1000;
+    const tokens = [];
+    const expired = [];
+    for (let i = 0; i < tokenEntries.length; i += 2) {
+      if (parseInt(tokenEntries[i + 1]) > now) {
+        tokens.push(tokenEntries[i]);
+      } else {
+        expired.push(tokenEntries[i]);
+      }
+    }
+    if (expired.length > 0) await this.redis.command('HDEL', this.key('revoked:tokens'), ...expired);
+
+    const users = {};
+    for (let i = 0; i < userEntries.length; i += 2) {
+      users[userEntries[i]] = parseInt(userEntries[i + 1]);
+    }
+    return { tokens, users };
+  }
+
+  async publish(event) {
+    await this.redis.command('PUBLISH', this.channel, JSON.stringify({ ...event, instance: this.instanceId }));
+  }
+}
+
+// options: { backend, url, prefix, heartbeat (секунды), instanceId }
+function createState(options) {
+  return options.backend === 'redis' ? new RedisState(options) : new MemoryState(options);
+}
+
+module.exports = {
+  BACKENDS,
+  MemoryState,
+  RedisState,
+  createState
+};
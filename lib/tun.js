@@ -0,0 +1,236 @@
+// lib/tun.js - TUN устройство Linux для режима IP пакетов (tun_attach)
+//
+// В Node нет ioctl, поэтому /dev/net/tun открывает маленький помощник на python3
+// (TUNSETIFF с IFF_TUN | IFF_NO_PI): пакеты идут через его stdin/stdout кадрами
+// длина (2, BE) | пакет, первый кадр - имя созданного интерфейса. Нужны root или
+// CAP_NET_ADMIN. Адреса, маршруты и NAT настраиваются командами ip и iptables.
+const fs = require('fs');
+const { spawn, execFile, execFileSync } = require('child_process');
+const { EventEmitter } = require('events');
+const { intToIp } = require('./ip-pool');
+
+const TUN_HELPER = `
+import fcntl, os, select, struct, sys
+fd = os.open('/dev/net/tun', os.O_RDWR)
+ifr = fcntl.ioctl(fd, 0x400454ca, struct.pack('16sH', sys.argv[1].encode(), 0x0001 | 0x1000))
+def emit(data):
+    data = struct.pack('>H', len(data)) + data
+    while data:
+        data = data[os.write(1, data):]
+emit(ifr[:16].rstrip(b'\\0'))
+pending = b''
+while True:
+    ready = select.select([fd, 0], [], [])[0]
+    if fd in ready:
+        emit(os.read(fd, 65535))
+    if 0 in ready:
+        chunk = os.read(0, 65536)
+        if not chunk:
+            break
+        pending += chunk
+        while len(pending) >= 2:
+            size = struct.unpack('>H', pending[:2])[0]
+            if len(pending) < 2 + size:
+                break
+            try:
+                os.write(fd, pending[2:2 + size])
+            except OSError:
+                pass
+            pending = pending[2 + size:]
+`;
+
+// Пакеты, ждущие записи в помощник, после которых новые отбрасываются
+const MAX_PENDING_WRITE = 1024 * 1024;
+
+function tunError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, (error, stdout, stderr) => {
+      if (error) {
+        reject(tunError(`${command} ${args.join(' ')}: ${(stderr || error.message).trim()}`, error.code === 'ENOENT' ? 'ENOENT' : 'ETUN'));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// События: 'packet' (Buffer), 'error', 'close'
+class TunDevice extends EventEmitter {
+  constructor(name) {
+    super();
+    this.requestedName = name || '';
+    this.name = null;
+    this.process = null;
+    this.buffer = Buffer.alloc(0);
+    this.closed = false;
+  }
+
+  // Имя интерфейса, когда устройство создано
+  open() {
+    return new Promise((resolve, reject) => {
+      let stderr = '';
+      const child = spawn('python3', ['-c', TUN_HELPER, this.requestedName], { stdio: ['pipe', 'pipe', 'pipe'] });
+      this.process = child;
+
+      const fail = (error) => {
+        if (this.name) {
+          this.close(error);
+        } else {
+          this.closed = true;
+          reject(error);
+        }
+      };
+
+      child.on('error', (error) => fail(tunError(`Cannot start TUN helper: ${error.message}`, error.code)));
+      child.stdin.on('error', () => {});
+      child.stderr.on('data', (chunk) => { stderr += chunk; });
+      child.stdout.on('data', (chunk) => this.receive(chunk, resolve));
+      child.on('exit', (code) => {
+        if (this.closed) return;
+        const reason = stderr.trim().split('\n').pop() || `exit code ${code}`;
+        fail(tunError(`TUN device ${this.name || this.requestedName}: ${reason}`, 'ETUN'));
+      });
+    });
+  }
+
+  receive(chunk, onOpen) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length >= 2) {
+      const length = this.buffer.readUInt16BE(0);
+      if (this.buffer.length < 2 + length) break;
+
+      const packet = this.buffer.slice(2, 2 + length);
+      this.buffer = this.buffer.slice(2 + length);
+
+      if (!this.name) {
+        this.name = packet.toString();
+        onOpen(this.name);
+      } else {
+        this.emit('packet', packet);
+      }
+    }
+  }
+
+  // false - пакет отброшен (устройство закрыто или помощник не успевает)
+  write(packet) {
+    if (this.closed || !this.name || packet.length > 65535) return false;
+
+    const stdin = this.process.stdin;
+    if (stdin.writableLength > MAX_PENDING_WRITE) return false;
+
+    const header = Buffer.alloc(2);
+    header.writeUInt16BE(packet.length, 0);
+    stdin.write(Buffer.concat([header, packet]));
+    return true;
+  }
+
+  // Интерфейс удаляется ядром, когда помощник завершается
+  close(error) {
+    if (this.closed) return;
+    this.closed = true;
+
+    if (this.process) {
+      this.process.stdin.end();
+      this.process.kill();
+    }
+    if (error && this.listenerCount('error') > 0) this.emit('error', error);
+    this.emit('close');
+  }
+}
+
+// Адрес, MTU и включение интерфейса
+async function configureInterface(name, { address, prefix, mtu }) {
+  await run('ip', ['addr', 'add', `${address}/${prefix}`, 'dev', name]);
+  await run('ip', ['link', 'set', 'dev', name, 'mtu', String(mtu), 'up']);
+}
+
+function addRoute(name, cidr) {
+  return run('ip', ['route', 'replace', cidr, 'dev', name]);
+}
+
+// Маршрут к address через текущий шлюз: соединение с VPN сервером не должно уйти
+// в TUN, когда через него идет весь трафик
+async function pinRoute(address) {
+  const route = await run('ip', ['route', 'get', address]);
+  const via = /\bvia (\S+)/.exec(route);
+  const dev = /\bdev (\S+)/.exec(route);
+  if (!dev) throw tunError(`No route to ${address}`, 'ETUN');
+
+  await run('ip', ['route', 'replace', `${address}/32`]
+    .concat(via ? ['via', via[1]] : [])
+    .concat(['dev', dev[1]]));
+}
+
+// Для обработчика 'exit' процесса, где нельзя ждать
+function removeRouteSync(cidr) {
+  try {
+    execFileSync('ip', ['route', 'del', cidr], { stdio: 'ignore' });
+  } catch (error) {
+    // Маршрута уже нет
+  }
+}
+
+function enableForwarding() {
+  fs.writeFileSync('/proc/sys/net/ipv4/ip_forward', '1');
+}
+
+// MASQUERADE для пакетов из пула, уходящих не в TUN (outInterface - только через него)
+function natRule(cidr, device, outInterface) {
+  return ['-t', 'nat', 'POSTROUTING', '-s', cidr]
+    .concat(outInterface ? ['-o', outInterface] : ['!', '-o', device])
+    .concat(['-j', 'MASQUERADE']);
+}
+
+async function enableNat(cidr, device, outInterface) {
+  const [table, name, chain, ...rule] = natRule(cidr, device, outInterface);
+  try {
+    await run('iptables', [table, name, '-C', chain, ...rule]);
+  } catch (error) {
+    if (error.code === 'ENOENT') throw error;
+    await run('iptables', [table, name, '-A', chain, ...rule]);
+  }
+}
+
+async function disableNat(cidr, device, outInterface) {
+  const [table, name, chain, ...rule] = natRule(cidr, device, outInterface);
+  await run('iptables', [table, name, '-D', chain, ...rule]);
+}
+
+// Заголовок IPv4 пакета: { source, destination, protocol, port } (port - порт
+// назначения TCP/UDP, 0 для остальных протоколов и фрагментов); null - не IPv4
+function parseIPv4(packet) {
+  if (packet.length < 20 || packet[0] >> 4 !== 4) return null;
+
+  const headerLength = (packet[0] & 0x0f) * 4;
+  if (headerLength < 20 || packet.length < headerLength) return null;
+
+  const protocol = packet[9];
+  const fragmentOffset = packet.readUInt16BE(6) & 0x1fff;
+  const hasPorts = (protocol === 6 || protocol === 17) && fragmentOffset === 0 && packet.length >= headerLength + 4;
+
+  return {
+    source: intToIp(packet.readUInt32BE(12)),
+    destination: intToIp(packet.readUInt32BE(16)),
+    protocol,
+    port: hasPorts ? packet.readUInt16BE(headerLength + 2) : 0
+  };
+}
+
+module.exports = {
+  TunDevice,
+  configureInterface,
+  addRoute,
+  pinRoute,
+  removeRouteSync,
+  enableForwarding,
+  enableNat,
+  disableNat,
+  parseIPv4
+};
@@ -0,0 +1,160 @@
+// lib/usage.js - Учет трафика по туннелям, клиентам и пользователям
+//
+// Направления: up - от клиента к сайту, down - от сайта к клиенту.
+// Записи о завершенных сессиях добавляются в VPN_USAGE_FILE (JSON lines);
+// при запуске итоги пользователей восстанавливаются из этого файла.
+// Для квот отдельно считается трафик за текущие сутки и месяц (UTC).
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const CSV_COLUMNS = [
+  'user', 'clientId', 'ip', 'connectedAt', 'disconnectedAt',
+  'bytesUp', 'bytesDown', 'packetsUp', 'packetsDown', 'tunnels', 'httpRequests'
+];
+
+function createCounters() {
+  return { bytesUp: 0, bytesDown: 0, packetsUp: 0, packetsDown: 0 };
+}
+
+function addTraffic(counters, direction, bytes) {
+  if (direction === 'up') {
+    counters.bytesUp += bytes;
+    counters.packetsUp++;
+  } else {
+    counters.bytesDown += bytes;
+    counters.packetsDown++;
+  }
+}
+
+function sumCounters(a, b) {
+  return {
+    bytesUp: a.bytesUp + b.bytesUp,
+    bytesDown: a.bytesDown + b.bytesDown,
+    packetsUp: a.packetsUp + b.packetsUp,
+    packetsDown: a.packetsDown + b.packetsDown
+  };
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class UsageStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.records = [];
+    this.users = new Map();
+    this.periods = new Map();
+    if (filePath) this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean).forEach(line => {
+      try {
+        const record = JSON.parse(line);
+        this.records.push(record);
+        this.addToUser(record.user, record);
+        this.addPeriodTraffic(record.user, record.bytesUp + record.bytesDown, new Date(record.disconnectedAt));
+      } catch (error) {
+        logger.warn('Skipping invalid usage record', { file: this.filePath, error });
+      }
+    });
+  }
+
+  addToUser(username, counters) {
+    if (!username) return;
+    this.users.set(username, sumCounters(this.userTotals(username), counters));
+  }
+
+  // Трафик активных сессий учитывается сразу, завершенных - при загрузке файла
+  addPeriodTraffic(username, bytes, date = new Date()) {
+    if (!username) return;
+
+    const day = date.toISOString().slice(0, 10);
+    const month = day.slice(0, 7);
+    const period = this.periods.get(username) || { day, dayBytes: 0, month, monthBytes: 0 };
+
+    if (day > period.day) {
+      period.day = day;
+      period.dayBytes = 0;
+    }
+    if (month > period.month) {
+      period.month = month;
+      period.monthBytes = 0;
+    }
+    if (day === period.day) period.dayBytes += bytes;
+    if (month === period.month) period.monthBytes += bytes;
+
+    this.periods.set(username, period);
+  }
+
+  // Трафик пользователя за текущие сутки и месяц
+  periodUsage(username) {
+    const period = this.periods.get(username);
+    const day = new Date().toISOString().slice(0, 10);
+
+    return {
+      daily: period && period.day === day ? period.dayBytes : 0,
+      monthly: period && period.month === day.slice(0, 7) ? period.monthBytes : 0
+    };
+  }
+
+  // Трафик за текущие сутки и месяц по всем экземплярам сервера (lib/state.js)
+  setPeriodUsage(username, daily, monthly) {
+    const day = new Date().toISOString().slice(0, 10);
+    this.periods.set(username, { day, dayBytes: daily, month: day.slice(0, 7), monthBytes: monthly });
+  }
+
+  // Итоги пользователя по завершенным сессиям
+  userTotals(username) {
+    return this.users.get(username) || createCounters();
+  }
+
+  // Запись о завершенной сессии клиента
+  record(session) {
+    const record = {
+      user: session.user,
+      clientId: session.clientId,
+      ip: session.ip,
+      connectedAt: session.connectedAt,
+      disconnectedAt: new Date().toISOString(),
+      ...session.counters,
+      tunnels: session.tunnels,
+      httpRequests: session.httpRequests
+    };
+
+    this.records.push(record);
+    this.addToUser(record.user, record);
+
+    if (this.filePath) {
+      fs.appendFile(this.filePath, JSON.stringify(record) + '\n', (error) => {
+        if (error) logger.error('Failed to persist usage record', { file: this.filePath, error });
+      });
+    }
+    return record;
+  }
+
+  // Фильтр: { user, from, to } (даты ISO, по времени отключения)
+  query(filter = {}) {
+    return this.records.filter(record =>
+      (!filter.user || record.user === filter.user) &&
+      (!filter.from || record.disconnectedAt >= filter.from) &&
+      (!filter.to || record.disconnectedAt <= filter.to)
+    );
+  }
+
+  static toCSV(records) {
+    const lines = records.map(record => CSV_COLUMNS.map(column => csvValue(record[column])).join(','));
+    return [CSV_COLUMNS.join(',')].concat(lines).join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  UsageStore,
+  createCounters,
+  addTraffic,
+  sumCounters
+};
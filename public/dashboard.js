@@ -0,0 +1,276 @@
+// public/dashboard.js - Панель администратора: данные приходят через WebSocket /admin/ws
+// (lib/admin-socket.js) - снимки клиентов и туннелей, записи аудита, ответы на действия.
+// Скорость считается по разнице счетчиков трафика между снимками.
+(function () {
+  'use strict';
+
+  const HISTORY_POINTS = 60;
+  const AUDIT_RECORDS = 200;
+  const RECONNECT_DELAY = 3000;
+  const TOKEN_KEY = 'vpn-admin-token';
+
+  const elements = {};
+  [
+    'login', 'token', 'loginError', 'logout', 'dashboard', 'serverName', 'serverRegion', 'instance',
+    'uptime', 'clientCount', 'tunnelCount', 'rateUp', 'rateDown', 'serverGraph', 'connection',
+    'clients', 'actionStatus', 'audit'
+  ].forEach(id => { elements[id] = document.getElementById(id); });
+
+  let ws = null;
+  let token = sessionStorage.getItem(TOKEN_KEY);
+  let requestCounter = 0;
+
+  // id -> { time, bytesUp, bytesDown, history: [{ up, down }] }
+  const rates = new Map();
+
+  function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return (unit === 0 ? value : value.toFixed(1)) + ' ' + units[unit];
+  }
+
+  function formatDuration(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor(seconds % 86400 / 3600);
+    const minutes = Math.floor(seconds % 3600 / 60);
+    if (days > 0) return days + 'd ' + hours + 'h';
+    if (hours > 0) return hours + 'h ' + minutes + 'm';
+    return minutes + 'm ' + Math.floor(seconds % 60) + 's';
+  }
+
+  function element(tag, options = {}, children = []) {
+    const node = document.createElement(tag);
+    if (options.text !== undefined) node.textContent = options.text;
+    if (options.className) node.className = options.className;
+    if (options.title) node.title = options.title;
+    Object.keys(options.data || {}).forEach(key => { node.dataset[key] = options.data[key]; });
+    children.forEach(child => node.appendChild(child));
+    return node;
+  }
+
+  // Скорость по приросту счетчиков с прошлого снимка; история - для графиков
+  function updateRate(id, time, traffic) {
+    const previous = rates.get(id);
+    const entry = { time, bytesUp: traffic.bytesUp, bytesDown: traffic.bytesDown, history: previous ? previous.history : [] };
+
+    if (previous && time > previous.time) {
+      const seconds = (time - previous.time) / 1000;
+      entry.history.push({
+        up: Math.max(0, traffic.bytesUp - previous.bytesUp) / seconds,
+        down: Math.max(0, traffic.bytesDown - previous.bytesDown) / seconds
+      });
+      if (entry.history.length > HISTORY_POINTS) entry.history.shift();
+    }
+
+    rates.set(id, entry);
+    return entry.history;
+  }
+
+  function drawGraph(canvas, history) {
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    context.clearRect(0, 0, width, height);
+    if (history.length < 2) return;
+
+    const max = Math.max(1, ...history.map(point => Math.max(point.up, point.down)));
+    const step = width / (HISTORY_POINTS - 1);
+    const offset = (HISTORY_POINTS - history.length) * step;
+
+    [['down', '#43a047'], ['up', '#1e88e5']].forEach(([key, color]) => {
+      context.beginPath();
+      context.strokeStyle = color;
+      history.forEach((point, index) => {
+        const x = offset + index * step;
+        const y = height - 2 - (point[key] / max) * (height - 4);
+        if (index === 0) {
+          context.moveTo(x, y);
+        } else {
+          context.lineTo(x, y);
+        }
+      });
+      context.stroke();
+    });
+  }
+
+  function lastRate(history) {
+    return history.length > 0 ? history[history.length - 1] : { up: 0, down: 0 };
+  }
+
+  function renderSnapshot(snapshot) {
+    const server = snapshot.server;
+    elements.serverName.textContent = server.name;
+    elements.serverRegion.textContent = server.region;
+    elements.instance.textContent = snapshot.instance;
+    elements.uptime.textContent = formatDuration(server.uptime);
+
+    const serverHistory = updateRate('server', snapshot.time, server.traffic);
+    elements.rateUp.textContent = formatBytes(lastRate(serverHistory).up) + '/s';
+    elements.rateDown.textContent = formatBytes(lastRate(serverHistory).down) + '/s';
+    drawGraph(elements.serverGraph, serverHistory);
+
+    const clients = snapshot.clients;
+    elements.clientCount.textContent = clients.length;
+    elements.tunnelCount.textContent = clients.reduce((count, client) => count + client.tunnels.length, 0);
+
+    const rows = [];
+    const graphs = [];
+    const seen = new Set(['server']);
+
+    clients.forEach(client => {
+      seen.add(client.id);
+      const history = updateRate(client.id, snapshot.time, client.traffic);
+      const rate = lastRate(history);
+      const spark = element('canvas', { className: 'spark' });
+      spark.width = 120;
+      spark.height = 24;
+      graphs.push([spark, history]);
+
+      const connected = client.connectedAt
+        ? formatDuration((snapshot.time - Date.parse(client.connectedAt)) / 1000)
+        : '-';
+      rows.push(element('tr', { className: client.instance === snapshot.instance ? '' : 'remote' }, [
+        element('td', { text: client.id, title: client.authenticated ? '' : 'Not authenticated' }),
+        element('td', { text: client.user || '-' }),
+        element('td', { text: client.ip || '-' }),
+        element('td', { text: client.instance }),
+        element('td', { text: connected, title: client.connectedAt || '' }),
+        element('td', { text: formatBytes(client.traffic.bytesUp) + ' / ' + formatBytes(client.traffic.bytesDown) }),
+        element('td', { title: formatBytes(rate.up) + '/s ↑, ' + formatBytes(rate.down) + '/s ↓' }, [spark]),
+        element('td', {}, [element('button', { text: 'Kick', className: 'danger', data: { action: 'kick_client', id: client.id } })])
+      ]));
+
+      client.tunnels.forEach(tunnel => {
+        rows.push(element('tr', { className: 'tunnel' }, [
+          element('td', { text: tunnel.id }),
+          element('td', { text: tunnel.protocol }),
+          element('td', { text: tunnel.protocol === 'tun' ? tunnel.address : tunnel.target }),
+          element('td', { text: '' }),
+          element('td', { text: tunnel.openedAt ? formatDuration((snapshot.time - Date.parse(tunnel.openedAt)) / 1000) : '-' }),
+          element('td', { text: formatBytes(tunnel.traffic.bytesUp) + ' / ' + formatBytes(tunnel.traffic.bytesDown) }),
+          element('td', { text: '' }),
+          element('td', {}, [element('button', { text: 'Close', data: { action: 'close_tunnel', id: tunnel.id } })])
+        ]));
+      });
+    });
+
+    elements.clients.replaceChildren(...rows);
+    graphs.forEach(([canvas, history]) => drawGraph(canvas, history));
+
+    // История отключенных клиентов больше не нужна
+    Array.from(rates.keys()).forEach(id => {
+      if (!seen.has(id)) rates.delete(id);
+    });
+  }
+
+  function describeRecord(record) {
+    const { time, event, ...fields } = record;
+    const details = Object.keys(fields)
+      .filter(key => fields[key] !== undefined && fields[key] !== null)
+      .map(key => key + '=' + (typeof fields[key] === 'object' ? JSON.stringify(fields[key]) : fields[key]))
+      .join(' ');
+    return time.replace('T', ' ').slice(0, 19) + '  ' + event + '  ' + details;
+  }
+
+  function addAuditRecords(records) {
+    records.forEach(record => {
+      const className = [record.event, record.result].filter(Boolean).join(' ');
+      elements.audit.insertBefore(element('li', { text: describeRecord(record), className }), elements.audit.firstChild);
+    });
+    while (elements.audit.children.length > AUDIT_RECORDS) {
+      elements.audit.removeChild(elements.audit.lastChild);
+    }
+  }
+
+  function showLogin(error) {
+    elements.dashboard.hidden = true;
+    elements.logout.hidden = true;
+    elements.login.hidden = false;
+    elements.loginError.textContent = error || '';
+  }
+
+  function handleMessage(message) {
+    switch (message.type) {
+      case 'auth_ok':
+        sessionStorage.setItem(TOKEN_KEY, token);
+        elements.login.hidden = true;
+        elements.dashboard.hidden = false;
+        elements.logout.hidden = false;
+        elements.audit.replaceChildren();
+        elements.connection.textContent = 'Live as ' + message.admin;
+        break;
+      case 'auth_failed':
+        token = null;
+        sessionStorage.removeItem(TOKEN_KEY);
+        showLogin(message.reason + (message.retryAfter ? ' (retry in ' + Math.ceil(message.retryAfter / 1000) + ' s)' : ''));
+        break;
+      case 'snapshot':
+        renderSnapshot(message);
+        break;
+      case 'audit':
+        addAuditRecords(message.records);
+        break;
+      case 'result':
+        elements.actionStatus.textContent = message.kicked
+          ? 'Client ' + message.kicked + ' kicked (' + message.instance + ')'
+          : 'Tunnel ' + message.closed + ' closed (' + message.instance + ')';
+        break;
+      case 'error':
+        elements.actionStatus.textContent = 'Failed: ' + message.message;
+        break;
+    }
+  }
+
+  function connect() {
+    if (!token) {
+      showLogin();
+      return;
+    }
+
+    const socket = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/admin/ws');
+    ws = socket;
+
+    socket.onopen = () => socket.send(JSON.stringify({ type: 'auth', token }));
+    socket.onmessage = (event) => handleMessage(JSON.parse(event.data));
+    socket.onclose = () => {
+      if (socket !== ws) return;
+      ws = null;
+      if (!token) return;
+
+      elements.connection.textContent = 'Connection lost, reconnecting...';
+      setTimeout(connect, RECONNECT_DELAY);
+    };
+  }
+
+  elements.login.addEventListener('submit', (event) => {
+    event.preventDefault();
+    token = elements.token.value;
+    elements.loginError.textContent = '';
+    if (ws) ws.close();
+    connect();
+  });
+
+  elements.logout.addEventListener('click', () => {
+    token = null;
+    sessionStorage.removeItem(TOKEN_KEY);
+    if (ws) ws.close();
+    showLogin();
+  });
+
+  elements.clients.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button || !ws) return;
+
+    const { action, id } = button.dataset;
+    const what = action === 'kick_client' ? 'Kick client ' : 'Close tunnel ';
+    if (!confirm(what + id + '?')) return;
+
+    ws.send(JSON.stringify({ type: action, id, requestId: String(++requestCounter) }));
+  });
+
+  connect();
+})();
@@ -5,460 +5,1924 @@ const crypto = require('crypto');
 const net = require('net');
 const dgram = require('dgram');
 const http = require('http');
+const os = require('os');
+const path = require('path');
+const VPNEncryption = require('./lib/encryption');
+const framing = require('./lib/framing');
+const sessionCrypto = require('./lib/session-crypto');
+const auth = require('./lib/auth');
+const { Policy, pinnedLookup } = require('./lib/policy');
+const { UserLimits } = require('./lib/limits');
+const { UserRateLimiter, AuthThrottle } = require('./lib/rate-limit');
+const { DnsResolver } = require('./lib/dns-resolver');
+const dnsWire = require('./lib/dns-wire');
+const { UsageStore, createCounters, addTraffic, sumCounters } = require('./lib/usage');
+const { createAdminApp, describeClient, CLOSE_KICKED } = require('./lib/admin-api');
+const { createAdminSocket } = require('./lib/admin-socket');
+const { ObfuscatedSocket, deriveKey, negotiateObfuscation } = require('./lib/obfuscation');
+const { createPollingRouter } = require('./lib/polling');
+const { CLOSE_NORMAL, ReplayBuffer, generateResumeToken } = require('./lib/resume');
+const { RttStats, Heartbeat } = require('./lib/heartbeat');
+const { UpstreamRequest } = require('./lib/http-upstream');
+const { clientAddress } = require('./lib/http-headers');
+const { Registry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { logger } = require('./lib/logger');
+const { AuditLog } = require('./lib/audit');
+const { loadConfig, mergeReload, describeConfig, usage: configUsage } = require('./lib/config');
+const { IpPool } = require('./lib/ip-pool');
+const { createState } = require('./lib/state');
+const { loadServerList, createManifest, signManifest } = require('./lib/manifest');
+const tun = require('./lib/tun');
+
+// Конфигурация: значения по умолчанию -> файл (--config, VPN_CONFIG) -> окружение -> флаги.
+// Ошибки выводятся списком до запуска; SIGHUP применяет параметры с reloadable
+let loadedConfig;
+try {
+  loadedConfig = loadConfig();
+} catch (error) {
+  if (error.code !== 'ECONFIG') throw error;
+  logger.error('Invalid configuration', { errors: error.errors });
+  process.exit(1);
+}
+
+if (loadedConfig.help) {
+  console.log(configUsage());
+  process.exit(0);
+}
+
+let config = loadedConfig.config;
+logger.setLevel(config.logging.level);
+loadedConfig.warnings.forEach(warning => logger.warn(warning));
+logger.info('Configuration loaded', {
+  file: loadedConfig.file,
+  settings: describeConfig(config, loadedConfig.sources)
+});
+
+const CIPHER_NAME = VPNEncryption.ALGORITHM.toUpperCase();
+
+// Данные ответа http_proxy, ждущие отправки в WebSocket, после которых чтение приостанавливается
+const HTTP_SEND_BUFFER = 1024 * 1024;
 
 const app = express();
-const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(express.json());
-app.use(express.static('public'));
+// Сайт-прикрытие (transport.coverSite) заменяет панель и страницы public/
+app.use(express.static(config.transport.coverSite || path.join(__dirname, 'public')));
 
 // Хранилище клиентов и туннелей
 const clients = new Map();
 const tunnels = new Map();
 
+// resumeToken -> id сессии, которую можно возобновить после обрыва
+const resumeSessions = new Map();
+
 // Генерация ключа шифрования
-const ENCRYPTION_KEY = process.env.VPN_SECRET || crypto.randomBytes(32).toString('hex');
-
-// Шифрование данных
-class VPNEncryption {
-  static encrypt(data) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-gcm', 
-      crypto.createHash('sha256').update(ENCRYPTION_KEY).digest(), 
-      iv
-    );
-    const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
-    const authTag = cipher.getAuthTag();
-    return Buffer.concat([iv, authTag, encrypted]);
-  }
-
-  static decrypt(data) {
-    try {
-      const iv = data.slice(0, 16);
-      const authTag = data.slice(16, 32);
-      const encrypted = data.slice(32);
-      
-      const decipher = crypto.createDecipheriv('aes-256-gcm',
-        crypto.createHash('sha256').update(ENCRYPTION_KEY).digest(),
-        iv
-      );
-      decipher.setAuthTag(authTag);
-      
-      return Buffer.concat([decipher.update(encrypted), decipher.final()]);
-    } catch (error) {
-      return null;
+const ENCRYPTION_KEY = config.encryption.secret || crypto.randomBytes(32).toString('hex');
+
+// Шифрование данных: общий ключ только для клиентов без обмена ключами
+const encryption = new VPNEncryption(ENCRYPTION_KEY);
+
+// Долговременный ключ сервера для подписи обмена ключами. Клиенты запоминают его при
+// первом подключении, поэтому ключ, созданный при запуске, годится только для разработки
+// (с NODE_ENV=production VPN_IDENTITY_KEY обязателен, см. lib/config.js)
+const IDENTITY_KEY = sessionCrypto.loadIdentityKey(config.auth.identityKey);
+if (!config.auth.identityKey) {
+  logger.warn('Identity key generated for this run: clients that remember it will reject the server after a restart, set VPN_IDENTITY_KEY');
+}
+
+// Подпись списка серверов: общий ключ узлов (servers.signingKey) или identity ключ
+const MANIFEST_KEY = config.servers.signingKey
+  ? sessionCrypto.loadIdentityKey(config.servers.signingKey)
+  : IDENTITY_KEY;
+
+// Аутентификация: токены /auth/token, API ключи, логин/пароль из auth.usersFile.
+// Случайный секрет токенов - только для одного процесса без общего состояния (см. lib/config.js)
+const userStore = new auth.UserStore(config.auth.usersFile);
+const tokenProvider = new auth.TokenProvider(
+  config.auth.tokenSecret || crypto.randomBytes(32).toString('hex'),
+  userStore,
+  config.auth.tokenTtl
+);
+const passwordProvider = new auth.PasswordProvider(userStore);
+const apiKeys = new Map();
+
+// API ключи и демо-токены (auth.demoTokens задаются явно или NODE_ENV=development)
+function configureApiKeys() {
+  apiKeys.clear();
+  Object.entries(config.auth.apiKeys).forEach(([key, username]) => apiKeys.set(key, username));
+  config.auth.demoTokens.forEach(token => apiKeys.set(token, token));
+}
+configureApiKeys();
+if (config.auth.demoTokens.length > 0) {
+  logger.warn('Demo tokens are accepted: do not use them outside development', { tokens: config.auth.demoTokens.length });
+}
+
+const authManager = new auth.AuthManager([
+  tokenProvider,
+  new auth.ApiKeyProvider(userStore, apiKeys),
+  passwordProvider
+]);
+
+// Политика адресов назначения: policy.file или правила из конфигурации;
+// частные сети запрещены по умолчанию
+function createPolicy() {
+  const { file, defaultAction, denyPrivate, rules } = config.policy;
+  return file ? Policy.fromFile(file) : new Policy({ defaultAction, denyPrivate, rules });
+}
+let accessPolicy = createPolicy();
+
+// Узлы для /servers из servers.file; без файла публикуется только этот сервер
+let serverList = loadServerList(config.servers.file);
+
+// DNS запросы клиентов (dns_query): dns.servers или системные серверы
+function createDnsResolver() {
+  return new DnsResolver({ policy: accessPolicy, servers: config.dns.servers });
+}
+let dnsResolver = createDnsResolver();
+
+// Лимиты пользователей: limits.defaults, планы и limits из файла пользователей,
+// изменения через admin API
+const userLimits = new UserLimits(userStore, config.limits.defaults);
+const rateLimiter = new UserRateLimiter(userLimits);
+
+// Блокировка IP после неудачных попыток входа
+const authThrottle = new AuthThrottle();
+
+// Учет трафика: завершенные сессии сохраняются в usage.file
+const usageStore = new UsageStore(config.usage.file);
+const serverTraffic = createCounters();
+
+// Общее состояние экземпляров (state.backend): реестр сессий для admin API и /stats,
+// трафик для квот, отзыв токенов и события kick, close_tunnel, revoke, set_limits
+const INSTANCE_ID = config.state.instanceId || `${os.hostname()}-${process.pid}`;
+const state = createState({ ...config.state, instanceId: INSTANCE_ID });
+
+// Трафик пользователей, еще не добавленный в общие счетчики квот
+const unsyncedUsage = new Map();
+
+// Журнал аудита: входы, туннели, действия администратора, отказы политики
+const audit = new AuditLog(config.audit.file, {
+  maxSize: config.audit.maxSize,
+  maxFiles: config.audit.maxFiles
+});
+
+// Отказ политики: в журнал и аудит. kind - tunnel, udp, tun, dns или http
+function auditDenied(client, kind, error) {
+  client.log.warn('Destination denied by policy', { kind, target: error.target, rule: error.rule });
+  audit.record('policy_denied', {
+    clientId: client.id,
+    user: client.user ? client.user.username : undefined,
+    ip: client.ip,
+    kind,
+    target: error.target,
+    rule: error.rule,
+    reason: error.message
+  });
+}
+
+function auditTunnelOpen(tunnel) {
+  audit.record('tunnel_open', {
+    tunnelId: tunnel.tunnelId,
+    clientId: tunnel.clientId,
+    user: tunnel.username,
+    protocol: tunnel.protocol,
+    target: `${tunnel.targetHost}:${tunnel.targetPort}`,
+    address: tunnel.address
+  });
+}
+
+function auditTunnelClose(tunnel, error) {
+  audit.record('tunnel_close', {
+    tunnelId: tunnel.tunnelId,
+    clientId: tunnel.clientId,
+    user: tunnel.username,
+    protocol: tunnel.protocol,
+    target: `${tunnel.targetHost}:${tunnel.targetPort}`,
+    bytesUp: tunnel.counters.bytesUp,
+    bytesDown: tunnel.counters.bytesDown,
+    duration: (Date.now() - tunnel.openedAt.getTime()) / 1000,
+    error: error ? error.code || 'ERROR' : undefined
+  });
+}
+
+// Метрики Prometheus (/metrics): клиенты, туннели и трафик считаются при запросе
+const metrics = new Registry();
+const metric = {
+  clients: metrics.gauge('vpn_clients_connected', 'Connected VPN clients (sessions waiting for resume excluded)', [], () => [
+    { value: Array.from(clients.values()).filter(client => !client.detachedAt).length }
+  ]),
+  tunnels: metrics.gauge('vpn_tunnels_active', 'Open tunnels', ['protocol'], () => ['tcp', 'udp', 'tun'].map(protocol => ({
+    labels: { protocol },
+    value: Array.from(tunnels.values()).filter(tunnel => tunnel.protocol === protocol).length
+  }))),
+  traffic: metrics.counter('vpn_traffic_bytes_total', 'Tunnel, HTTP proxy and DNS traffic (up - from clients)', ['direction'], () => [
+    { labels: { direction: 'up' }, value: serverTraffic.bytesUp },
+    { labels: { direction: 'down' }, value: serverTraffic.bytesDown }
+  ]),
+  tunnelsOpened: metrics.counter('vpn_tunnels_opened_total', 'Tunnels opened', ['protocol']),
+  tunnelsFailed: metrics.counter('vpn_tunnels_failed_total', 'Tunnels that failed to open, by error code', ['protocol', 'reason']),
+  tunnelConnect: metrics.histogram('vpn_tunnel_connect_seconds', 'Time to connect a TCP tunnel to its destination'),
+  auth: metrics.counter('vpn_auth_total', 'Authentication attempts (ws - auth message, token - /auth/token)', ['endpoint', 'result']),
+  httpRequests: metrics.counter('vpn_http_proxy_requests_total', 'HTTP proxy requests by response status or error code', ['status']),
+  messages: metrics.histogram('vpn_message_handling_seconds', 'Time to handle a JSON control message', ['type']),
+  memory: metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], () => [
+    { value: process.memoryUsage().rss }
+  ]),
+  startTime: metrics.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds')
+};
+metric.startTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+// Типы сообщений для метки type; остальные считаются как unknown
+const MESSAGE_TYPES = new Set([
+  'hello', 'auth', 'resume', 'negotiate', 'key_exchange', 'ping', 'create_tunnel', 'create_udp_tunnel',
+  'dns_query', 'tunnel_data', 'tunnel_window', 'close_tunnel', 'stats',
+  'http_proxy', 'http_body_chunk', 'http_body_end', 'http_cancel', 'tun_attach'
+]);
+
+function tunnelFailed(protocol, reason) {
+  metric.tunnelsFailed.inc({ protocol, reason: reason || 'ERROR' });
+}
+
+function recordTraffic(client, tunnel, direction, bytes) {
+  addTraffic(serverTraffic, direction, bytes);
+  if (client) addTraffic(client.counters, direction, bytes);
+  if (tunnel) addTraffic(tunnel.counters, direction, bytes);
+  
+  if (client && client.user) {
+    usageStore.addPeriodTraffic(client.user.username, bytes);
+    if (state.shared) {
+      unsyncedUsage.set(client.user.username, (unsyncedUsage.get(client.user.username) || 0) + bytes);
     }
+    
+    // Квота исчерпана во время передачи - туннель закрывается
+    const quotaError = checkQuota(client.user.username);
+    if (quotaError && tunnel) tunnel.close(quotaError);
+  }
+}
+
+// Лимиты на новый туннель (TCP, UDP или TUN): число туннелей, квота, частота
+function checkTunnelLimits(username) {
+  const { maxTunnels } = userLimits.get(username);
+  if (maxTunnels !== null && countUserTunnels(username) >= maxTunnels) {
+    const error = new Error(`Tunnel limit reached (${maxTunnels})`);
+    error.code = 'QUOTA_EXCEEDED';
+    return error;
+  }
+  
+  const quotaError = checkQuota(username);
+  if (quotaError) return quotaError;
+  
+  const retryAfter = rateLimiter.hit(username, 'tunnelsPerMinute');
+  if (retryAfter) {
+    const error = new Error('Too many tunnels per minute');
+    error.code = 'RATE_LIMITED';
+    error.retryAfter = retryAfter;
+    return error;
   }
+  return null;
+}
+
+// Ошибка QUOTA_EXCEEDED, если суточная или месячная квота пользователя исчерпана
+function checkQuota(username) {
+  const { dailyQuota, monthlyQuota } = userLimits.get(username);
+  const used = usageStore.periodUsage(username);
+  let period = null;
+  
+  if (dailyQuota !== null && used.daily >= dailyQuota) period = 'Daily';
+  else if (monthlyQuota !== null && used.monthly >= monthlyQuota) period = 'Monthly';
+  if (!period) return null;
+  
+  const error = new Error(`${period} traffic quota exceeded`);
+  error.code = 'QUOTA_EXCEEDED';
+  return error;
+}
+
+// Трафик пользователя: завершенные сессии + активные подключения
+function userUsage(username) {
+  let total = usageStore.userTotals(username);
+  clients.forEach(client => {
+    if (client.user && client.user.username === username) {
+      total = sumCounters(total, client.counters);
+    }
+  });
+  return total;
+}
+
+function countUserTunnels(username) {
+  let count = 0;
+  tunnels.forEach(tunnel => {
+    const owner = clients.get(tunnel.clientId);
+    if (owner && owner.user && owner.user.username === username) count++;
+  });
+  return count;
+}
+
+function hasPermission(client, permission) {
+  return Boolean(client.user && client.user.permissions.includes(permission));
+}
+
+// Ключи сессии после key_exchange, иначе общий ключ
+function cipherFor(client) {
+  return (client && client.cipher) || encryption;
 }
 
-// TCP туннель для пересылки трафика
+// Порог буфера WebSocket, при котором чтение из TCP приостанавливается
+const WS_HIGH_WATER_MARK = 1024 * 1024;
+
+// TCP туннель для пересылки трафика.
+// Управление потоком: клиент выдает окно (options.window) и пополняет его
+// кредитами (WINDOW_UPDATE / tunnel_window); сервер выдает клиенту кредиты по
+// мере записи данных в TCP сокет. Без окна от клиента (старые клиенты) действует
+// только ограничение по ws.bufferedAmount.
+// Возобновление: данные к клиенту хранятся до кредита (unacked), пока сессия ждет
+// переподключения, чтение из TCP стоит; см. lib/resume.js.
 class TCPTunnel {
-  constructor(clientId, targetHost, targetPort, clientWs) {
+  constructor(clientId, targetHost, targetPort, clientWs, options = {}) {
     this.clientId = clientId;
     this.targetHost = targetHost;
     this.targetPort = targetPort;
     this.clientWs = clientWs;
+    this.requestId = options.requestId;
+    this.streamId = options.streamId;
+    this.address = options.address || targetHost;
     this.tcpSocket = null;
     this.tunnelId = crypto.randomBytes(8).toString('hex');
+    this.protocol = 'tcp';
+    this.connected = false;
+    this.closed = false;
+    this.openedAt = new Date();
+    this.lastActivity = Date.now();
+    this.counters = createCounters();
+    this.log = logger.child({
+      clientId: clientId,
+      user: options.username,
+      tunnelId: this.tunnelId,
+      target: `${targetHost}:${targetPort}`
+    });
+    
+    this.flowControl = Boolean(options.window);
+    this.sendWindow = this.flowControl ? options.window : Infinity;
+    this.receiveOutstanding = 0;
+    this.pendingCredit = 0;
+    this.paused = false;
+    this.received = 0;
+    this.unacked = this.flowControl ? new ReplayBuffer() : null;
+    this.creditGranted = 0;
+    this.creditReceived = 0;
+    
+    // Ограничение скорости пользователя (bandwidthUp / bandwidthDown)
+    this.username = options.username;
+    this.shaped = false;
+    this.shapeTimer = null;
     
     this.connect();
   }
   
   connect() {
+    // Подключаемся к адресу, который проверила политика, а не резолвим имя заново
     this.tcpSocket = net.createConnection({
-      host: this.targetHost,
+      host: this.address,
       port: this.targetPort
     }, () => {
-      console.log(`🔗 Туннель ${this.tunnelId} подключен к ${this.targetHost}:${this.targetPort}`);
+      this.log.info('Tunnel connected', { address: this.address });
+      this.connected = true;
+      auditTunnelOpen(this);
+      metric.tunnelsOpened.inc({ protocol: 'tcp' });
+      metric.tunnelConnect.observe({}, (Date.now() - this.openedAt.getTime()) / 1000);
       
       // Отправляем клиенту подтверждение
       this.clientWs.send(JSON.stringify({
         type: 'tunnel_open',
         tunnelId: this.tunnelId,
-        target: `${this.targetHost}:${this.targetPort}`
+        requestId: this.requestId,
+        streamId: this.streamId,
+        target: `${this.targetHost}:${this.targetPort}`,
+        window: this.flowControl ? framing.DEFAULT_WINDOW : undefined
       }));
     });
     
     this.tcpSocket.on('data', (data) => {
-      // Шифруем и отправляем данные клиенту
-      const encrypted = VPNEncryption.encrypt(data);
-      this.clientWs.send(JSON.stringify({
-        type: 'tunnel_data',
-        tunnelId: this.tunnelId,
-        data: encrypted.toString('base64')
-      }));
+      this.lastActivity = Date.now();
+      
+      // Без WebSocket данные остаются в unacked и будут отправлены после возобновления
+      if (this.unacked) {
+        this.unacked.push(data);
+      } else if (this.clientWs.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      
+      if (this.clientWs.readyState === WebSocket.OPEN) {
+        this.sendToClient(data);
+      }
+      
+      this.sendWindow -= data.length;
+      this.shape(rateLimiter.shape(this.username, 'down', data.length));
+      recordTraffic(clients.get(this.clientId), this, 'down', data.length);
+      this.updateFlow();
     });
     
     this.tcpSocket.on('error', (error) => {
-      console.log(`❌ Ошибка туннеля ${this.tunnelId}:`, error.message);
-      this.close();
+      this.log.warn('Tunnel socket error', { error });
+      if (!this.connected) tunnelFailed('tcp', error.code);
+      this.close(error);
     });
     
     this.tcpSocket.on('close', () => {
-      console.log(`🔌 Туннель ${this.tunnelId} закрыт`);
       this.close();
     });
   }
   
+  // Шифруем и отправляем данные клиенту
+  sendToClient(data) {
+    const encrypted = cipherFor(clients.get(this.clientId)).encrypt(data);
+    const onSent = () => this.updateFlow();
+    
+    if (this.isBinary()) {
+      this.clientWs.send(framing.encodeFrame(
+        framing.FRAME_TYPES.DATA, this.streamId, encrypted, framing.FLAGS.ENCRYPTED
+      ), onSent);
+    } else {
+      this.clientWs.send(JSON.stringify({
+        type: 'tunnel_data',
+        tunnelId: this.tunnelId,
+        data: encrypted.toString('base64')
+      }), onSent);
+    }
+  }
+  
+  // Сессия возобновлена: клиент получил received байт и выдал всего credited кредита.
+  // Досылаем недостающие данные, учитываем потерянные при обрыве кредиты.
+  // false - данные уже удалены из буфера
+  replay(received, credited) {
+    const missing = this.unacked && this.unacked.since(received);
+    if (!missing) return false;
+    
+    if (credited > this.creditReceived) this.addCredit(credited - this.creditReceived);
+    if (missing.length > 0) this.sendToClient(missing);
+    this.grantCredit(0);
+    this.updateFlow();
+    return true;
+  }
+  
+  isBinary() {
+    const client = clients.get(this.clientId);
+    return Boolean(client && client.framing);
+  }
+  
+  // Превышена скорость к клиенту: чтение из TCP приостанавливается на delay мс
+  shape(delay) {
+    if (delay <= 0) return;
+    
+    this.shaped = true;
+    clearTimeout(this.shapeTimer);
+    this.shapeTimer = setTimeout(() => {
+      this.shaped = false;
+      this.updateFlow();
+    }, delay);
+  }
+  
+  // Пауза чтения из TCP, пока окно клиента исчерпано, WebSocket не успевает
+  // или превышена скорость пользователя
+  updateFlow() {
+    if (this.closed) return;
+    
+    const blocked = this.shaped || this.sendWindow <= 0 ||
+      this.clientWs.readyState !== WebSocket.OPEN ||
+      this.clientWs.bufferedAmount > WS_HIGH_WATER_MARK;
+    if (blocked && !this.paused) {
+      this.paused = true;
+      this.tcpSocket.pause();
+    } else if (!blocked && this.paused) {
+      this.paused = false;
+      this.tcpSocket.resume();
+    }
+  }
+  
+  // Клиент прочитал данные и пополнил окно
+  addCredit(credit) {
+    if (!this.flowControl) return;
+    this.sendWindow += credit;
+    this.creditReceived += credit;
+    this.unacked.ack(credit);
+    this.updateFlow();
+  }
+  
   send(data) {
-    if (this.tcpSocket && !this.tcpSocket.destroyed) {
-      this.tcpSocket.write(data);
+    if (!this.tcpSocket || this.tcpSocket.destroyed) return;
+    
+    if (this.flowControl) {
+      this.receiveOutstanding += data.length;
+      if (this.receiveOutstanding > framing.DEFAULT_WINDOW) {
+        const error = new Error('Flow control window exceeded');
+        error.code = 'EFLOW';
+        this.close(error);
+        return;
+      }
+    }
+    
+    // Скорость от клиента ограничивается задержкой кредитов (только клиенты с окном)
+    const delay = rateLimiter.shape(this.username, 'up', data.length);
+    
+    recordTraffic(clients.get(this.clientId), this, 'up', data.length);
+    if (this.closed) return;
+    this.received += data.length;
+    this.lastActivity = Date.now();
+    
+    // Кредит клиенту выдается, когда данные ушли в TCP сокет
+    this.tcpSocket.write(data, () => {
+      if (delay > 0) {
+        setTimeout(() => this.grantCredit(data.length), delay);
+      } else {
+        this.grantCredit(data.length);
+      }
+    });
+  }
+  
+  grantCredit(length) {
+    if (!this.flowControl || this.closed) return;
+    
+    this.receiveOutstanding -= length;
+    this.pendingCredit += length;
+    if (this.pendingCredit < framing.DEFAULT_WINDOW / 4) return;
+    if (this.clientWs.readyState !== WebSocket.OPEN) return;
+    
+    const credit = this.pendingCredit;
+    this.pendingCredit = 0;
+    this.creditGranted += credit;
+    
+    if (this.isBinary()) {
+      this.clientWs.send(framing.encodeWindowUpdate(this.streamId, credit));
+    } else {
+      this.clientWs.send(JSON.stringify({
+        type: 'tunnel_window',
+        tunnelId: this.tunnelId,
+        credit: credit
+      }));
     }
   }
   
-  close() {
+  close(error) {
+    if (this.closed) return;
+    this.closed = true;
+    clearTimeout(this.shapeTimer);
+    this.log.info('Tunnel closed', { error, bytesUp: this.counters.bytesUp, bytesDown: this.counters.bytesDown });
+    if (this.connected) auditTunnelClose(this, error);
+    
     if (this.tcpSocket) {
       this.tcpSocket.destroy();
     }
     tunnels.delete(this.tunnelId);
     
-    // Уведомляем клиента
-    this.clientWs.send(JSON.stringify({
-      type: 'tunnel_close',
-      tunnelId: this.tunnelId
-    }));
-  }
-}
-
-// HTTP endpoints
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: 'full-vpn-server',
-    region: 'Oregon (US West)',
-    uptime: process.uptime(),
-    timestamp: new Date().toISOString(),
-    clients: clients.size,
-    tunnels: tunnels.size,
-    encryption: 'AES-256-GCM'
-  });
-});
-
-app.get('/stats', (req, res) => {
-  const clientList = Array.from(clients.values()).map(client => ({
-    id: client.id,
-    ip: client.ip,
-    connectedAt: client.connectedAt,
-    authenticated: client.authenticated,
-    tunnels: client.tunnels || []
-  }));
-  
-  res.json({
-    server: {
-      region: 'Oregon (US West)',
-      hostname: process.env.RENDER_EXTERNAL_HOSTNAME || req.hostname,
-      uptime: process.uptime(),
-      memory: process.memoryUsage()
-    },
-    clients: clientList,
-    activeTunnels: tunnels.size
-  });
-});
-
-app.get('/client.js', (req, res) => {
-  res.setHeader('Content-Type', 'application/javascript');
-  res.send(`
-    // WebSocket VPN клиент для браузера
-    class BrowserVPNClient {
-      constructor(serverUrl) {
-        this.serverUrl = serverUrl || 'wss://' + window.location.host + '/vpn';
-        this.ws = null;
-        this.connected = false;
-        this.clientId = null;
-        this.tunnels = new Map();
-      }
-      
-      connect() {
-        return new Promise((resolve, reject) => {
-          this.ws = new WebSocket(this.serverUrl);
-          
-          this.ws.onopen = () => {
-            this.connected = true;
-            resolve();
-          };
-          
-          this.ws.onmessage = (event) => {
-            this.handleMessage(JSON.parse(event.data));
-          };
-          
-          this.ws.onerror = reject;
-          this.ws.onclose = () => {
-            this.connected = false;
-          };
-        });
-      }
-      
-      handleMessage(message) {
-        console.log('VPN:', message);
-        // Здесь будет обработка сообщений
-      }
-      
-      authenticate(token) {
-        this.send({
-          type: 'auth',
-          token: token
-        });
-      }
+    const client = clients.get(this.clientId);
+    if (client) {
+      client.streams.delete(this.streamId);
       
-      send(data) {
-        if (this.connected) {
-          this.ws.send(JSON.stringify(data));
-        }
+      // Сессия ждет переподключения: остаток данных и tunnel_close будут отправлены после resume
+      if (client.detachedAt && this.unacked) {
+        client.closedTunnels.set(this.tunnelId, { tunnel: this, error });
+        return;
       }
     }
     
-    // Экспорт для использования
-    window.VPNClient = BrowserVPNClient;
-  `);
-});
-
-app.get('/', (req, res) => {
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Full VPN Server - Oregon</title>
-      <style>
-        body { font-family: Arial, sans-serif; margin: 40px; }
-        .container { max-width: 1000px; margin: 0 auto; }
-        .panel { background: #f5f5f5; padding: 20px; border-radius: 5px; margin-bottom: 20px; }
-        .status { background: #e8f5e9; }
-        .controls { background: #e3f2fd; }
-        code { background: #fff; padding: 2px 5px; border-radius: 3px; }
-        button { margin: 5px; padding: 8px 15px; background: #2196F3; color: white; border: none; border-radius: 3px; cursor: pointer; }
-        button:hover { background: #1976D2; }
-        .log { background: #000; color: #0f0; padding: 10px; font-family: monospace; height: 300px; overflow-y: scroll; }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <h1>🚀 Full VPN Server - Oregon (US West)</h1>
-        
-        <div class="panel status">
-          <h3>Server Status</h3>
-          <p><strong>URL:</strong> <code id="serverUrl">wss://${req.hostname}/vpn</code></p>
-          <p><strong>Clients:</strong> <span id="clientCount">0</span></p>
-          <p><strong>Tunnels:</strong> <span id="tunnelCount">0</span></p>
-          <p><strong>Encryption:</strong> AES-256-GCM</p>
-        </div>
-        
-        <div class="panel controls">
-          <h3>VPN Controls</h3>
-          <button onclick="connectVPN()">Connect VPN</button>
-          <button onclick="disconnectVPN()">Disconnect</button>
-          <button onclick="createTunnel()">Create Tunnel to Google</button>
-          <button onclick="testPing()">Test Ping</button>
-        </div>
-        
-        <div class="panel">
-          <h3>Log</h3>
-          <div id="log" class="log"></div>
-        </div>
-        
-        <div class="panel">
-          <h3>Node.js Client Example</h3>
-          <pre><code>const VPNClient = require('./client.js');
-const client = new VPNClient('wss://${req.hostname}/vpn');
-
-await client.connect();
-await client.authenticate('your-token');
-await client.createTunnel('google.com', 80);</code></pre>
-        </div>
-      </div>
-      
-      <script src="/client.js"></script>
-      <script>
-        let vpnClient = null;
-        
-        function log(message) {
-          const logDiv = document.getElementById('log');
-          logDiv.innerHTML += '> ' + message + '\\n';
-          logDiv.scrollTop = logDiv.scrollHeight;
-        }
-        
-        async function connectVPN() {
-          try {
-            vpnClient = new VPNClient();
-            await vpnClient.connect();
-            log('✅ Connected to VPN server');
-            vpnClient.authenticate('browser-client');
-            updateStats();
-          } catch (error) {
-            log('❌ Connection failed: ' + error.message);
-          }
-        }
-        
-        function disconnectVPN() {
-          if (vpnClient && vpnClient.ws) {
-            vpnClient.ws.close();
-            log('🔌 Disconnected from VPN');
-          }
-        }
-        
-        function createTunnel() {
-          if (vpnClient && vpnClient.connected) {
-            vpnClient.send({
-              type: 'create_tunnel',
-              targetHost: 'www.google.com',
-              targetPort: 80
-            });
-            log('🔄 Creating tunnel to google.com:80');
-          }
-        }
-        
-        function testPing() {
-          if (vpnClient && vpnClient.connected) {
-            vpnClient.send({
-              type: 'ping',
-              timestamp: Date.now()
-            });
-            log('🏓 Sending ping...');
-          }
-        }
-        
-        function updateStats() {
-          fetch('/stats')
-            .then(r => r.json())
-            .then(data => {
-              document.getElementById('clientCount').textContent = data.clients.length;
-              document.getElementById('tunnelCount').textContent = data.activeTunnels;
-            });
-        }
-        
-        // Auto-update stats
-        setInterval(updateStats, 3000);
-        updateStats();
-      </script>
-    </body>
-    </html>
-  `);
-});
-
-// Create HTTP server
-const server = app.listen(PORT, () => {
-  console.log(`🚀 Full VPN server running on port ${PORT}`);
-  console.log(`🌐 Web interface: http://localhost:${PORT}`);
-  console.log(`🔗 WebSocket endpoint: ws://localhost:${PORT}/vpn`);
-  console.log(`🔒 Encryption key: ${ENCRYPTION_KEY.substring(0, 16)}...`);
-});
-
-// WebSocket server
-const wss = new WebSocket.Server({ server, path: '/vpn' });
-
-wss.on('connection', (ws, req) => {
-  const clientId = crypto.randomBytes(8).toString('hex');
-  const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
+    this.sendClose(error);
+  }
   
-  console.log(`🔌 New VPN client: ${clientId} from ${clientIp}`);
+  // Уведомляем клиента (код ошибки нужен клиенту, если туннель не успел открыться)
+  sendClose(error) {
+    if (this.clientWs.readyState === WebSocket.OPEN) {
+      this.clientWs.send(JSON.stringify({
+        type: 'tunnel_close',
+        tunnelId: this.tunnelId,
+        requestId: this.requestId,
+        error: error ? { code: error.code || 'ERROR', message: error.message } : undefined
+      }));
+    }
+  }
+}
+
+// UDP ассоциация (аналог SOCKS5 UDP ASSOCIATE): адрес назначения указывается
+// в каждой датаграмме (framing.encodeDatagram), каждый адрес проверяется политикой.
+// Ответы принимаются только от адресов, куда клиент уже отправлял датаграммы.
+// Управления потоком нет: при превышении скорости пользователя датаграммы отбрасываются.
+class UDPTunnel {
+  constructor(clientId, clientWs, options = {}) {
+    this.clientId = clientId;
+    this.clientWs = clientWs;
+    this.requestId = options.requestId;
+    this.streamId = options.streamId;
+    this.user = options.user;
+    this.username = options.user.username;
+    this.tunnelId = crypto.randomBytes(8).toString('hex');
+    this.protocol = 'udp';
+    this.targetHost = '*';
+    this.targetPort = '*';
+    this.closed = false;
+    this.openedAt = new Date();
+    this.counters = createCounters();
+    this.log = logger.child({ clientId: clientId, user: this.username, tunnelId: this.tunnelId });
+    
+    this.sockets = {};
+    this.destinations = new Map();
+    this.peers = new Set();
+    this.idleTimer = null;
+    this.touch();
+  }
   
-  const clientInfo = {
-    id: clientId,
-    ws: ws,
-    ip: clientIp,
-    connectedAt: new Date(),
-    authenticated: false,
-    tunnels: []
-  };
+  touch() {
+    this.lastActivity = Date.now();
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      const error = new Error('UDP association idle timeout');
+      error.code = 'ETIMEDOUT';
+      this.close(error);
+    }, config.tunnels.udpIdleTimeout * 1000);
+  }
   
-  clients.set(clientId, clientInfo);
+  // Отдельный сокет для IPv4 и IPv6, создается при первой датаграмме
+  socket(family) {
+    const type = family === 6 ? 'udp6' : 'udp4';
+    if (this.sockets[type]) return this.sockets[type];
+    
+    const socket = dgram.createSocket(type);
+    socket.on('message', (data, rinfo) => this.receive(data, rinfo));
+    socket.on('error', (error) => {
+      this.log.warn('UDP socket error', { error });
+      this.close(error);
+    });
+    
+    this.sockets[type] = socket;
+    return socket;
+  }
   
-  // Send welcome with encryption info
-  ws.send(JSON.stringify({
-    type: 'welcome',
-    clientId: clientId,
-    server: 'full-vpn-oregon',
-    region: 'Oregon (US West)',
-    encryption: 'AES-256-GCM',
-    timestamp: new Date().toISOString(),
-    endpoints: {
-      health: '/health',
-      stats: '/stats'
+  // Проверка политикой один раз на адрес, дальше используется закрепленный IP
+  resolve(host, port) {
+    const key = `${host}:${port}`;
+    if (!this.destinations.has(key)) {
+      const destination = accessPolicy.check(this.user, host, port);
+      destination.catch(() => this.destinations.delete(key));
+      this.destinations.set(key, destination);
     }
-  }));
+    return this.destinations.get(key);
+  }
   
-  ws.on('message', async (data) => {
+  // У UDP нет окна, WINDOW_UPDATE игнорируется
+  addCredit() {}
+  
+  // Датаграмма от клиента
+  async send(payload) {
+    if (this.closed) return;
+    
+    const datagram = framing.decodeDatagram(payload);
+    if (!datagram || !(datagram.port > 0)) {
+      this.log.warn('Invalid datagram');
+      return;
+    }
+    this.touch();
+    
+    let destination;
     try {
-      const message = JSON.parse(data.toString());
-      await handleClientMessage(clientId, message);
+      destination = await this.resolve(datagram.host, datagram.port);
     } catch (error) {
-      console.log(`❌ Invalid message from ${clientId}:`, error.message);
+      const client = clients.get(this.clientId);
+      if (error.code === 'POLICY_DENIED' && client) {
+        auditDenied(client, 'udp', error);
+      } else {
+        this.log.warn('UDP destination lookup failed', { target: `${datagram.host}:${datagram.port}`, error });
+      }
+      return;
     }
-  });
+    
+    if (this.closed) return;
+    if (!rateLimiter.police(this.username, 'up', datagram.data.length)) return;
+    
+    recordTraffic(clients.get(this.clientId), this, 'up', datagram.data.length);
+    if (this.closed) return;
+    
+    this.peers.add(`${destination.address}:${datagram.port}`);
+    this.socket(destination.family).send(datagram.data, datagram.port, destination.address, (error) => {
+      if (error) this.log.warn('UDP send failed', { target: `${datagram.host}:${datagram.port}`, error });
+    });
+  }
   
-  ws.on('close', () => {
-    console.log(`🔌 VPN client disconnected: ${clientId}`);
+  // Датаграмма от удаленного узла
+  receive(data, rinfo) {
+    if (this.closed || this.clientWs.readyState !== WebSocket.OPEN) return;
+    if (!this.peers.has(`${rinfo.address}:${rinfo.port}`)) return;
+    if (!rateLimiter.police(this.username, 'down', data.length)) return;
+    
+    this.touch();
+    const client = clients.get(this.clientId);
+    const encrypted = cipherFor(client).encrypt(framing.encodeDatagram(rinfo.address, rinfo.port, data));
     
-    // Close all tunnels for this client
-    clientInfo.tunnels.forEach(tunnelId => {
-      const tunnel = tunnels.get(tunnelId);
-      if (tunnel) {
-        tunnel.close();
+    if (client && client.framing) {
+      this.clientWs.send(framing.encodeFrame(
+        framing.FRAME_TYPES.DATA, this.streamId, encrypted, framing.FLAGS.ENCRYPTED
+      ));
+    } else {
+      this.clientWs.send(JSON.stringify({
+        type: 'tunnel_data',
+        tunnelId: this.tunnelId,
+        data: encrypted.toString('base64')
+      }));
+    }
+    
+    recordTraffic(client, this, 'down', data.length);
+  }
+  
+  close(error) {
+    if (this.closed) return;
+    this.closed = true;
+    clearTimeout(this.idleTimer);
+    
+    Object.values(this.sockets).forEach(socket => socket.close());
+    tunnels.delete(this.tunnelId);
+    this.log.info('UDP tunnel closed', { error, bytesUp: this.counters.bytesUp, bytesDown: this.counters.bytesDown });
+    auditTunnelClose(this, error);
+    
+    const client = clients.get(this.clientId);
+    if (client) {
+      client.streams.delete(this.streamId);
+    }
+    
+    if (this.clientWs.readyState === WebSocket.OPEN) {
+      this.clientWs.send(JSON.stringify({
+        type: 'tunnel_close',
+        tunnelId: this.tunnelId,
+        requestId: this.requestId,
+        error: error ? { code: error.code || 'ERROR', message: error.message } : undefined
+      }));
+    }
+  }
+}
+
+// Туннель IP пакетов (tun_attach): клиент получает адрес из tun.pool, пакеты
+// передаются как есть в DATA кадрах (или tunnel_data) и уходят в TUN устройство сервера.
+// От клиента принимаются только пакеты с его адресом источника; адрес и порт
+// назначения проверяются политикой, решение запоминается. Как у UDP, управления
+// потоком нет: при превышении скорости пакеты отбрасываются.
+class TUNTunnel {
+  constructor(clientId, clientWs, options = {}) {
+    this.clientId = clientId;
+    this.clientWs = clientWs;
+    this.requestId = options.requestId;
+    this.streamId = options.streamId;
+    this.user = options.user;
+    this.username = options.user.username;
+    this.address = options.address;
+    this.tunnelId = crypto.randomBytes(8).toString('hex');
+    this.protocol = 'tun';
+    this.targetHost = '*';
+    this.targetPort = '*';
+    this.closed = false;
+    this.openedAt = new Date();
+    this.lastActivity = Date.now();
+    this.counters = createCounters();
+    this.log = logger.child({ clientId: clientId, user: this.username, tunnelId: this.tunnelId, address: this.address });
+    
+    // "протокол:адрес:порт" -> разрешен ли пакет
+    this.decisions = new Map();
+  }
+  
+  // У TUN нет окна, WINDOW_UPDATE игнорируется
+  addCredit() {}
+  
+  allowed(header) {
+    const key = `${header.protocol}:${header.destination}:${header.port}`;
+    if (this.decisions.has(key)) return this.decisions.get(key);
+    if (this.decisions.size >= TUN_DECISIONS_LIMIT) this.decisions.clear();
+    
+    const decision = accessPolicy.evaluate(this.user, null, header.destination, header.port);
+    this.decisions.set(key, decision.allowed);
+    
+    const client = clients.get(this.clientId);
+    if (!decision.allowed && client) {
+      const target = `${header.destination}:${header.port}`;
+      const error = new Error(`Destination ${target} denied by policy (${decision.rule})`);
+      error.code = 'POLICY_DENIED';
+      error.rule = decision.rule;
+      error.target = target;
+      auditDenied(client, 'tun', error);
+    }
+    return decision.allowed;
+  }
+  
+  // Пакет от клиента
+  send(packet) {
+    if (this.closed) return;
+    
+    const header = tun.parseIPv4(packet);
+    if (!header || header.source !== this.address) {
+      this.log.debug('Dropped packet with foreign source', { source: header ? header.source : null });
+      return;
+    }
+    if (!this.allowed(header)) return;
+    if (!rateLimiter.police(this.username, 'up', packet.length)) return;
+    
+    recordTraffic(clients.get(this.clientId), this, 'up', packet.length);
+    if (this.closed) return;
+    
+    this.lastActivity = Date.now();
+    if (tunDevice) tunDevice.write(packet);
+  }
+  
+  // Пакет из TUN устройства к адресу клиента
+  receive(packet) {
+    if (this.closed || this.clientWs.readyState !== WebSocket.OPEN) return;
+    if (!rateLimiter.police(this.username, 'down', packet.length)) return;
+    
+    this.lastActivity = Date.now();
+    const client = clients.get(this.clientId);
+    const encrypted = cipherFor(client).encrypt(packet);
+    
+    if (client && client.framing) {
+      this.clientWs.send(framing.encodeFrame(
+        framing.FRAME_TYPES.DATA, this.streamId, encrypted, framing.FLAGS.ENCRYPTED
+      ));
+    } else {
+      this.clientWs.send(JSON.stringify({
+        type: 'tunnel_data',
+        tunnelId: this.tunnelId,
+        data: encrypted.toString('base64')
+      }));
+    }
+    
+    recordTraffic(client, this, 'down', packet.length);
+  }
+  
+  close(error) {
+    if (this.closed) return;
+    this.closed = true;
+    
+    tunRoutes.delete(this.address);
+    tunPool.release(this.address);
+    tunnels.delete(this.tunnelId);
+    this.log.info('TUN tunnel closed', { error, bytesUp: this.counters.bytesUp, bytesDown: this.counters.bytesDown });
+    auditTunnelClose(this, error);
+    
+    const client = clients.get(this.clientId);
+    if (client) {
+      client.streams.delete(this.streamId);
+    }
+    
+    if (this.clientWs.readyState === WebSocket.OPEN) {
+      this.clientWs.send(JSON.stringify({
+        type: 'tunnel_close',
+        tunnelId: this.tunnelId,
+        requestId: this.requestId,
+        error: error ? { code: error.code || 'ERROR', message: error.message } : undefined
+      }));
+    }
+  }
+}
+
+// Решения политики, запоминаемые одним TUN туннелем
+const TUN_DECISIONS_LIMIT = 10000;
+
+// TUN устройство сервера (tun.enabled): адрес шлюза - первый в tun.pool, пакеты
+// к адресам клиентов уходят их TUNTunnel. С tun.nat пакеты из пула выходят
+// в сеть через MASQUERADE
+const tunPool = new IpPool(config.tun.pool);
+const tunRoutes = new Map();
+let tunDevice = null;
+
+async function startTunDevice() {
+  const { device: requestedName, mtu, nat, outInterface } = config.tun;
+  const device = new tun.TunDevice(requestedName);
+  
+  try {
+    const name = await device.open();
+    await tun.configureInterface(name, { address: tunPool.gateway, prefix: tunPool.prefix, mtu });
+  } catch (error) {
+    logger.error('TUN mode unavailable', { error });
+    device.close();
+    return;
+  }
+  
+  if (nat) {
+    try {
+      tun.enableForwarding();
+      await tun.enableNat(tunPool.cidr, device.name, outInterface);
+    } catch (error) {
+      logger.warn('NAT for TUN clients not configured', { error });
+    }
+  }
+  
+  device.on('packet', (packet) => {
+    const header = tun.parseIPv4(packet);
+    const tunnel = header && tunRoutes.get(header.destination);
+    if (tunnel) tunnel.receive(packet);
+  });
+  device.on('error', (error) => {
+    logger.error('TUN device failed', { device: device.name, error });
+  });
+  device.on('close', () => {
+    tunDevice = null;
+    tunRoutes.forEach(tunnel => {
+      const error = new Error('TUN device closed');
+      error.code = 'ENETDOWN';
+      tunnel.close(error);
+    });
+  });
+  
+  tunDevice = device;
+  logger.info('TUN device ready', { device: device.name, pool: tunPool.cidr, gateway: tunPool.gateway, mtu, nat });
+}
+
+// Правило NAT удаляется до выхода, интерфейс исчезает вместе с помощником
+function stopTunDevice() {
+  if (!tunDevice) return Promise.resolve();
+  
+  const name = tunDevice.name;
+  tunDevice.close();
+  if (!config.tun.nat) return Promise.resolve();
+  return tun.disableNat(tunPool.cidr, name, config.tun.outInterface).catch(() => {});
+}
+
+if (config.tun.enabled) startTunDevice();
+
+// Адрес клиента для журналов и AuthThrottle: X-Forwarded-For учитывается только
+// от server.trustProxy доверенных прокси
+function remoteIp(req) {
+  return clientAddress(req, config.server.trustProxy);
+}
+
+// HTTP endpoints
+// С сайтом-прикрытием служебные страницы и файлы браузерного клиента выдали бы
+// VPN сервер: запрос обрабатывается дальше, как к несуществующей странице сайта
+function hiddenByCoverSite(req, res, next) {
+  next(config.transport.coverSite ? 'route' : undefined);
+}
+
+app.post('/auth/token', hiddenByCoverSite, async (req, res) => {
+  const ip = remoteIp(req);
+  const retryAfter = authThrottle.retryAfter(ip);
+  if (retryAfter) {
+    metric.auth.inc({ endpoint: 'token', result: 'throttled' });
+    audit.record('auth', { endpoint: 'token', result: 'throttled', ip: ip, user: (req.body || {}).username });
+    res.setHeader('Retry-After', Math.ceil(retryAfter / 1000));
+    res.status(429).json({ error: 'Too many failed attempts', retryAfter: retryAfter });
+    return;
+  }
+  
+  // Ошибка провайдера (файл пользователей, scrypt) - ответ 500, а не необработанный отказ
+  let user;
+  try {
+    user = await passwordProvider.authenticate(req.body || {});
+  } catch (error) {
+    logger.error('Token authentication failed', { ip: ip, error });
+    res.status(500).json({ error: 'Authentication unavailable' });
+    return;
+  }
+  
+  if (!user) {
+    authThrottle.fail(ip);
+    metric.auth.inc({ endpoint: 'token', result: 'failure' });
+    audit.record('auth', { endpoint: 'token', result: 'failure', ip: ip, user: (req.body || {}).username });
+    res.status(401).json({ error: 'Invalid username or password' });
+    return;
+  }
+  authThrottle.succeed(ip);
+  metric.auth.inc({ endpoint: 'token', result: 'success' });
+  audit.record('auth', { endpoint: 'token', result: 'success', ip: ip, user: user.username });
+  
+  res.json({
+    ...tokenProvider.issue(user),
+    user: user.username,
+    permissions: user.permissions
+  });
+});
+
+app.get('/health', hiddenByCoverSite, (req, res) => {
+  res.json({
+    status: 'healthy',
+    service: 'full-vpn-server',
+    region: config.server.region,
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString(),
+    clients: clients.size,
+    tunnels: tunnels.size,
+    encryption: CIPHER_NAME,
+    traffic: serverTraffic
+  });
+});
+
+app.get('/stats', hiddenByCoverSite, async (req, res) => {
+  // IP и пользователи доступны только через admin API
+  const clientList = Array.from(clients.values()).map(client => ({
+    id: client.id,
+    instance: INSTANCE_ID,
+    connectedAt: client.connectedAt,
+    authenticated: client.authenticated,
+    tunnels: client.tunnels || [],
+    traffic: client.counters
+  }));
+  
+  // Клиенты других экземпляров из реестра сессий
+  const remote = (await remoteSessions()).map(session => ({
+    id: session.id,
+    instance: session.instance,
+    connectedAt: session.connectedAt,
+    authenticated: session.authenticated,
+    tunnels: session.tunnels.map(tunnel => tunnel.id),
+    traffic: session.traffic
+  }));
+  const allClients = clientList.concat(remote);
+  
+  res.json({
+    server: {
+      region: config.server.region,
+      hostname: config.server.publicHostname || req.hostname,
+      instance: INSTANCE_ID,
+      uptime: process.uptime(),
+      memory: process.memoryUsage()
+    },
+    instances: Array.from(new Set(allClients.map(client => client.instance).concat(INSTANCE_ID))),
+    clients: allClients,
+    activeTunnels: remote.reduce((count, client) => count + client.tunnels.length, tunnels.size),
+    traffic: serverTraffic
+  });
+});
+
+// Подписанный список серверов для выбора узла клиентом (lib/manifest.js)
+app.get('/servers', hiddenByCoverSite, (req, res) => {
+  const self = {
+    id: config.server.name,
+    url: `${(config.server.publicHostname || req.secure) ? 'wss' : 'ws'}://${config.server.publicHostname || req.get('host')}${config.transport.path}`,
+    region: config.server.region,
+    capabilities: ['tcp', 'udp', 'dns', 'http_proxy'].concat(tunDevice ? ['tun'] : []),
+    identityKey: IDENTITY_KEY.publicKey
+  };
+  
+  // Запись этого сервера в файле дополняется его identity ключом
+  const nodes = serverList.length === 0
+    ? [self]
+    : serverList.map(node => node.id === self.id ? { ...node, identityKey: node.identityKey || self.identityKey } : node);
+  
+  const manifest = createManifest(nodes, { publisher: config.server.name, ttl: config.servers.ttl });
+  res.json(signManifest(manifest, MANIFEST_KEY));
+});
+
+// Prometheus; с metrics.token нужен заголовок Authorization: Bearer <токен>
+app.get('/metrics', hiddenByCoverSite, (req, res) => {
+  const metricsToken = config.metrics.token;
+  if (metricsToken && req.headers.authorization !== `Bearer ${metricsToken}`) {
+    res.status(401).json({ error: 'Metrics token required' });
+    return;
+  }
+  
+  res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
+// Браузерный клиент (VPNClient, vpnFetch) и Service Worker для него - файлы из browser/
+app.get('/client.js', hiddenByCoverSite, (req, res) => {
+  res.sendFile(path.join(__dirname, 'browser', 'vpn-client.js'));
+});
+
+app.get('/vpn-sw.js', hiddenByCoverSite, (req, res) => {
+  res.sendFile(path.join(__dirname, 'browser', 'vpn-sw.js'));
+});
+
+// Протокол /vpn поверх HTTP long-polling для сетей, где WebSocket заблокирован
+if (config.transport.polling) {
+  app.use(config.transport.path, createPollingRouter((socket, req) => {
+    handleConnection(new ObfuscatedSocket(socket, obfuscationKey()), req);
+  }));
+}
+
+// Create HTTP server
+const server = app.listen(config.server.port, config.server.host, () => {
+  const port = server.address().port;
+  logger.info('VPN server listening', {
+    port: port,
+    web: `http://localhost:${port}`,
+    websocket: `ws://localhost:${port}${config.transport.path}`,
+    polling: config.transport.polling,
+    identityKey: IDENTITY_KEY.publicKey,
+    manifestKey: MANIFEST_KEY.publicKey,
+    logLevel: logger.level
+  });
+});
+
+// Admin API на отдельном порту (не публикуется наружу на Render)
+const adminContext = {
+  clients,
+  tunnels,
+  authManager,
+  tokenProvider,
+  userLimits,
+  usageStore,
+  userUsage,
+  audit,
+  state,
+  instanceId: INSTANCE_ID,
+  kick: kickClient,
+  revokeTokens,
+  remoteSessions,
+  authThrottle,
+  serverStats: () => ({
+    name: config.server.name,
+    region: config.server.region,
+    uptime: process.uptime(),
+    memory: process.memoryUsage().rss,
+    clients: clients.size,
+    tunnels: tunnels.size,
+    traffic: serverTraffic
+  }),
+  adminToken: config.admin.token,
+  clientIp: remoteIp
+};
+const adminServer = createAdminApp(adminContext).listen(config.admin.port, config.admin.host, () => {
+  const port = adminServer.address().port;
+  logger.info('Admin API listening', { port: port, url: `http://localhost:${port}/admin` });
+});
+
+// WebSocket server: transport.path (/vpn) - VPN клиенты, /admin/ws - панель администратора
+// (public/index.html, недоступна вместе с сайтом-прикрытием)
+const wss = new WebSocket.Server({ noServer: true, path: config.transport.path });
+const adminSocket = createAdminSocket(adminContext);
+
+server.on('upgrade', (req, socket, head) => {
+  const pathname = req.url.split('?')[0];
+  let target = null;
+  if (pathname === config.transport.path) {
+    target = wss;
+  } else if (pathname === '/admin/ws' && config.admin.dashboard && !config.transport.coverSite) {
+    target = adminSocket;
+  }
+  
+  if (!target) {
+    socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    return;
+  }
+  target.handleUpgrade(req, socket, head, (ws) => target.emit('connection', ws, req));
+});
+
+wss.on('connection', (ws, req) => handleConnection(new ObfuscatedSocket(ws, obfuscationKey()), req));
+
+// Ключ маскировки соединений /vpn (lib/obfuscation.js); без transport.obfuscation
+// маскировка недоступна
+function obfuscationKey() {
+  return config.transport.obfuscation
+    ? deriveKey(config.transport.path, config.transport.obfuscationSecret)
+    : null;
+}
+
+// Первое сообщение соединения с маскировкой - hello: маскированный включает маскировку
+// с параметрами клиента, открытый принимается только без transport.obfuscationSecret.
+// { obfuscation } для welcome; null - соединение закрывается без ответа
+function acceptHello(ws, data, isBinary) {
+  let message = null;
+  try {
+    message = isBinary ? null : JSON.parse(data.toString());
+  } catch (error) {
+    message = null;
+  }
+  if (!message || message.type !== 'hello') return null;
+  
+  if (!ws.obfuscated) {
+    return config.transport.obfuscationSecret ? null : { obfuscation: null };
+  }
+  
+  const obfuscation = negotiateObfuscation(message.obfuscation, config.transport);
+  if (!obfuscation) return null;
+  ws.enable(obfuscation);
+  return { obfuscation };
+}
+
+// ws - WebSocket или сессия long-polling в обертке маскировки (включается hello клиента)
+function handleConnection(ws, req) {
+  const clientId = crypto.randomBytes(8).toString('hex');
+  // После resume соединение обслуживает возобновленную сессию
+  ws.clientId = clientId;
+  const clientIp = remoteIp(req);
+  
+  const clientInfo = {
+    id: clientId,
+    ws: ws,
+    ip: clientIp,
+    log: logger.child({ clientId: clientId }),
+    connectedAt: new Date(),
+    authenticated: false,
+    user: null,
+    tunnels: [],
+    tunnelsOpened: 0,
+    httpRequestCount: 0,
+    counters: createCounters(),
+    httpRequests: new Map(),
+    cipher: null,
+    framing: null,
+    streams: new Map(),
+    nextStreamId: 1,
+    resumeToken: null,
+    detachedAt: null,
+    resumeTimer: null,
+    closedTunnels: new Map(),
+    rtt: new RttStats()
+  };
+  
+  clients.set(clientId, clientInfo);
+  clientInfo.log.info('Client connected', { ip: clientIp });
+  ws.heartbeat = new Heartbeat(ws, {
+    interval: config.heartbeat.interval * 1000,
+    timeout: config.heartbeat.timeout * 1000
+  }, clientInfo.rtt);
+  
+  // Send welcome with encryption info
+  const sendWelcome = (obfuscation) => ws.send(JSON.stringify({
+    type: 'welcome',
+    clientId: clientId,
+    server: config.server.name,
+    region: config.server.region,
+    encryption: CIPHER_NAME,
+    framing: [framing.FRAMING_VERSION],
+    obfuscation: obfuscation,
+    transports: ['websocket'].concat(config.transport.polling ? ['polling'] : []),
+    keyExchange: {
+      version: sessionCrypto.KEY_EXCHANGE_VERSION,
+      curve: 'x25519',
+      identityKey: IDENTITY_KEY.publicKey
+    },
+    timestamp: new Date().toISOString(),
+    // С сайтом-прикрытием служебные страницы не отвечают
+    endpoints: config.transport.coverSite ? undefined : {
+      health: '/health',
+      stats: '/stats',
+      servers: '/servers',
+      metrics: '/metrics'
+    }
+  }));
+  
+  // С маскировкой первым пишет клиент, и welcome - ответ на hello: маскированным
+  // соединение остается с первого байта. Без hello соединение закрывается по таймауту
+  let welcomed = false;
+  let helloTimer = null;
+  if (config.transport.obfuscation) {
+    helloTimer = setTimeout(() => ws.terminate(), config.heartbeat.timeout * 1000);
+  } else {
+    sendWelcome(null);
+    welcomed = true;
+  }
+  
+  ws.on('message', async (data, isBinary) => {
+    if (!welcomed) {
+      clearTimeout(helloTimer);
+      const hello = acceptHello(ws, data, isBinary);
+      if (!hello) {
+        clientInfo.log.info('Connection without valid hello closed', { obfuscated: ws.obfuscated });
+        ws.terminate();
+        return;
+      }
+      welcomed = true;
+      sendWelcome(hello.obfuscation);
+      return;
+    }
+    
+    if (isBinary) {
+      handleClientFrame(ws.clientId, data);
+      return;
+    }
+    
+    try {
+      const message = JSON.parse(data.toString());
+      const endTimer = metric.messages.startTimer({
+        type: MESSAGE_TYPES.has(message.type) ? message.type : 'unknown'
+      });
+      await handleClientMessage(ws.clientId, message);
+      endTimer();
+    } catch (error) {
+      logger.warn('Invalid message', { clientId: ws.clientId, error });
+    }
+  });
+  
+  ws.on('close', (code) => {
+    clearTimeout(helloTimer);
+    const client = clients.get(ws.clientId);
+    // Сессия уже перешла на новое соединение
+    if (!client || client.ws !== ws) return;
+    
+    client.log.info('Client disconnected', { code });
+    
+    // Обрыв связи: сессия ждет переподключения; закрытие клиентом или администратором - нет
+    if (client.resumeToken && code !== CLOSE_NORMAL && code !== CLOSE_KICKED) {
+      detachClient(client);
+    } else {
+      endSession(client);
+    }
+  });
+  
+  ws.on('error', (error) => {
+    logger.warn('WebSocket error', { clientId: ws.clientId, error });
+  });
+}
+
+// Сессия без WebSocket: TCP туннели с управлением потоком ждут resume (чтение из
+// TCP приостановлено), остальное закрывается - TCP без окна, UDP и TUN (датаграммы
+// без связи некуда доставить, а сокеты и адрес из пула заняты до конца ожидания)
+function detachClient(client) {
+  client.detachedAt = new Date();
+  client.log.info('Session waiting for resume', { grace: config.tunnels.resumeGrace });
+  
+  client.httpRequests.forEach(upstream => upstream.destroy());
+  client.httpRequests.clear();
+  
+  client.tunnels.forEach(tunnelId => {
+    const tunnel = tunnels.get(tunnelId);
+    if (!tunnel) return;
+    
+    if (tunnel.unacked) {
+      tunnel.updateFlow();
+    } else {
+      tunnel.close();
+    }
+  });
+  
+  client.resumeTimer = setTimeout(() => {
+    client.log.info('Session expired');
+    endSession(client);
+  }, config.tunnels.resumeGrace * 1000);
+}
+
+function endSession(client) {
+  clearTimeout(client.resumeTimer);
+  if (client.resumeToken) resumeSessions.delete(client.resumeToken);
+  
+  // Close all tunnels for this client
+  client.tunnels.forEach(tunnelId => {
+    const tunnel = tunnels.get(tunnelId);
+    if (tunnel) {
+      tunnel.close();
+    }
+  });
+  client.closedTunnels.clear();
+  
+  // Abort streaming HTTP proxy requests
+  client.httpRequests.forEach(upstream => upstream.destroy());
+  client.httpRequests.clear();
+  
+  if (client.user) {
+    usageStore.record({
+      user: client.user.username,
+      clientId: client.id,
+      ip: client.ip,
+      connectedAt: client.connectedAt,
+      counters: client.counters,
+      tunnels: client.tunnelsOpened,
+      httpRequests: client.httpRequestCount
+    });
+  }
+  
+  clients.delete(client.id);
+  if (client.authenticated) {
+    state.removeSession(client.id).catch(error => {
+      logger.warn('Cannot remove session from registry', { clientId: client.id, error });
+    });
+  }
+}
+
+// Переносит сессию session на соединение временного клиента client.
+// known - tunnelId -> { received, credited } (получено байт и выдано кредита клиентом)
+// для туннелей, которые клиент помнит
+function resumeSession(session, client, known, requestId) {
+  const oldWs = session.ws;
+  
+  clearTimeout(session.resumeTimer);
+  session.resumeTimer = null;
+  session.detachedAt = null;
+  session.ws = client.ws;
+  session.ip = client.ip;
+  session.cipher = client.cipher;
+  session.framing = client.framing;
+  session.ws.clientId = session.id;
+  session.ws.heartbeat.stats = session.rtt;
+  clients.delete(client.id);
+  
+  // Сервер мог еще не заметить обрыв старого соединения
+  if (oldWs.readyState !== WebSocket.CLOSED) oldWs.terminate();
+  
+  resumeSessions.delete(session.resumeToken);
+  session.resumeToken = generateResumeToken();
+  resumeSessions.set(session.resumeToken, session.id);
+  
+  const resumed = [];
+  session.tunnels.forEach(tunnelId => {
+    const tunnel = tunnels.get(tunnelId);
+    if (!tunnel) return;
+    
+    tunnel.clientWs = session.ws;
+    if (known.has(tunnelId)) {
+      resumed.push(tunnel);
+    } else {
+      tunnel.close();
+    }
+  });
+  session.tunnels = session.tunnels.filter(tunnelId => tunnels.has(tunnelId));
+  
+  // Туннели, закрывшиеся без связи: остаток данных и tunnel_close
+  const finished = Array.from(session.closedTunnels.values()).filter(({ tunnel }) => known.has(tunnel.tunnelId));
+  session.closedTunnels.clear();
+  finished.forEach(({ tunnel }) => {
+    tunnel.clientWs = session.ws;
+  });
+  
+  session.ws.send(JSON.stringify({
+    type: 'resumed',
+    requestId: requestId,
+    clientId: session.id,
+    resumeToken: session.resumeToken,
+    tunnels: resumed.concat(finished.map(entry => entry.tunnel)).map(tunnel => ({
+      tunnelId: tunnel.tunnelId,
+      received: tunnel.received || 0,
+      credited: tunnel.creditGranted || 0
+    }))
+  }));
+  
+  const dataLost = () => {
+    const error = new Error('Tunnel data lost while reconnecting');
+    error.code = 'ERESUME';
+    return error;
+  };
+  
+  resumed.forEach(tunnel => {
+    const state = known.get(tunnel.tunnelId);
+    if (tunnel.replay && !tunnel.replay(state.received, state.credited)) tunnel.close(dataLost());
+  });
+  finished.forEach(({ tunnel, error }) => {
+    const missing = tunnel.unacked.since(known.get(tunnel.tunnelId).received);
+    if (!missing) {
+      tunnel.sendClose(dataLost());
+      return;
+    }
+    if (missing.length > 0) tunnel.sendToClient(missing);
+    tunnel.sendClose(error);
+  });
+  
+  session.log.info('Session resumed', { tunnels: resumed.length, ip: session.ip });
+}
+
+async function handleClientMessage(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client || !client.ws) return;
+  
+  client.log.debug('Message received', { type: message.type });
+  
+  switch (message.type) {
+    case 'auth':
+      // После серии неудачных попыток IP временно блокируется
+      const authRetryAfter = authThrottle.retryAfter(client.ip);
+      if (authRetryAfter) {
+        metric.auth.inc({ endpoint: 'ws', result: 'throttled' });
+        audit.record('auth', { endpoint: 'ws', result: 'throttled', clientId: clientId, ip: client.ip, user: message.username });
+        client.ws.send(JSON.stringify({
+          type: 'auth_failed',
+          requestId: message.requestId,
+          code: 'RATE_LIMITED',
+          retryAfter: authRetryAfter,
+          reason: 'Too many failed attempts'
+        }));
+        return;
+      }
+      
+      // Токен, API ключ или логин/пароль - см. authManager
+      const user = await authManager.authenticate({
+        token: message.token,
+        username: message.username,
+        password: message.password
+      });
+      
+      if (user) {
+        authThrottle.succeed(client.ip);
+        metric.auth.inc({ endpoint: 'ws', result: 'success' });
+        client.authenticated = true;
+        client.user = user;
+        client.log = logger.child({ clientId: clientId, user: user.username });
+        client.log.info('Client authenticated', { provider: user.provider });
+        audit.record('auth', {
+          endpoint: 'ws',
+          result: 'success',
+          clientId: clientId,
+          ip: client.ip,
+          user: user.username,
+          provider: user.provider
+        });
+        
+        // Токен для возобновления сессии после обрыва (сообщение resume)
+        if (client.resumeToken) resumeSessions.delete(client.resumeToken);
+        client.resumeToken = generateResumeToken();
+        resumeSessions.set(client.resumeToken, clientId);
+        
+        client.ws.send(JSON.stringify({
+          type: 'auth_success',
+          requestId: message.requestId,
+          clientId: clientId,
+          user: user.username,
+          permissions: user.permissions,
+          resumeToken: client.resumeToken,
+          resumeGrace: config.tunnels.resumeGrace
+        }));
+      } else {
+        authThrottle.fail(client.ip);
+        metric.auth.inc({ endpoint: 'ws', result: 'failure' });
+        client.log.warn('Authentication failed', { ip: client.ip });
+        audit.record('auth', { endpoint: 'ws', result: 'failure', clientId: clientId, ip: client.ip, user: message.username });
+        client.ws.send(JSON.stringify({
+          type: 'auth_failed',
+          requestId: message.requestId,
+          reason: 'Invalid credentials'
+        }));
+      }
+      break;
+      
+    case 'resume':
+      // Новое соединение (после negotiate и key_exchange) продолжает сессию с туннелями
+      const sessionId = resumeSessions.get(message.resumeToken);
+      const session = sessionId && clients.get(sessionId);
+      
+      if (!session || session === client || client.authenticated) {
+        client.ws.send(JSON.stringify({
+          type: 'resume_failed',
+          requestId: message.requestId,
+          reason: 'Unknown or expired session'
+        }));
+        return;
+      }
+      
+      const known = new Map((message.tunnels || []).map(entry => [entry.tunnelId, {
+        received: parseInt(entry.received) || 0,
+        credited: parseInt(entry.credited) || 0
+      }]));
+      resumeSession(session, client, known, message.requestId);
+      break;
+      
+    case 'negotiate':
+      // Бинарные кадры для tunnel_data; без согласования остается JSON+base64
+      if (message.framing === framing.FRAMING_VERSION) {
+        client.framing = framing.FRAMING_VERSION;
+      }
+      
+      client.ws.send(JSON.stringify({
+        type: 'negotiated',
+        requestId: message.requestId,
+        framing: client.framing
+      }));
+      break;
+      
+    case 'hello':
+      // Без маскировки welcome уходит сразу, hello клиента ответа не требует
+      break;
+      
+    case 'key_exchange':
+      // Ключи сессии задаются один раз, до открытия туннелей: данные открытых туннелей
+      // уже зашифрованы общим ключом
+      if (client.cipher || client.tunnels.length > 0) {
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          message: client.cipher ? 'Key exchange already completed' : 'Key exchange must precede tunnels'
+        }));
+        return;
+      }
+      
+      try {
+        const serverKeys = sessionCrypto.generateEphemeralKeys();
+        const serverPublicKey = sessionCrypto.exportPublicKey(serverKeys.publicKey);
+        
+        client.cipher = new sessionCrypto.SessionCipher(
+          serverKeys.privateKey, message.publicKey, message.publicKey, serverPublicKey, true
+        );
+        
+        client.ws.send(JSON.stringify({
+          type: 'key_exchange_ok',
+          requestId: message.requestId,
+          publicKey: serverPublicKey,
+          signature: sessionCrypto.signTranscript(IDENTITY_KEY, clientId, message.publicKey, serverPublicKey)
+        }));
+      } catch (error) {
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          message: `Key exchange failed: ${error.message}`
+        }));
+      }
+      break;
+      
+    case 'ping':
+      client.ws.send(JSON.stringify({
+        type: 'pong',
+        requestId: message.requestId,
+        timestamp: message.timestamp,
+        serverTime: Date.now(),
+        latency: Date.now() - message.timestamp
+      }));
+      break;
+      
+    case 'create_tunnel':
+      if (!client.authenticated) {
+        tunnelFailed('tcp', 'EAUTH');
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          message: 'Authentication required'
+        }));
+        return;
+      }
+      
+      if (!hasPermission(client, 'create_tunnel')) {
+        tunnelFailed('tcp', 'EACCES');
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          code: 'EACCES',
+          message: 'Permission denied: create_tunnel'
+        }));
+        return;
+      }
+      
+      const { targetHost } = message;
+      const targetPort = parseInt(message.targetPort);
+      
+      if (!targetHost || !(targetPort > 0 && targetPort < 65536)) {
+        tunnelFailed('tcp', 'EINVAL');
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          code: 'EINVAL',
+          message: 'Invalid tunnel destination'
+        }));
+        return;
+      }
+      
+      let destination;
+      try {
+        destination = await accessPolicy.check(client.user, targetHost, targetPort);
+      } catch (error) {
+        if (error.code === 'POLICY_DENIED') {
+          auditDenied(client, 'tunnel', error);
+        }
+        tunnelFailed('tcp', error.code);
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          code: error.code || 'ERROR',
+          rule: error.rule,
+          message: `Failed to create tunnel: ${error.message}`
+        }));
+        return;
+      }
+      
+      // Клиент мог отключиться, пока шла проверка
+      if (!clients.has(clientId)) return;
+      
+      const limitError = checkTunnelLimits(client.user.username);
+      if (limitError) {
+        tunnelFailed('tcp', limitError.code);
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          code: limitError.code,
+          retryAfter: limitError.retryAfter,
+          message: limitError.message
+        }));
+        return;
+      }
+      
+      try {
+        const streamId = client.nextStreamId++;
+        const tunnel = new TCPTunnel(clientId, targetHost, targetPort, client.ws, {
+          requestId: message.requestId,
+          streamId: streamId,
+          window: parseInt(message.window) || 0,
+          address: destination.address,
+          username: client.user.username
+        });
+        
+        tunnels.set(tunnel.tunnelId, tunnel);
+        client.tunnels.push(tunnel.tunnelId);
+        client.tunnelsOpened++;
+        client.streams.set(streamId, tunnel.tunnelId);
+        
+      } catch (error) {
+        tunnelFailed('tcp', error.code);
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          message: `Failed to create tunnel: ${error.message}`
+        }));
+      }
+      break;
+      
+    case 'create_udp_tunnel':
+      if (!client.authenticated) {
+        tunnelFailed('udp', 'EAUTH');
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          message: 'Authentication required'
+        }));
+        return;
+      }
+      
+      if (!hasPermission(client, 'create_tunnel')) {
+        tunnelFailed('udp', 'EACCES');
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          code: 'EACCES',
+          message: 'Permission denied: create_tunnel'
+        }));
+        return;
+      }
+      
+      const udpLimitError = checkTunnelLimits(client.user.username);
+      if (udpLimitError) {
+        tunnelFailed('udp', udpLimitError.code);
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          code: udpLimitError.code,
+          retryAfter: udpLimitError.retryAfter,
+          message: udpLimitError.message
+        }));
+        return;
+      }
+      
+      const udpStreamId = client.nextStreamId++;
+      const udpTunnel = new UDPTunnel(clientId, client.ws, {
+        requestId: message.requestId,
+        streamId: udpStreamId,
+        user: client.user
+      });
+      
+      tunnels.set(udpTunnel.tunnelId, udpTunnel);
+      client.tunnels.push(udpTunnel.tunnelId);
+      client.tunnelsOpened++;
+      client.streams.set(udpStreamId, udpTunnel.tunnelId);
+      metric.tunnelsOpened.inc({ protocol: 'udp' });
+      udpTunnel.log.info('UDP tunnel opened');
+      auditTunnelOpen(udpTunnel);
+      
+      client.ws.send(JSON.stringify({
+        type: 'udp_tunnel_open',
+        requestId: message.requestId,
+        tunnelId: udpTunnel.tunnelId,
+        streamId: udpStreamId
+      }));
+      break;
+      
+    case 'tun_attach':
+      if (!client.authenticated) {
+        tunnelFailed('tun', 'EAUTH');
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          message: 'Authentication required'
+        }));
+        return;
       }
-    });
-    
-    clients.delete(clientId);
-  });
-  
-  ws.on('error', (error) => {
-    console.log(`⚠️ WebSocket error for ${clientId}:`, error.message);
-  });
-});
-
-async function handleClientMessage(clientId, message) {
-  const client = clients.get(clientId);
-  if (!client || !client.ws) return;
-  
-  console.log(`📨 [${clientId}] ${message.type}`);
-  
-  switch (message.type) {
-    case 'auth':
-      // Simple token-based authentication
-      const validTokens = ['client123', 'browser-client', 'vpn-user'];
-      if (validTokens.includes(message.token)) {
-        client.authenticated = true;
+      
+      if (!hasPermission(client, 'tun')) {
+        tunnelFailed('tun', 'EACCES');
         client.ws.send(JSON.stringify({
-          type: 'auth_success',
-          clientId: clientId,
-          permissions: ['create_tunnel', 'ping', 'stats']
+          type: 'error',
+          requestId: message.requestId,
+          code: 'EACCES',
+          message: 'Permission denied: tun'
         }));
-      } else {
+        return;
+      }
+      
+      if (!tunDevice) {
+        tunnelFailed('tun', 'ENOTSUP');
         client.ws.send(JSON.stringify({
-          type: 'auth_failed',
-          reason: 'Invalid token'
+          type: 'error',
+          requestId: message.requestId,
+          code: 'ENOTSUP',
+          message: 'TUN mode is not enabled on this server'
         }));
+        return;
       }
-      break;
       
-    case 'ping':
+      // Один адрес на сессию
+      const attached = client.tunnels.some(id => tunnels.has(id) && tunnels.get(id).protocol === 'tun');
+      if (attached) {
+        tunnelFailed('tun', 'EEXIST');
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          code: 'EEXIST',
+          message: 'TUN already attached'
+        }));
+        return;
+      }
+      
+      const tunLimitError = checkTunnelLimits(client.user.username);
+      if (tunLimitError) {
+        tunnelFailed('tun', tunLimitError.code);
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          code: tunLimitError.code,
+          retryAfter: tunLimitError.retryAfter,
+          message: tunLimitError.message
+        }));
+        return;
+      }
+      
+      const virtualAddress = tunPool.allocate();
+      if (!virtualAddress) {
+        tunnelFailed('tun', 'EADDRNOTAVAIL');
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          code: 'EADDRNOTAVAIL',
+          message: 'TUN address pool exhausted'
+        }));
+        return;
+      }
+      
+      const tunStreamId = client.nextStreamId++;
+      const tunTunnel = new TUNTunnel(clientId, client.ws, {
+        requestId: message.requestId,
+        streamId: tunStreamId,
+        user: client.user,
+        address: virtualAddress
+      });
+      
+      tunnels.set(tunTunnel.tunnelId, tunTunnel);
+      tunRoutes.set(virtualAddress, tunTunnel);
+      client.tunnels.push(tunTunnel.tunnelId);
+      client.tunnelsOpened++;
+      client.streams.set(tunStreamId, tunTunnel.tunnelId);
+      metric.tunnelsOpened.inc({ protocol: 'tun' });
+      tunTunnel.log.info('TUN tunnel attached');
+      auditTunnelOpen(tunTunnel);
+      
       client.ws.send(JSON.stringify({
-        type: 'pong',
-        timestamp: message.timestamp,
-        serverTime: Date.now(),
-        latency: Date.now() - message.timestamp
+        type: 'tun_attached',
+        requestId: message.requestId,
+        tunnelId: tunTunnel.tunnelId,
+        streamId: tunStreamId,
+        address: virtualAddress,
+        prefix: tunPool.prefix,
+        gateway: tunPool.gateway,
+        mtu: config.tun.mtu
       }));
       break;
       
-    case 'create_tunnel':
+    case 'dns_query':
       if (!client.authenticated) {
         client.ws.send(JSON.stringify({
           type: 'error',
+          requestId: message.requestId,
           message: 'Authentication required'
         }));
         return;
       }
       
-      try {
-        const { targetHost, targetPort } = message;
-        const tunnel = new TCPTunnel(clientId, targetHost, parseInt(targetPort), client.ws);
+      // Сырой DNS запрос: ошибки возвращаются DNS ответом (REFUSED / SERVFAIL)
+      if (message.query) {
+        const query = Buffer.from(message.query, 'base64');
+        let dnsResponse;
         
-        tunnels.set(tunnel.tunnelId, tunnel);
-        client.tunnels.push(tunnel.tunnelId);
+        try {
+          dnsResponse = await dnsResolver.query(client.user, query);
+        } catch (error) {
+          if (error.code === 'POLICY_DENIED') {
+            auditDenied(client, 'dns', error);
+          } else {
+            client.log.warn('DNS query failed', { error });
+          }
+          dnsResponse = dnsWire.errorResponse(query, error.code === 'POLICY_DENIED'
+            ? dnsWire.RCODES.REFUSED
+            : dnsWire.RCODES.SERVFAIL);
+        }
         
+        recordTraffic(client, null, 'up', query.length);
+        recordTraffic(client, null, 'down', dnsResponse.length);
+        client.ws.send(JSON.stringify({
+          type: 'dns_response',
+          requestId: message.requestId,
+          response: dnsResponse.toString('base64')
+        }));
+        break;
+      }
+      
+      try {
+        const result = await dnsResolver.resolveName(client.user, message.name, message.rrtype);
+        client.ws.send(JSON.stringify({
+          type: 'dns_response',
+          requestId: message.requestId,
+          ...result
+        }));
       } catch (error) {
+        if (error.code === 'POLICY_DENIED') auditDenied(client, 'dns', error);
         client.ws.send(JSON.stringify({
           type: 'error',
-          message: `Failed to create tunnel: ${error.message}`
+          requestId: message.requestId,
+          code: error.code,
+          rule: error.rule,
+          message: `DNS query failed: ${error.message}`
         }));
       }
       break;
@@ -470,17 +1934,26 @@ async function handleClientMessage(clientId, message) {
       if (tunnel && tunnel.clientId === clientId) {
         try {
           const data = Buffer.from(message.data, 'base64');
-          const decrypted = VPNEncryption.decrypt(data);
+          const decrypted = cipherFor(client).decrypt(data);
           
           if (decrypted) {
             tunnel.send(decrypted);
           }
         } catch (error) {
-          console.log(`❌ Tunnel data error: ${error.message}`);
+          tunnel.log.warn('Tunnel data error', { error });
         }
       }
       break;
       
+    case 'tunnel_window':
+      if (!client.authenticated) return;
+      
+      const windowTunnel = tunnels.get(message.tunnelId);
+      if (windowTunnel && windowTunnel.clientId === clientId) {
+        windowTunnel.addCredit(parseInt(message.credit) || 0);
+      }
+      break;
+      
     case 'close_tunnel':
       if (!client.authenticated) return;
       
@@ -496,15 +1969,19 @@ async function handleClientMessage(clientId, message) {
     case 'stats':
       const clientTunnels = client.tunnels.map(id => {
         const t = tunnels.get(id);
-        return t ? { id: t.tunnelId, target: `${t.targetHost}:${t.targetPort}` } : null;
+        return t ? { id: t.tunnelId, target: `${t.targetHost}:${t.targetPort}`, traffic: t.counters } : null;
       }).filter(Boolean);
       
       client.ws.send(JSON.stringify({
         type: 'client_stats',
+        requestId: message.requestId,
         clientId: clientId,
         connectedAt: client.connectedAt,
         authenticated: client.authenticated,
         tunnels: clientTunnels,
+        traffic: client.counters,
+        rtt: client.rtt,
+        userTraffic: client.user ? userUsage(client.user.username) : null,
         serverStats: {
           totalClients: clients.size,
           totalTunnels: tunnels.size,
@@ -516,99 +1993,498 @@ async function handleClientMessage(clientId, message) {
     case 'http_proxy':
       if (!client.authenticated) return;
       
-      // HTTP проксирование через VPN
-      try {
-        const { method, url, headers, body } = message;
-        const proxyResult = await proxyHttpRequest(method, url, headers, body);
-        
+      if (!hasPermission(client, 'http_proxy')) {
+        metric.httpRequests.inc({ status: 'EACCES' });
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          code: 'EACCES',
+          message: 'Permission denied: http_proxy'
+        }));
+        return;
+      }
+      
+      const httpQuotaError = checkQuota(client.user.username);
+      if (httpQuotaError) {
+        metric.httpRequests.inc({ status: httpQuotaError.code });
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          code: httpQuotaError.code,
+          message: httpQuotaError.message
+        }));
+        return;
+      }
+      
+      const httpRetryAfter = rateLimiter.hit(client.user.username, 'httpRequestsPerMinute');
+      if (httpRetryAfter) {
+        metric.httpRequests.inc({ status: 'RATE_LIMITED' });
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          requestId: message.requestId,
+          code: 'RATE_LIMITED',
+          retryAfter: httpRetryAfter,
+          message: 'Too many HTTP requests per minute'
+        }));
+        return;
+      }
+      
+      client.httpRequestCount++;
+      
+      // Потоковый режим: тело запроса и ответа передается частями
+      if (message.stream) {
+        startStreamingHttpRequest(client, message);
+        break;
+      }
+      
+      // Ответ целиком в одном http_response (размер ограничен maxResponseBody). Запрос не
+      // ожидается здесь: vpn_message_handling_seconds измеряет обработку сообщения, а не
+      // время ответа внешнего сервера
+      proxyHttpRequest(client, message).then(proxyResult => {
         client.ws.send(JSON.stringify({
           type: 'http_response',
           requestId: message.requestId,
           status: proxyResult.status,
           headers: proxyResult.headers,
+          url: proxyResult.url,
+          redirects: proxyResult.redirects,
           body: proxyResult.body.toString('base64')
         }));
-      } catch (error) {
+      }).catch(error => {
         client.ws.send(JSON.stringify({
           type: 'error',
+          requestId: message.requestId,
+          code: error.code,
+          rule: error.rule,
           message: `HTTP proxy failed: ${error.message}`
         }));
+      });
+      break;
+      
+    case 'http_body_chunk':
+      if (!client.authenticated) return;
+      
+      const requestUpstream = client.httpRequests.get(message.requestId);
+      if (requestUpstream) {
+        const chunk = Buffer.from(message.data, 'base64');
+        recordTraffic(client, null, 'up', chunk.length);
+        requestUpstream.write(chunk);
+      }
+      break;
+      
+    case 'http_body_end':
+      if (!client.authenticated) return;
+      
+      const endedUpstream = client.httpRequests.get(message.requestId);
+      if (endedUpstream) {
+        endedUpstream.end();
+      }
+      break;
+      
+    case 'http_cancel':
+      if (!client.authenticated) return;
+      
+      // Ответа на отмену нет: клиент уже забыл запрос
+      const cancelledUpstream = client.httpRequests.get(message.requestId);
+      if (cancelledUpstream) {
+        client.httpRequests.delete(message.requestId);
+        cancelledUpstream.destroy();
       }
       break;
       
     default:
       client.ws.send(JSON.stringify({
         type: 'error',
+        requestId: message.requestId,
         message: `Unknown command: ${message.type}`
       }));
   }
 }
 
-// HTTP прокси функция
-async function proxyHttpRequest(method, url, headers, body) {
+// Бинарный кадр с данными туннеля (после negotiate)
+function handleClientFrame(clientId, data) {
+  const client = clients.get(clientId);
+  if (!client || !client.authenticated || !client.framing) return;
+  
+  const frame = framing.decodeFrame(data);
+  if (!frame) {
+    client.log.warn('Invalid frame');
+    return;
+  }
+  
+  const tunnel = tunnels.get(client.streams.get(frame.streamId));
+  if (!tunnel) return;
+  
+  if (frame.type === framing.FRAME_TYPES.WINDOW_UPDATE) {
+    tunnel.addCredit(framing.decodeWindowUpdate(frame));
+    return;
+  }
+  
+  if (frame.type !== framing.FRAME_TYPES.DATA) return;
+  
+  const decrypted = cipherFor(client).decrypt(frame.payload);
+  if (decrypted) {
+    tunnel.send(decrypted);
+  }
+}
+
+// Проверяет адрес сайта политикой; возвращает lookup, закрепляющий проверенный IP
+async function checkHttpDestination(user, parsedUrl) {
+  if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+    const error = new Error(`Unsupported protocol ${parsedUrl.protocol}`);
+    error.code = 'EINVAL';
+    throw error;
+  }
+  
+  const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+  const port = parseInt(parsedUrl.port) || (parsedUrl.protocol === 'https:' ? 443 : 80);
+  const destination = await accessPolicy.check(user, hostname, port);
+  
+  return pinnedLookup(destination.address, destination.family);
+}
+
+// Параметры запроса к сайту; клиент может только ужесточить лимиты сервера
+function httpUpstreamOptions(client, message, hasBody) {
+  const limit = (value, max) => value > 0 ? Math.min(value, max) : max;
+  const limits = config.httpProxy;
+  
+  return {
+    method: message.method,
+    url: message.url,
+    headers: message.headers,
+    hasBody: hasBody,
+    redirect: message.redirect || 'manual',
+    maxRedirects: message.maxRedirects >= 0
+      ? Math.min(message.maxRedirects, limits.maxRedirects)
+      : limits.maxRedirects,
+    timeout: limit(message.timeout, limits.timeout * 1000),
+    maxRequestBody: limits.maxRequestBody,
+    maxResponseBody: limit(message.maxResponseSize, limits.maxResponseBody),
+    checkDestination: (parsedUrl) => checkHttpDestination(client.user, parsedUrl)
+  };
+}
+
+// Запрос считается один раз: по статусу ответа или по коду ошибки до ответа
+function trackHttpRequest(client, upstream) {
+  upstream.on('response', (response) => {
+    metric.httpRequests.inc({ status: response.status });
+    client.log.debug('HTTP proxy response', { url: response.url, status: response.status });
+  });
+  upstream.on('error', (error) => {
+    if (!upstream.response) metric.httpRequests.inc({ status: error.code || 'ERROR' });
+    if (error.code === 'POLICY_DENIED') auditDenied(client, 'http', error);
+  });
+}
+
+// Трафик ответа учитывается по частям; исчерпанная квота прерывает запрос
+function recordHttpTraffic(client, upstream, direction, bytes) {
+  recordTraffic(client, null, direction, bytes);
+  
+  const quotaError = checkQuota(client.user.username);
+  if (quotaError) upstream.destroy(quotaError);
+}
+
+// HTTP прокси функция: ответ собирается целиком
+function proxyHttpRequest(client, message) {
+  const body = message.body ? Buffer.from(message.body, 'base64') : null;
+  const upstream = new UpstreamRequest(httpUpstreamOptions(client, message, Boolean(body)));
+  client.httpRequests.set(message.requestId, upstream);
+  trackHttpRequest(client, upstream);
+  
   return new Promise((resolve, reject) => {
-    const parsedUrl = new URL(url);
-    
-    const options = {
-      hostname: parsedUrl.hostname,
-      port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-      path: parsedUrl.pathname + parsedUrl.search,
-      method: method,
-      headers: headers || {}
-    };
-    
-    const protocol = parsedUrl.protocol === 'https:' ? require('https') : http;
-    
-    const req = protocol.request(options, (res) => {
-      const chunks = [];
-      
-      res.on('data', chunk => chunks.push(chunk));
-      res.on('end', () => {
-        resolve({
-          status: res.statusCode,
-          headers: res.headers,
-          body: Buffer.concat(chunks)
-        });
-      });
-    });
+    const chunks = [];
+    let response;
     
-    req.on('error', reject);
+    upstream.on('response', (result) => { response = result; });
+    upstream.on('data', (chunk) => {
+      chunks.push(chunk);
+      recordHttpTraffic(client, upstream, 'down', chunk.length);
+    });
+    upstream.on('end', () => {
+      client.httpRequests.delete(message.requestId);
+      resolve({ ...response, body: Buffer.concat(chunks) });
+    });
+    upstream.on('error', (error) => {
+      client.httpRequests.delete(message.requestId);
+      reject(error);
+    });
+    upstream.on('close', () => {
+      if (!upstream.finished) {
+        const error = new Error('Request cancelled');
+        error.code = 'ECANCELED';
+        reject(error);
+      }
+    });
     
+    upstream.start();
     if (body) {
-      req.write(Buffer.from(body, 'base64'));
+      recordTraffic(client, null, 'up', body.length);
+      upstream.write(body);
+      upstream.end();
     }
-    
-    req.end();
   });
 }
 
-// DNS proxy (опционально)
-async function dnsLookup(hostname) {
-  return new Promise((resolve, reject) => {
-    require('dns').lookup(hostname, (err, address) => {
-      if (err) reject(err);
-      else resolve(address);
+// Потоковое HTTP проксирование: http_response_start -> http_body_chunk* -> http_response_end
+function startStreamingHttpRequest(client, message) {
+  const { requestId } = message;
+  
+  const sendToClient = (payload, callback) => {
+    if (client.ws.readyState === WebSocket.OPEN) {
+      client.ws.send(JSON.stringify({ requestId, ...payload }), callback);
+    }
+  };
+  
+  // Тело запроса может начать приходить до окончания проверки политики
+  const upstream = new UpstreamRequest(httpUpstreamOptions(client, message, Boolean(message.hasBody)));
+  client.httpRequests.set(requestId, upstream);
+  trackHttpRequest(client, upstream);
+  
+  // Чтение ответа приостанавливается, пока в WebSocket слишком много неотправленного
+  let buffered = 0;
+  
+  upstream.on('response', (response) => {
+    sendToClient({ type: 'http_response_start', ...response });
+  });
+  
+  upstream.on('data', (chunk) => {
+    recordHttpTraffic(client, upstream, 'down', chunk.length);
+    
+    buffered += chunk.length;
+    if (buffered > HTTP_SEND_BUFFER) upstream.pause();
+    
+    sendToClient({ type: 'http_body_chunk', data: chunk.toString('base64') }, () => {
+      buffered -= chunk.length;
+      if (buffered <= HTTP_SEND_BUFFER) upstream.resume();
     });
   });
+  
+  upstream.on('end', () => {
+    client.httpRequests.delete(requestId);
+    sendToClient({ type: 'http_response_end' });
+  });
+  
+  upstream.on('error', (error) => {
+    client.httpRequests.delete(requestId);
+    sendToClient({
+      type: 'error',
+      code: error.code,
+      rule: error.rule,
+      message: `HTTP proxy failed: ${error.message}`
+    });
+  });
+  
+  upstream.start();
 }
 
-// Cleanup old tunnels
-setInterval(() => {
+// Cleanup old tunnels; период зависит от tunnels.idleTimeout, который меняется при SIGHUP
+function cleanupTunnels() {
   const now = Date.now();
+  const idleTimeout = config.tunnels.idleTimeout * 1000;
+  
   tunnels.forEach((tunnel, tunnelId) => {
-    // Close tunnels older than 1 hour
-    if (now - tunnel.createdAt > 3600000) {
-      tunnel.close();
+    // Закрываем TCP и TUN туннели без трафика (у UDP свой таймер)
+    if (tunnel.protocol !== 'udp' && now - tunnel.lastActivity > idleTimeout) {
+      const error = new Error('Tunnel idle timeout');
+      error.code = 'ETIMEDOUT';
+      tunnel.close(error);
     }
   });
-}, 60000);
+  authThrottle.prune();
+  
+  setTimeout(cleanupTunnels, Math.min(60000, idleTimeout)).unref();
+}
+setTimeout(cleanupTunnels, Math.min(60000, config.tunnels.idleTimeout * 1000)).unref();
+
+// Отключение клиента администратором или по отзыву токена; сессия, ждущая
+// переподключения, завершается сразу
+function kickClient(client, reason) {
+  if (client.detachedAt) {
+    endSession(client);
+  } else {
+    client.ws.close(CLOSE_KICKED, reason);
+  }
+}
+
+// Сессии других экземпляров; без связи с общим состоянием - пустой список
+async function remoteSessions() {
+  try {
+    return (await state.listSessions()).filter(session => session.instance !== INSTANCE_ID);
+  } catch (error) {
+    logger.warn('Cannot read session registry', { backend: config.state.backend, error });
+    return [];
+  }
+}
+
+// Отзыв на этом экземпляре: клиенты, вошедшие по отозванным токенам, отключаются
+function applyRevocation({ jti, user, before }) {
+  if (jti) tokenProvider.revoke(jti);
+  if (user) tokenProvider.revokeUser(user, before);
+  
+  const kicked = [];
+  clients.forEach(client => {
+    if (!client.user || client.user.provider !== 'token') return;
+    if ((jti && client.user.tokenId === jti) || (user && client.user.username === user)) {
+      kickClient(client, 'Token revoked');
+      kicked.push(client.id);
+    }
+  });
+  return kicked;
+}
+
+// Отзыв из admin API сохраняется в общем состоянии (для новых экземпляров)
+// и рассылается остальным; возвращает отключенных здесь клиентов
+async function revokeTokens({ jti, user, expiresAt }) {
+  const before = Math.floor(Date.now() / 1000);
+  const kicked = applyRevocation({ jti, user, before });
+  
+  if (jti) await state.revokeToken(jti, expiresAt || before + config.auth.tokenTtl);
+  if (user) await state.revokeUser(user, before);
+  await state.publish({ type: 'revoke', jti, user, before });
+  return kicked;
+}
+
+async function loadRevocations() {
+  const { tokens, users } = await state.revocations();
+  tokens.forEach(jti => tokenProvider.revoke(jti));
+  Object.entries(users).forEach(([username, before]) => tokenProvider.revokeUser(username, before));
+}
+
+// События других экземпляров (свои действия уже выполнены)
+function handleStateEvent(event) {
+  if (event.instance === INSTANCE_ID) return;
+  
+  switch (event.type) {
+    case 'kick':
+      const kickedClient = clients.get(event.clientId);
+      if (kickedClient) kickClient(kickedClient, event.reason);
+      break;
+      
+    case 'close_tunnel':
+      const closedTunnel = tunnels.get(event.tunnelId);
+      if (closedTunnel) {
+        const error = new Error(event.reason);
+        error.code = 'EADMIN';
+        closedTunnel.close(error);
+      }
+      break;
+      
+    case 'revoke':
+      applyRevocation(event);
+      break;
+      
+    case 'set_limits':
+      try {
+        userLimits.set(event.user, event.limits);
+      } catch (error) {
+        logger.warn('Invalid limits from another instance', { user: event.user, error });
+      }
+      break;
+  }
+}
+
+// Раз в state.heartbeat: свои сессии в реестр, трафик в общие счетчики квот.
+// Общие итоги заменяют локальные, трафик во время запроса добавляется сверху
+async function syncState() {
+  const local = Array.from(clients.values()).filter(client => client.authenticated);
+  await state.saveSessions(local.map(client => describeClient(client, tunnels)));
+  if (!state.shared) return;
+  
+  // Отзывы, пропущенные при обрыве связи с общим состоянием
+  await loadRevocations();
+  
+  const usernames = new Set(local.map(client => client.user.username).concat(Array.from(unsyncedUsage.keys())));
+  for (const username of usernames) {
+    const bytes = unsyncedUsage.get(username) || 0;
+    unsyncedUsage.delete(username);
+    
+    let totals;
+    try {
+      totals = await state.addUsage(username, bytes);
+    } catch (error) {
+      unsyncedUsage.set(username, (unsyncedUsage.get(username) || 0) + bytes);
+      throw error;
+    }
+    
+    const pending = unsyncedUsage.get(username) || 0;
+    usageStore.setPeriodUsage(username, totals.daily + pending, totals.monthly + pending);
+  }
+}
+
+function scheduleStateSync() {
+  setTimeout(() => {
+    syncState()
+      .catch(error => logger.warn('State sync failed', { backend: config.state.backend, error }))
+      .then(scheduleStateSync);
+  }, config.state.heartbeat * 1000).unref();
+}
+
+state.on('event', handleStateEvent);
+state.on('error', (error) => {
+  logger.warn('State backend error', { backend: config.state.backend, error });
+});
+
+state.start()
+  .then(loadRevocations)
+  .then(() => {
+    logger.info('State backend ready', { backend: config.state.backend, instance: INSTANCE_ID });
+    scheduleStateSync();
+  })
+  .catch(error => {
+    logger.error('State backend unavailable', { backend: config.state.backend, error });
+    process.exit(1);
+  });
+
+// Перезагрузка конфигурации: файлы пользователей, политики и списка серверов
+// перечитываются всегда, изменения параметров без reloadable ждут перезапуска
+process.on('SIGHUP', () => {
+  let reload;
+  try {
+    reload = mergeReload(config, loadConfig().config);
+  } catch (error) {
+    logger.error('Configuration reload failed, keeping current configuration', {
+      errors: error.errors || [error.message]
+    });
+    return;
+  }
+  
+  const previous = config;
+  config = reload.config;
+  
+  logger.setLevel(config.logging.level);
+  userStore.reload(config.auth.usersFile);
+  tokenProvider.ttl = config.auth.tokenTtl;
+  configureApiKeys();
+  userLimits.setDefaults(config.limits.defaults);
+  adminContext.adminToken = config.admin.token;
+  
+  accessPolicy = createPolicy();
+  // Решения TUN туннелей приняты по прежней политике
+  tunnels.forEach(tunnel => {
+    if (tunnel instanceof TUNTunnel) tunnel.decisions.clear();
+  });
+  serverList = loadServerList(config.servers.file);
+  if (JSON.stringify(previous.dns.servers) !== JSON.stringify(config.dns.servers)) {
+    dnsResolver = createDnsResolver();
+  } else {
+    dnsResolver.policy = accessPolicy;
+  }
+  
+  logger.info('Configuration reloaded', { changed: reload.applied });
+  if (reload.restartRequired.length > 0) {
+    logger.warn('Changed settings require a restart', { settings: reload.restartRequired });
+  }
+});
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('🛑 Shutting down VPN server...');
+  logger.info('Shutting down VPN server');
   
-  // Close all WebSocket connections
-  wss.clients.forEach(client => {
+  // Close all WebSocket and long-polling connections
+  clients.forEach(client => {
+    client.ws.close();
+  });
+  adminSocket.clients.forEach(client => {
     client.close();
   });
   
@@ -617,8 +2493,12 @@ process.on('SIGTERM', () => {
     tunnel.close();
   });
   
+  adminServer.close();
   server.close(() => {
-    console.log('✅ VPN server stopped');
-    process.exit(0);
+    state.close();
+    stopTunDevice().then(() => {
+      logger.info('VPN server stopped');
+      process.exit(0);
+    });
   });
 });
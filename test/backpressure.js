@@ -0,0 +1,158 @@
+// test/backpressure.js - Быстрый источник и медленный потребитель: память ограничена
+//
+// Запускает server.js на свободных портах и проверяет оба направления туннеля:
+//   сервер -> клиент: цель пишет без остановки, клиент не читает TunnelStream -
+//     в буфере потока не больше окна, цель останавливается, память сервера не растет;
+//   клиент -> сервер: цель не читает, клиент пишет без остановки - запись в
+//     TunnelStream встает, bufferedAmount WebSocket ограничен.
+// После снятия остановки данные снова идут. Запуск: npm test
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const VPNClient = require('../client');
+const framing = require('../lib/framing');
+const { API_KEY, delay, listen, startServer, run } = require('./helpers');
+
+const CHUNK = 64 * 1024;
+const STALL_TIME = 3000;
+const TEST_TIMEOUT = 60000;
+
+// Данные в пути: окно туннеля, порог WebSocket сервера и буферы ядра на loopback
+const MAX_IN_FLIGHT = 32 * 1024 * 1024;
+const MAX_RSS_GROWTH = 64 * 1024 * 1024;
+
+// VmRSS процесса (Linux); null, если /proc недоступен
+function rssOf(pid) {
+  try {
+    const match = /VmRSS:\s+(\d+) kB/.exec(fs.readFileSync(`/proc/${pid}/status`, 'utf8'));
+    return match ? parseInt(match[1]) * 1024 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Источник с собственным backpressure: пишет, пока сокет принимает данные
+function produce(stream, counter) {
+  const chunk = crypto.randomBytes(CHUNK);
+  const write = () => {
+    while (!stream.destroyed && !counter.stopped) {
+      counter.bytes += chunk.length;
+      if (!stream.write(chunk)) {
+        stream.once('drain', write);
+        return;
+      }
+    }
+  };
+  write();
+}
+
+async function serverToClient(client, server) {
+  const producer = { bytes: 0, stopped: false };
+  const target = net.createServer(socket => {
+    socket.on('error', () => {});
+    produce(socket, producer);
+  });
+  const targetPort = await listen(target);
+
+  const tunnel = await client.createTunnel('127.0.0.1', targetPort);
+  tunnel.pause();
+
+  const rssBefore = rssOf(server.child.pid);
+  await delay(STALL_TIME);
+  const sentWhileStalled = producer.bytes;
+  await delay(STALL_TIME / 3);
+
+  assert.ok(tunnel.flowControl, 'tunnel was opened without a window');
+  assert.ok(tunnel.readableLength <= framing.DEFAULT_WINDOW + CHUNK,
+    `client buffered ${tunnel.readableLength} bytes, window is ${framing.DEFAULT_WINDOW}`);
+  assert.ok(producer.bytes < MAX_IN_FLIGHT, `target wrote ${producer.bytes} bytes to a stalled tunnel`);
+  assert.strictEqual(producer.bytes, sentWhileStalled, 'target kept writing to a stalled tunnel');
+
+  const rssAfter = rssOf(server.child.pid);
+  if (rssBefore !== null && rssAfter !== null) {
+    assert.ok(rssAfter - rssBefore < MAX_RSS_GROWTH, `server RSS grew by ${rssAfter - rssBefore} bytes`);
+  }
+
+  // Потребитель читает - источник продолжает
+  let received = 0;
+  tunnel.on('data', data => { received += data.length; });
+  tunnel.resume();
+  await delay(1000);
+  assert.ok(producer.bytes > sentWhileStalled, 'target did not resume after the consumer read');
+  assert.ok(received > framing.DEFAULT_WINDOW, `client read only ${received} bytes after resuming`);
+
+  producer.stopped = true;
+  tunnel.destroy();
+  target.close();
+  return { stalled: sentWhileStalled, received };
+}
+
+async function clientToServer(client) {
+  let targetSocket = null;
+  let consumed = 0;
+  const target = net.createServer(socket => {
+    targetSocket = socket;
+    socket.on('error', () => {});
+    socket.pause();
+  });
+  const targetPort = await listen(target);
+
+  const tunnel = await client.createTunnel('127.0.0.1', targetPort);
+  const producer = { bytes: 0, stopped: false };
+  produce(tunnel, producer);
+
+  let maxBuffered = 0;
+  const sampler = setInterval(() => {
+    maxBuffered = Math.max(maxBuffered, client.ws.bufferedAmount);
+  }, 10);
+
+  await delay(STALL_TIME);
+  const sentWhileStalled = producer.bytes;
+  await delay(STALL_TIME / 3);
+  clearInterval(sampler);
+
+  assert.ok(producer.bytes < MAX_IN_FLIGHT, `client wrote ${producer.bytes} bytes to a stalled target`);
+  assert.strictEqual(producer.bytes, sentWhileStalled, 'client kept writing to a stalled target');
+  assert.ok(maxBuffered <= framing.DEFAULT_WINDOW + CHUNK,
+    `WebSocket buffered ${maxBuffered} bytes, window is ${framing.DEFAULT_WINDOW}`);
+  assert.ok(tunnel.writableLength <= tunnel.writableHighWaterMark + CHUNK,
+    `tunnel stream buffered ${tunnel.writableLength} bytes`);
+
+  // Цель читает - запись продолжается
+  targetSocket.on('data', data => { consumed += data.length; });
+  targetSocket.resume();
+  await delay(1000);
+  assert.ok(producer.bytes > sentWhileStalled, 'client did not resume after the target read');
+  assert.ok(consumed > framing.DEFAULT_WINDOW, `target read only ${consumed} bytes after resuming`);
+
+  producer.stopped = true;
+  tunnel.destroy();
+  targetSocket.destroy();
+  target.close();
+  return { stalled: sentWhileStalled, consumed };
+}
+
+async function main() {
+  const server = await startServer();
+  const client = new VPNClient(`ws://127.0.0.1:${server.port}/vpn`, {
+    serverKey: server.serverKey,
+    reconnect: false
+  });
+
+  try {
+    await client.connect();
+    await client.authenticate(API_KEY);
+
+    const down = await serverToClient(client, server);
+    console.log(`✅ server -> client: ${down.stalled} bytes in flight while stalled, ${down.received} read after resume`);
+
+    const up = await clientToServer(client);
+    console.log(`✅ client -> server: ${up.stalled} bytes in flight while stalled, ${up.consumed} read after resume`);
+  } finally {
+    client.close();
+    server.child.kill();
+  }
+}
+
+run(main, TEST_TIMEOUT);
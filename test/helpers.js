@@ -0,0 +1,111 @@
+// test/helpers.js - Общее для тестов: свободные порты и запуск server.js
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const API_KEY = crypto.randomBytes(16).toString('hex');
+
+// Запущенные серверы: сторожевой таймер теста завершает их при зависании
+const children = new Set();
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function getJson(port, urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: urlPath }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+// server.js на свободных портах с ключом API_KEY; serverKey - ключ идентичности для клиента
+async function startServer() {
+  const port = await freePort();
+  const adminPort = await freePort();
+  const identityKey = crypto.generateKeyPairSync('ed25519').privateKey;
+
+  const child = spawn(process.execPath, [
+    path.join(__dirname, '..', 'server.js'),
+    '--policy.denyPrivate=false'
+  ], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      ADMIN_PORT: String(adminPort),
+      LOG_LEVEL: 'error',
+      VPN_API_KEYS: `tester:${API_KEY}`,
+      VPN_IDENTITY_KEY: identityKey.export({ format: 'pem', type: 'pkcs8' })
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  children.add(child);
+  child.on('exit', () => children.delete(child));
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (child.exitCode !== null) throw new Error(`server.js exited with code ${child.exitCode}`);
+    try {
+      await getJson(port, '/health');
+      const serverKey = crypto.createPublicKey(identityKey).export({ format: 'der', type: 'spki' }).toString('base64');
+      return { child, port, serverKey };
+    } catch (error) {
+      await delay(100);
+    }
+  }
+  child.kill();
+  throw new Error('server.js did not start');
+}
+
+// Запускает main со сторожевым таймером; код выхода 0 - тест прошел
+function run(main, timeout) {
+  const watchdog = setTimeout(() => {
+    console.error(`❌ Timed out after ${timeout} ms`);
+    children.forEach(child => child.kill());
+    process.exit(1);
+  }, timeout);
+
+  main().then(() => {
+    clearTimeout(watchdog);
+    process.exit(0);
+  }, error => {
+    console.error(`❌ ${error.message}`);
+    children.forEach(child => child.kill());
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  API_KEY,
+  delay,
+  freePort,
+  listen,
+  getJson,
+  startServer,
+  run
+};
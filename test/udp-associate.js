@@ -0,0 +1,138 @@
+// test/udp-associate.js - UDP через VPN: туннель клиента и SOCKS5 UDP ASSOCIATE
+//
+// Запускает server.js и локальный UDP эхо сервер, затем проверяет круг
+// клиент -> сервер -> эхо -> сервер -> клиент:
+//   createUdpTunnel: датаграмма возвращается с адресом эхо сервера;
+//   SOCKS5: UDP ASSOCIATE по TCP, датаграммы с заголовком RFC 1928 на выданный
+//     адрес, закрытие TCP соединения закрывает ассоциацию.
+// Запуск: npm test
+const assert = require('assert');
+const dgram = require('dgram');
+const net = require('net');
+const VPNClient = require('../client');
+const SOCKS5Server = require('../lib/socks5');
+const { API_KEY, delay, startServer, run } = require('./helpers');
+
+const TEST_TIMEOUT = 30000;
+const REPLY_TIMEOUT = 5000;
+
+function startEcho() {
+  const echo = dgram.createSocket('udp4');
+  echo.on('message', (message, rinfo) => echo.send(message, rinfo.port, rinfo.address));
+  return new Promise(resolve => echo.bind(0, '127.0.0.1', () => resolve(echo)));
+}
+
+function once(emitter, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${event} within ${REPLY_TIMEOUT} ms`)), REPLY_TIMEOUT);
+    emitter.once(event, (...args) => {
+      clearTimeout(timer);
+      resolve(args);
+    });
+  });
+}
+
+async function udpTunnel(client, echoPort) {
+  const tunnel = await client.createUdpTunnel();
+  const payload = Buffer.from('udp tunnel round trip');
+
+  const reply = once(tunnel, 'message');
+  tunnel.send(payload, echoPort, '127.0.0.1');
+  const [data, from] = await reply;
+
+  assert.deepStrictEqual(data, payload);
+  assert.deepStrictEqual(from, { address: '127.0.0.1', port: echoPort });
+  tunnel.close();
+}
+
+// Ответ SOCKS5 целиком: VER REP RSV ATYP(IPv4) ADDR PORT
+function readReply(socket, length) {
+  return new Promise((resolve, reject) => {
+    let buffer = Buffer.alloc(0);
+    const onData = (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      if (buffer.length >= length) {
+        socket.removeListener('data', onData);
+        resolve(buffer);
+      }
+    };
+    socket.on('data', onData);
+    socket.once('error', reject);
+  });
+}
+
+async function socksAssociate(client, echoPort) {
+  const socks = new SOCKS5Server(client);
+  const { port: socksPort } = await socks.listen(0);
+
+  const control = net.connect(socksPort, '127.0.0.1');
+  await once(control, 'connect');
+
+  control.write(Buffer.from([0x05, 0x01, 0x00]));
+  assert.deepStrictEqual(await readReply(control, 2), Buffer.from([0x05, 0x00]));
+
+  // UDP ASSOCIATE 0.0.0.0:0 - адрес отправителя датаграмм заранее неизвестен
+  control.write(Buffer.from([0x05, 0x03, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+  const reply = await readReply(control, 10);
+  assert.strictEqual(reply[1], 0x00, `UDP ASSOCIATE failed with reply ${reply[1]}`);
+  assert.strictEqual(reply[3], 0x01);
+  const relayHost = Array.from(reply.slice(4, 8)).join('.');
+  const relayPort = reply.readUInt16BE(8);
+
+  const local = dgram.createSocket('udp4');
+  await new Promise(resolve => local.bind(0, '127.0.0.1', resolve));
+
+  const payload = Buffer.from('socks5 udp associate round trip');
+  const header = Buffer.from([0x00, 0x00, 0x00, 0x01, 127, 0, 0, 1, echoPort >> 8, echoPort & 0xff]);
+  const response = once(local, 'message');
+  local.send(Buffer.concat([header, payload]), relayPort, relayHost);
+  const [message] = await response;
+
+  assert.deepStrictEqual(message.slice(0, header.length), header, 'reply header must carry the echo server address');
+  assert.deepStrictEqual(message.slice(header.length), payload);
+
+  // Фрагменты не поддерживаются и отбрасываются
+  const fragment = Buffer.from(header);
+  fragment[2] = 0x01;
+  let unexpected = null;
+  local.once('message', data => { unexpected = data; });
+  local.send(Buffer.concat([fragment, payload]), relayPort, relayHost);
+  await delay(300);
+  assert.strictEqual(unexpected, null, 'fragmented datagram was relayed');
+
+  // Закрытие TCP соединения завершает ассоциацию: UDP туннель на клиенте закрыт
+  const tunnelsBefore = client.tunnels.size;
+  control.destroy();
+  await delay(300);
+  assert.strictEqual(client.tunnels.size, tunnelsBefore - 1, 'UDP tunnel outlived the SOCKS5 connection');
+
+  local.close();
+  await socks.close();
+}
+
+async function main() {
+  const server = await startServer();
+  const echo = await startEcho();
+  const echoPort = echo.address().port;
+  const client = new VPNClient(`ws://127.0.0.1:${server.port}/vpn`, {
+    serverKey: server.serverKey,
+    reconnect: false
+  });
+
+  try {
+    await client.connect();
+    await client.authenticate(API_KEY);
+
+    await udpTunnel(client, echoPort);
+    console.log('✅ createUdpTunnel: datagram echoed back');
+
+    await socksAssociate(client, echoPort);
+    console.log('✅ SOCKS5 UDP ASSOCIATE: datagram echoed back, association closed with the connection');
+  } finally {
+    client.close();
+    echo.close();
+    server.child.kill();
+  }
+}
+
+run(main, TEST_TIMEOUT);